@@ -16,11 +16,114 @@ function analyzePage(args = {}) {
     viewportExpansion: 0,
     debugMode: false,
     maxElements: 10000,
-    prioritizeByImportance: true
+    prioritizeByImportance: true,
+    exposeGlobals: true,
+    format: 'json',
+    textOptions: {},
+    accessibility: true,
+    audit: false,
+    extractForms: true,
+    plugins: [],
+    inspect: null,
+    locatorQuery: null,
+    skipCoveredFrames: false
   };
 
   const settings = { ...defaultArgs, ...args };
-  const { doHighlightElements, focusHighlightIndex, viewportExpansion, debugMode, maxElements, prioritizeByImportance } = settings;
+  const { doHighlightElements, focusHighlightIndex, viewportExpansion, debugMode, maxElements, prioritizeByImportance, exposeGlobals, format, textOptions, accessibility, audit, extractForms, plugins, inspect, locatorQuery, skipCoveredFrames } = settings;
+
+  // Plugins registered with DomAnalyzer.registerPlugin() apply first, then the ones passed in
+  const pluginRules = compilePlugins([...(window._domAnalyzerPlugins || []), ...(plugins || [])]);
+  const failedPlugins = new Set();
+
+  /**
+   * Merges plugins into one rule set. Every plugin field is optional: interactiveSelectors and
+   * ignoreSelectors (CSS), isInteractive(element) returning true, false or undefined,
+   * testIdAttributes, classDenylist (class names with * wildcards, or RegExps) and
+   * locatorGenerators(element, helpers) returning locators.
+   */
+  function compilePlugins(pluginList) {
+    const rules = {
+      interactiveSelector: '',
+      ignoreSelector: '',
+      predicates: [],
+      testIdAttributes: [],
+      classDenylist: [],
+      locatorGenerators: []
+    };
+    const interactiveSelectors = [];
+    const ignoreSelectors = [];
+
+    for (const plugin of pluginList) {
+      if (!plugin) continue;
+      const name = plugin.name || 'unnamed';
+
+      for (const [selectors, target] of [[plugin.interactiveSelectors, interactiveSelectors], [plugin.ignoreSelectors, ignoreSelectors]]) {
+        for (const selector of selectors || []) {
+          try {
+            document.createDocumentFragment().querySelector(selector);
+          } catch (e) {
+            throw new Error(`Invalid selector in plugin "${name}": ${selector}`);
+          }
+          target.push(selector);
+        }
+      }
+
+      if (typeof plugin.isInteractive === 'function') {
+        rules.predicates.push({ name, isInteractive: plugin.isInteractive });
+      }
+      for (const attribute of plugin.testIdAttributes || []) {
+        if (!rules.testIdAttributes.includes(attribute)) rules.testIdAttributes.push(attribute);
+      }
+      for (const pattern of plugin.classDenylist || []) {
+        rules.classDenylist.push(pattern instanceof RegExp
+          ? pattern
+          : new RegExp(`^${String(pattern).split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`));
+      }
+      for (const generate of [].concat(plugin.locatorGenerators || [])) {
+        if (typeof generate === 'function') rules.locatorGenerators.push({ name, generate });
+      }
+    }
+
+    rules.interactiveSelector = interactiveSelectors.join(', ');
+    rules.ignoreSelector = ignoreSelectors.join(', ');
+    return rules;
+  }
+
+  // A failing plugin is reported once and then treated as having no opinion
+  function callPlugin(name, callback) {
+    try {
+      return callback();
+    } catch (error) {
+      if (!failedPlugins.has(name)) {
+        failedPlugins.add(name);
+        console.warn(`DOM analyzer plugin "${name}" failed:`, error);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * What the plugins say about an element: true (interactive), false (never interactive) or
+   * undefined (no opinion, the built-in rules decide). Ignore selectors win over everything else.
+   */
+  function getPluginInteractivity(element) {
+    if (pluginRules.ignoreSelector && element.matches(pluginRules.ignoreSelector)) return false;
+    if (pluginRules.interactiveSelector && element.matches(pluginRules.interactiveSelector)) return true;
+    for (const { name, isInteractive } of pluginRules.predicates) {
+      const verdict = callPlugin(name, () => isInteractive(element));
+      if (verdict === true || verdict === false) return verdict;
+    }
+    return undefined;
+  }
+
+  function hasPluginTestId(element) {
+    return pluginRules.testIdAttributes.some(attribute => element.hasAttribute(attribute));
+  }
+
+  function isClassAllowed(className) {
+    return !pluginRules.classDenylist.some(pattern => pattern.test(className));
+  }
 
   let highlightIndex = 0;
 
@@ -93,12 +196,27 @@ function analyzePage(args = {}) {
   const DOM_HASH_MAP = {};
   const ID = { current: 0 };
   const HIGHLIGHT_CONTAINER_ID = "dom-tree-analyzer-container";
+  // Overlay colors, picked by highlight index
+  const HIGHLIGHT_COLORS = [
+    "#FF0000", "#00FF00", "#0000FF", "#FFA500", "#800080", "#008080",
+    "#FF69B4", "#4B0082", "#FF4500", "#2E8B57", "#DC143C", "#4682B4",
+  ];
   const xpathCache = new WeakMap();
+  // Live node and parent id for each entry, so single subtrees can be rebuilt (watch mode)
+  const nodeIds = new WeakMap();
+  const parentIds = {};
+  // Overlay cleanup per highlight index
+  const overlayCleanups = new Map();
+  // Index shown alone, starts as focusHighlightIndex and is changed by session.focusHighlight(); null hides all
+  let focusedIndex = focusHighlightIndex;
+  // Added to the index labels of frames analyzed on their own, so they match the stitched indexes
+  let labelOffset = 0;
 
   /**
    * Highlights an element in the DOM and returns the index of the next element.
+   * overlayOptions.color and overlayOptions.label replace the index-based color and label.
    */
-  function highlightElement(element, index, parentIframe = null) {
+  function highlightElement(element, index, parentIframe = null, overlayOptions = {}) {
     if (!element) return index;
 
     const overlays = [];
@@ -130,12 +248,8 @@ function analyzePage(args = {}) {
       if (!rects || rects.length === 0) return index; // Exit if no rects
 
       // Generate a color based on the index
-      const colors = [
-        "#FF0000", "#00FF00", "#0000FF", "#FFA500", "#800080", "#008080",
-        "#FF69B4", "#4B0082", "#FF4500", "#2E8B57", "#DC143C", "#4682B4",
-      ];
-      const colorIndex = index % colors.length;
-      const baseColor = colors[colorIndex];
+      const colorIndex = Number.isInteger(index) ? index % HIGHLIGHT_COLORS.length : 0;
+      const baseColor = overlayOptions.color || HIGHLIGHT_COLORS[colorIndex];
       const backgroundColor = baseColor + "1A"; // 10% opacity version of the color
 
       // Get iframe offset if necessary
@@ -182,7 +296,7 @@ function analyzePage(args = {}) {
       label.style.padding = "1px 4px";
       label.style.borderRadius = "4px";
       label.style.fontSize = `${Math.min(12, Math.max(8, firstRect.height / 2))}px`;
-      label.textContent = index.toString();
+      label.textContent = overlayOptions.label || String(Number.isInteger(index) ? index + labelOffset : index);
 
       labelWidth = label.offsetWidth > 0 ? label.offsetWidth : labelWidth;
       labelHeight = label.offsetHeight > 0 ? label.offsetHeight : labelHeight;
@@ -299,6 +413,7 @@ function analyzePage(args = {}) {
     } finally {
       if (cleanupFn) {
         (window._highlightCleanupFunctions = window._highlightCleanupFunctions || []).push(cleanupFn);
+        overlayCleanups.set(index, cleanupFn);
       }
     }
   }
@@ -334,16 +449,75 @@ function analyzePage(args = {}) {
       return "";
     }
 
+    // Try ID, class, attribute, text, combined attribute and parent-child paths in that order
+    for (const generator of XPATH_GENERATORS) {
+      const xpath = generator.generate(element);
+      if (xpath) {
+        return xpath;
+      }
+    }
+
+    // Fallback: Use structural path with contains for classes
+    return generateStructuralXPath(element);
+  }
+
+  // XPath strategies in priority order; generateOptimalXPath uses the first that applies
+  const XPATH_GENERATORS = [
+    { kind: 'id', generate: generateIdXPath },
+    { kind: 'class', generate: generateClassBasedXPath },
+    { kind: 'attribute', generate: generateAttributeBasedXPath },
+    { kind: 'text', generate: generateTextBasedXPath },
+    { kind: 'combined', generate: generateCombinedAttributeXPath },
+    { kind: 'contextual', generate: generateContextualXPath }
+  ];
+
+  /**
+   * Computes every XPath strategy for an element instead of stopping at the first one.
+   */
+  function generateXPathCandidates(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return [];
+    }
+
+    const candidates = [];
+    const seen = new Set();
+    const addCandidate = (kind, xpath) => {
+      if (xpath && !seen.has(xpath)) {
+        seen.add(xpath);
+        candidates.push({ kind, xpath });
+      }
+    };
+
+    for (const generator of XPATH_GENERATORS) {
+      if (generator.kind === 'attribute') {
+        generateAttributeBasedXPaths(element).forEach(xpath => addCandidate('attribute', xpath));
+      } else {
+        addCandidate(generator.kind, generator.generate(element));
+      }
+    }
+    addCandidate('structural', generateStructuralXPath(element));
+    addCandidate('absolute', generateAbsoluteXPath(element));
+
+    return candidates;
+  }
+
+  function generateIdXPath(element) {
     const tagName = element.nodeName.toLowerCase();
 
-    // Priority 1: ID-based paths
     if (element.id && element.id.trim()) {
       return `//${tagName}[@id='${element.id}']`;
     }
 
-    // Priority 2: Class-based paths (if class is unique or meaningful)
+    return null;
+  }
+
+  function generateClassBasedXPath(element) {
+    const tagName = element.nodeName.toLowerCase();
+
     if (element.className && typeof element.className === 'string') {
-      const classes = element.className.trim().split(/\s+/).filter(cls => cls.length > 0);
+      const allClasses = element.className.trim().split(/\s+/).filter(cls => cls.length > 0);
+      // Classes denied by plugins never appear in a locator
+      const classes = allClasses.filter(isClassAllowed);
       if (classes.length > 0) {
         // Try single class first
         for (const cls of classes) {
@@ -353,7 +527,7 @@ function analyzePage(args = {}) {
         }
         // Try full class attribute if it's reasonably unique
         const fullClass = classes.join(' ');
-        if (isClassCombinationUnique(element, fullClass)) {
+        if (classes.length === allClasses.length && isClassCombinationUnique(element, fullClass)) {
           return `//${tagName}[@class='${fullClass}']`;
         }
         // Use contains for partial class match if it's distinctive
@@ -364,32 +538,7 @@ function analyzePage(args = {}) {
       }
     }
 
-    // Priority 3: Attribute-based paths
-    const attributeXPath = generateAttributeBasedXPath(element);
-    if (attributeXPath) {
-      return attributeXPath;
-    }
-
-    // Priority 4: Text-based paths
-    const textXPath = generateTextBasedXPath(element);
-    if (textXPath) {
-      return textXPath;
-    }
-
-    // Priority 5: Combined attribute paths
-    const combinedXPath = generateCombinedAttributeXPath(element);
-    if (combinedXPath) {
-      return combinedXPath;
-    }
-
-    // Priority 6: Parent-child relationships
-    const contextualXPath = generateContextualXPath(element);
-    if (contextualXPath) {
-      return contextualXPath;
-    }
-
-    // Fallback: Use structural path with contains for classes
-    return generateStructuralXPath(element);
+    return null;
   }
 
   function isClassUnique(element, className) {
@@ -418,7 +567,7 @@ function analyzePage(args = {}) {
     const distinctivePatterns = /^(btn|button|input|form|modal|dialog|menu|nav|header|footer|main|content|container|wrapper|card|item|entry|row|col|grid|flex)/i;
 
     for (const cls of classes) {
-      if (distinctivePatterns.test(cls) && cls.length > 3) {
+      if (distinctivePatterns.test(cls) && cls.length > 3 && isClassAllowed(cls)) {
         try {
           const tagName = element.nodeName.toLowerCase();
           const elements = document.querySelectorAll(`${tagName}[class*="${cls}"]`);
@@ -434,22 +583,31 @@ function analyzePage(args = {}) {
   }
 
   function generateAttributeBasedXPath(element) {
+    return generateAttributeBasedXPaths(element, 1)[0] || null;
+  }
+
+  function generateAttributeBasedXPaths(element, limit = Infinity) {
     const tagName = element.nodeName.toLowerCase();
+    const xpaths = [];
 
-    // High priority attributes in order
-    const priorityAttrs = ['name', 'data-testid', 'data-test', 'data-cy', 'aria-label', 'title', 'alt', 'href', 'src', 'for', 'type', 'role', 'placeholder'];
+    // High priority attributes in order, after the test id attributes of plugins
+    const priorityAttrs = [...new Set([
+      ...pluginRules.testIdAttributes,
+      'name', 'data-testid', 'data-test', 'data-cy', 'aria-label', 'title', 'alt', 'href', 'src', 'for', 'type', 'role', 'placeholder'
+    ])];
 
     for (const attr of priorityAttrs) {
       const value = element.getAttribute(attr);
       if (value && value.trim()) {
         const xpath = `//${tagName}[@${attr}='${value.trim()}']`;
         if (isXPathUnique(xpath, element)) {
-          return xpath;
+          xpaths.push(xpath);
+          if (xpaths.length >= limit) break;
         }
       }
     }
 
-    return null;
+    return xpaths;
   }
 
   function generateTextBasedXPath(element) {
@@ -579,7 +737,7 @@ function analyzePage(args = {}) {
         const parentClasses = element.parentElement.className.trim().split(/\s+/);
         const distinctiveClass = findDistinctiveClass(element.parentElement, parentClasses);
         if (distinctiveClass) {
-          return `//[contains(@class,'${distinctiveClass}')]//${tagName}[${position}]`;
+          return `//*[contains(@class,'${distinctiveClass}')]//${tagName}[${position}]`;
         }
       }
 
@@ -589,6 +747,23 @@ function analyzePage(args = {}) {
     return `//${tagName}`;
   }
 
+  /**
+   * Full positional path from the document root; always unique but breaks on any layout change.
+   */
+  function generateAbsoluteXPath(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      const position = getElementPosition(current);
+      const tagName = current.nodeName.toLowerCase();
+      steps.unshift(position > 0 ? `${tagName}[${position}]` : tagName);
+      current = current.parentElement;
+    }
+
+    return steps.length ? `/${steps.join('/')}` : '';
+  }
+
   function isXPathUnique(xpath, element) {
     try {
       const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
@@ -614,783 +789,5134 @@ function analyzePage(args = {}) {
       return false;
     }
   }
-  function isTextNodeVisible(textNode) {
-    // ...existing implementation...
-    try {
-      if (viewportExpansion === -1) {
-        const parentElement = textNode.parentElement;
-        if (!parentElement) return false;
-
-        try {
-          return parentElement.checkVisibility({
-            checkOpacity: true,
-            checkVisibilityCSS: true,
-          });
-        } catch (e) {
-          const style = window.getComputedStyle(parentElement);
-          return style.display !== 'none' &&
-            style.visibility !== 'hidden' &&
-            style.opacity !== '0';
-        }
-      }
-
-      const range = document.createRange();
-      range.selectNodeContents(textNode);
-      const rects = range.getClientRects();
-
-      if (!rects || rects.length === 0) {
-        return false;
-      }
 
-      let isAnyRectVisible = false;
-      let isAnyRectInViewport = false;
+  // Implicit ARIA roles for native elements (subset of the HTML-AAM mapping)
+  const IMPLICIT_ROLES = {
+    a: (el) => (el.hasAttribute('href') ? 'link' : null),
+    area: (el) => (el.hasAttribute('href') ? 'link' : null),
+    address: () => 'group',
+    article: () => 'article',
+    aside: () => 'complementary',
+    blockquote: () => 'blockquote',
+    button: () => 'button',
+    caption: () => 'caption',
+    datalist: () => 'listbox',
+    dd: () => 'definition',
+    details: () => 'group',
+    dialog: () => 'dialog',
+    dt: () => 'term',
+    fieldset: () => 'group',
+    figure: () => 'figure',
+    // header and footer are only landmarks outside sectioning content
+    footer: (el) => (el.closest('article, aside, main, nav, section') ? null : 'contentinfo'),
+    form: () => 'form',
+    h1: () => 'heading', h2: () => 'heading', h3: () => 'heading',
+    h4: () => 'heading', h5: () => 'heading', h6: () => 'heading',
+    header: (el) => (el.closest('article, aside, main, nav, section') ? null : 'banner'),
+    hr: () => 'separator',
+    img: (el) => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+    input: (el) => {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      if (el.hasAttribute('list') && ['text', 'search', 'email', 'tel', 'url'].includes(type)) return 'combobox';
+      const inputRoles = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button',
+        checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton',
+        search: 'searchbox', email: 'textbox', tel: 'textbox', text: 'textbox',
+        url: 'textbox', password: 'textbox'
+      };
+      return inputRoles[type] || null;
+    },
+    li: () => 'listitem',
+    main: () => 'main',
+    menu: () => 'list',
+    meter: () => 'meter',
+    nav: () => 'navigation',
+    ol: () => 'list',
+    optgroup: () => 'group',
+    option: () => 'option',
+    output: () => 'status',
+    p: () => 'paragraph',
+    progress: () => 'progressbar',
+    search: () => 'search',
+    section: (el) => (el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null),
+    select: (el) => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+    summary: () => 'button',
+    table: () => 'table',
+    tbody: () => 'rowgroup', thead: () => 'rowgroup', tfoot: () => 'rowgroup',
+    td: () => 'cell',
+    textarea: () => 'textbox',
+    th: (el) => (el.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader'),
+    tr: () => 'row',
+    ul: () => 'list'
+  };
 
-      for (const rect of rects) {
-        if (rect.width > 0 && rect.height > 0) {
-          isAnyRectVisible = true;
+  // Roles whose accessible name may come from their content
+  const NAME_FROM_CONTENT_ROLES = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader',
+    'switch', 'tab', 'term', 'tooltip', 'treeitem'
+  ]);
+  // Roles that leave no node of their own in the accessibility tree
+  const PRESENTATIONAL_ROLES = new Set(['presentation', 'none', 'generic']);
+  // Roles that must have an accessible name when they are interactive
+  const NAMED_ROLES = new Set([
+    'button', 'link', 'textbox', 'searchbox', 'checkbox', 'radio', 'switch', 'combobox', 'listbox',
+    'slider', 'spinbutton', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem', 'option'
+  ]);
+  const LABELABLE_TAGS = new Set(['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress']);
+
+  const AUDIT_RULES = {
+    'missing-name': { impact: 'serious', description: 'Interactive elements need an accessible name' },
+    'missing-alt': { impact: 'critical', description: 'Images need an alt attribute (alt="" for decorative ones)' },
+    'broken-label': { impact: 'serious', description: 'label[for], aria-labelledby and aria-describedby must point at existing elements' },
+    'low-contrast': { impact: 'serious', description: 'Text needs a contrast of 4.5:1 (3:1 for large text)' },
+    'obscured-focusable': { impact: 'moderate', description: 'Focusable elements should not be covered by other elements' },
+    'positive-tabindex': { impact: 'moderate', description: 'Positive tabindex values break the natural focus order' }
+  };
+  const AUDIT_IMPACT_COLORS = { critical: '#C53030', serious: '#DD6B20', moderate: '#D69E2E', minor: '#3182CE' };
 
-          if (!(
-            rect.bottom < -viewportExpansion ||
-            rect.top > window.innerHeight + viewportExpansion ||
-            rect.right < -viewportExpansion ||
-            rect.left > window.innerWidth + viewportExpansion
-          )) {
-            isAnyRectInViewport = true;
-            break;
-          }
-        }
-      }
+  /**
+   * Returns the explicit role if present, otherwise the implicit role of the element.
+   */
+  function getElementRole(element) {
+    const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicitRole) return explicitRole;
 
-      if (!isAnyRectVisible || !isAnyRectInViewport) {
-        return false;
-      }
+    const implicitRole = IMPLICIT_ROLES[element.nodeName.toLowerCase()];
+    return implicitRole ? implicitRole(element) : null;
+  }
 
-      const parentElement = textNode.parentElement;
-      if (!parentElement) return false;
+  function normalizeWhitespace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
 
+  /**
+   * Gets the label elements associated with a form control.
+   */
+  function getLabelElements(element) {
+    const labels = [];
+    if (element.labels && element.labels.length) {
+      labels.push(...element.labels);
+    } else if (element.id) {
       try {
-        return parentElement.checkVisibility({
-          checkOpacity: true,
-          checkVisibilityCSS: true,
-        });
+        labels.push(...element.ownerDocument.querySelectorAll(`label[for="${CSS.escape(element.id)}"]`));
       } catch (e) {
-        const style = window.getComputedStyle(parentElement);
-        return style.display !== 'none' &&
-          style.visibility !== 'hidden' &&
-          style.opacity !== '0';
+        // Ignore invalid ids
       }
-    } catch (e) {
-      console.warn('Error checking text node visibility:', e);
-      return false;
+      const wrappingLabel = element.closest('label');
+      if (wrappingLabel && !labels.includes(wrappingLabel)) labels.push(wrappingLabel);
     }
+    return labels;
   }
 
-  function isElementAccepted(element) {
-    if (!element || !element.tagName) return false;
-
-    const alwaysAccept = new Set([
-      "body", "div", "main", "article", "section", "nav", "header", "footer"
-    ]);
-    const tagName = element.tagName.toLowerCase();
-
-    if (alwaysAccept.has(tagName)) return true;
-
-    const leafElementDenyList = new Set([
-      "svg", "script", "style", "link", "meta", "noscript", "template",
-    ]);
+  /**
+   * Gets the text of the labels associated with a form control.
+   */
+  function getLabelText(element) {
+    return normalizeWhitespace(getLabelElements(element).map(label => label.textContent).join(' '));
+  }
 
-    return !leafElementDenyList.has(tagName);
+  /**
+   * Computes the accessible name following the accname algorithm: aria-labelledby, embedded
+   * control values, aria-label, native labels (label[for], alt, legend, caption, value), content,
+   * then title and placeholder.
+   */
+  function getAccessibleName(element) {
+    return normalizeWhitespace(computeTextAlternative(element, {
+      visited: new Set(),
+      isRoot: true,
+      inLabelledBy: false,
+      referenced: false
+    }));
   }
 
-  function isElementVisible(element) {
+  function isHiddenForAccessibility(element) {
+    if (element.getAttribute('aria-hidden') === 'true' || element.hasAttribute('hidden')) return true;
     const style = getCachedComputedStyle(element);
-    return (
-      element.offsetWidth > 0 &&
-      element.offsetHeight > 0 &&
-      style?.visibility !== "hidden" &&
-      style?.display !== "none"
-    );
+    return Boolean(style && (style.display === 'none' || style.visibility === 'hidden'));
   }
 
-  function isInteractiveElement(element) {
-    // ...existing implementation...
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return false;
+  function computeTextAlternative(node, state) {
+    if (state.visited.has(node)) return '';
+    state.visited.add(node);
+
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    // Hidden content only counts when aria-labelledby points at it
+    if (!state.referenced && isHiddenForAccessibility(node)) return '';
+
+    const tagName = node.nodeName.toLowerCase();
+    const role = getElementRole(node);
+    const recursion = { ...state, isRoot: false };
+
+    // aria-labelledby, not followed twice
+    const labelledBy = node.getAttribute('aria-labelledby');
+    if (labelledBy && !state.inLabelledBy) {
+      const root = node.getRootNode();
+      const text = labelledBy.trim().split(/\s+/)
+        .map(id => (root.getElementById ? root.getElementById(id) : null) || node.ownerDocument.getElementById(id))
+        .filter(Boolean)
+        .map(reference => computeTextAlternative(reference, { ...recursion, inLabelledBy: true, referenced: true }))
+        .join(' ');
+      if (normalizeWhitespace(text)) return text;
     }
 
-    const tagName = element.tagName.toLowerCase();
-    const style = getCachedComputedStyle(element);
-
-    // Define interactive cursors
-    const interactiveCursors = new Set([
-      'pointer', 'move', 'text', 'grab', 'grabbing', 'cell', 'copy', 'alias',
-      'all-scroll', 'col-resize', 'context-menu', 'crosshair', 'e-resize',
-      'ew-resize', 'help', 'n-resize', 'ne-resize', 'nesw-resize', 'ns-resize',
-      'nw-resize', 'nwse-resize', 'row-resize', 's-resize', 'se-resize',
-      'sw-resize', 'vertical-text', 'w-resize', 'zoom-in', 'zoom-out'
-    ]);
-
-    const nonInteractiveCursors = new Set([
-      'not-allowed', 'no-drop', 'wait', 'progress', 'initial', 'inherit'
-    ]);
-
-    function doesElementHaveInteractivePointer(element) {
-      if (element.tagName.toLowerCase() === "html") return false;
-      if (style?.cursor && interactiveCursors.has(style.cursor)) return true;
-      return false;
+    // Controls embedded in another element's name contribute their value
+    if (!state.isRoot) {
+      const value = getEmbeddedControlValue(node, role);
+      if (value !== null) return value;
     }
 
-    let isInteractiveCursor = doesElementHaveInteractivePointer(element);
+    const ariaLabel = normalizeWhitespace(node.getAttribute('aria-label'));
+    if (ariaLabel) return ariaLabel;
 
-    if (isInteractiveCursor) {
-      return true;
+    if (!PRESENTATIONAL_ROLES.has(role)) {
+      const nativeName = getNativeName(node, tagName, recursion);
+      if (normalizeWhitespace(nativeName)) return nativeName;
     }
 
-    const interactiveElements = new Set([
-      "a", "button", "input", "select", "textarea", "details", "summary",
-      "label", "option", "optgroup", "fieldset", "legend",
-    ]);
+    if (!state.isRoot || (role && NAME_FROM_CONTENT_ROLES.has(role))) {
+      const content = getContentText(node, recursion);
+      if (normalizeWhitespace(content)) return content;
+    }
 
-    const explicitDisableTags = new Set([
-      'disabled', 'readonly',
-    ]);
+    const title = normalizeWhitespace(node.getAttribute('title'));
+    if (title) return title;
 
-    if (interactiveElements.has(tagName)) {
-      if (style?.cursor && nonInteractiveCursors.has(style.cursor)) {
-        return false;
-      }
+    return state.isRoot ? normalizeWhitespace(node.getAttribute('placeholder') || node.getAttribute('aria-placeholder')) : '';
+  }
 
-      for (const disableTag of explicitDisableTags) {
-        if (element.hasAttribute(disableTag) ||
-          element.getAttribute(disableTag) === 'true' ||
-          element.getAttribute(disableTag) === '') {
-          return false;
-        }
+  function getEmbeddedControlValue(node, role) {
+    const tagName = node.nodeName.toLowerCase();
+    if (role === 'textbox' || role === 'searchbox') {
+      return tagName === 'input' || tagName === 'textarea' ? node.value : node.textContent;
+    }
+    if (role === 'combobox' || role === 'listbox') {
+      if (tagName === 'select') {
+        return Array.from(node.selectedOptions || []).map(option => option.textContent).join(' ');
       }
+      if (tagName === 'input') return node.value;
+      const selected = node.querySelectorAll('[aria-selected="true"]');
+      return Array.from(selected).map(option => option.textContent).join(' ');
+    }
+    if (['slider', 'spinbutton', 'progressbar', 'meter', 'scrollbar'].includes(role)) {
+      return node.getAttribute('aria-valuetext') || node.getAttribute('aria-valuenow') || (node.value !== undefined ? String(node.value) : '');
+    }
+    return null;
+  }
 
-      if (element.disabled || element.readOnly || element.inert) {
-        return false;
-      }
+  // Names that come from the host language: labels, alt text, legends, captions and button values
+  function getNativeName(node, tagName, state) {
+    const type = (node.getAttribute('type') || '').toLowerCase();
 
-      return true;
+    if (tagName === 'input' && ['submit', 'reset', 'button'].includes(type)) {
+      const value = node.getAttribute('value');
+      if (normalizeWhitespace(value)) return value;
+      if (type === 'submit') return 'Submit';
+      if (type === 'reset') return 'Reset';
     }
 
-    const role = element.getAttribute("role");
-    const ariaRole = element.getAttribute("aria-role");
+    if (tagName === 'input' && type === 'image') {
+      return node.getAttribute('alt') || node.getAttribute('value') || '';
+    }
 
-    if (element.getAttribute("contenteditable") === "true" || element.isContentEditable) {
-      return true;
+    if (['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress'].includes(tagName)) {
+      const labelText = getLabelElements(node)
+        .map(label => computeTextAlternative(label, state))
+        .join(' ');
+      if (normalizeWhitespace(labelText)) return labelText;
     }
 
-    if (element.classList && (
-      element.classList.contains("button") ||
-      element.classList.contains('dropdown-toggle') ||
-      element.getAttribute('data-index') ||
-      element.getAttribute('data-toggle') === 'dropdown' ||
-      element.getAttribute('aria-haspopup') === 'true'
-    )) {
-      return true;
+    if (tagName === 'img' || tagName === 'area') {
+      return node.getAttribute('alt') || '';
     }
 
-    const interactiveRoles = new Set([
-      'button', 'menu', 'menubar', 'menuitem', 'menuitemradio', 'menuitemcheckbox',
-      'radio', 'checkbox', 'tab', 'switch', 'slider', 'spinbutton', 'combobox',
-      'searchbox', 'textbox', 'listbox', 'option', 'scrollbar'
-    ]);
+    const captionTags = { fieldset: 'legend', figure: 'figcaption', table: 'caption', svg: 'title' };
+    if (captionTags[tagName]) {
+      const caption = Array.from(node.children).find(child => child.nodeName.toLowerCase() === captionTags[tagName]);
+      if (caption) return computeTextAlternative(caption, state);
+    }
 
-    const hasInteractiveRole =
-      interactiveElements.has(tagName) ||
-      (role && interactiveRoles.has(role)) ||
-      (ariaRole && interactiveRoles.has(ariaRole));
+    return '';
+  }
 
-    if (hasInteractiveRole) return true;
+  // Name from content: CSS generated content and the text alternatives of all children
+  function getContentText(node, state) {
+    const parts = [getPseudoContent(node, '::before')];
+
+    let children = node.childNodes;
+    const shadowRoot = getShadowRoot(node);
+    if (shadowRoot) {
+      children = shadowRoot.childNodes;
+    } else if (node.nodeName.toLowerCase() === 'slot' && node.assignedNodes) {
+      const assigned = node.assignedNodes({ flatten: true });
+      if (assigned.length) children = assigned;
+    }
 
-    try {
-      if (typeof getEventListeners === 'function') {
-        const listeners = getEventListeners(element);
-        const mouseEvents = ['click', 'mousedown', 'mouseup', 'dblclick'];
-        for (const eventType of mouseEvents) {
-          if (listeners[eventType] && listeners[eventType].length > 0) {
-            return true;
-          }
-        }
+    for (const child of children) {
+      const text = computeTextAlternative(child, state);
+      if (child.nodeType === Node.ELEMENT_NODE) {
+        // Block-level children are separated by whitespace, inline ones are not
+        const display = getCachedComputedStyle(child)?.display || 'inline';
+        parts.push(display.startsWith('inline') ? text : ` ${text} `);
+      } else {
+        parts.push(text);
       }
+    }
 
-      const getEventListenersForNode = element?.ownerDocument?.defaultView?.getEventListenersForNode || window.getEventListenersForNode;
-      if (typeof getEventListenersForNode === 'function') {
-        const listeners = getEventListenersForNode(element);
-        const interactionEvents = ['click', 'mousedown', 'mouseup', 'keydown', 'keyup', 'submit', 'change', 'input', 'focus', 'blur'];
-        for (const eventType of interactionEvents) {
-          for (const listener of listeners) {
-            if (listener.type === eventType) {
-              return true;
-            }
-          }
-        }
-      }
+    parts.push(getPseudoContent(node, '::after'));
+    return parts.join('');
+  }
 
-      const commonMouseAttrs = ['onclick', 'onmousedown', 'onmouseup', 'ondblclick'];
-      for (const attr of commonMouseAttrs) {
-        if (element.hasAttribute(attr) || typeof element[attr] === 'function') {
-          return true;
-        }
-      }
+  function getPseudoContent(node, pseudo) {
+    try {
+      const content = window.getComputedStyle(node, pseudo).content;
+      if (!content || content === 'none' || content === 'normal') return '';
+      const match = content.match(/^"(.*)"$/);
+      return match ? match[1] : '';
     } catch (e) {
-      // If checking listeners fails, rely on other checks
+      return '';
     }
-
-    return false;
   }
 
-  // ...include all other helper functions from the original implementation...
-  function isTopElement(element) {
-    if (viewportExpansion === -1) {
-      return true;
+  /**
+   * Accessibility states and properties of an element; only the ones that apply are set.
+   */
+  function getAccessibilityStates(element, role) {
+    const states = {};
+    const tagName = element.nodeName.toLowerCase();
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    const aria = (name) => element.getAttribute(`aria-${name}`);
+    const tristate = (value) => (value === 'mixed' ? 'mixed' : value === 'true');
+
+    if (tagName === 'input' && (type === 'checkbox' || type === 'radio')) {
+      states.checked = element.indeterminate ? 'mixed' : element.checked;
+    } else if (aria('checked') !== null) {
+      states.checked = tristate(aria('checked'));
     }
 
-    const rects = getCachedClientRects(element);
-
-    if (!rects || rects.length === 0) {
-      return false;
+    if (aria('pressed') !== null) {
+      states.pressed = tristate(aria('pressed'));
     }
 
-    let isAnyRectInViewport = false;
-    for (const rect of rects) {
-      if (rect.width > 0 && rect.height > 0 && !(
-        rect.bottom < -viewportExpansion ||
-        rect.top > window.innerHeight + viewportExpansion ||
-        rect.right < -viewportExpansion ||
-        rect.left > window.innerWidth + viewportExpansion
-      )) {
-        isAnyRectInViewport = true;
-        break;
-      }
+    if (aria('expanded') !== null) {
+      states.expanded = aria('expanded') === 'true';
+    } else if (tagName === 'details') {
+      states.expanded = element.open;
+    } else if (tagName === 'summary' && element.parentElement && element.parentElement.nodeName.toLowerCase() === 'details') {
+      states.expanded = element.parentElement.open;
     }
 
-    if (!isAnyRectInViewport) {
-      return false;
+    if (tagName === 'option') {
+      states.selected = element.selected;
+    } else if (aria('selected') !== null) {
+      states.selected = aria('selected') === 'true';
     }
 
-    let doc = element.ownerDocument;
+    let isDisabled = false;
+    try {
+      isDisabled = element.matches(':disabled');
+    } catch (e) {
+      isDisabled = element.disabled === true;
+    }
+    if (isDisabled || element.closest('[aria-disabled="true"]')) {
+      states.disabled = true;
+    }
 
-    if (doc !== window.document) {
-      return true;
+    if (element.required || aria('required') === 'true') {
+      states.required = true;
     }
 
-    const shadowRoot = element.getRootNode();
-    if (shadowRoot instanceof ShadowRoot) {
-      const centerX = rects[Math.floor(rects.length / 2)].left + rects[Math.floor(rects.length / 2)].width / 2;
-      const centerY = rects[Math.floor(rects.length / 2)].top + rects[Math.floor(rects.length / 2)].height / 2;
+    if ((element.readOnly && ['input', 'textarea'].includes(tagName)) || aria('readonly') === 'true') {
+      states.readonly = true;
+    }
 
-      try {
-        const topEl = shadowRoot.elementFromPoint(centerX, centerY);
-        if (!topEl) return false;
+    if (aria('invalid') !== null && aria('invalid') !== 'false') {
+      states.invalid = aria('invalid') === 'true' ? true : aria('invalid');
+    }
 
-        let current = topEl;
-        while (current && current !== shadowRoot) {
-          if (current === element) return true;
-          current = current.parentElement;
-        }
-        return false;
-      } catch (e) {
-        return true;
-      }
+    if (role === 'heading') {
+      const level = Number(aria('level')) || Number(tagName.substring(1));
+      if (level) states.level = level;
     }
 
-    const margin = 5;
-    const rect = rects[Math.floor(rects.length / 2)];
+    if (aria('haspopup') !== null && aria('haspopup') !== 'false') {
+      states.hasPopup = aria('haspopup') === 'true' ? 'menu' : aria('haspopup');
+    }
 
-    const checkPoints = [
-      { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
-      { x: rect.left + margin, y: rect.top + margin },
-      { x: rect.right - margin, y: rect.bottom - margin },
-    ];
+    // Current value of widgets; password values are never exposed
+    if (['slider', 'spinbutton', 'progressbar', 'meter', 'scrollbar'].includes(role)) {
+      const value = getEmbeddedControlValue(element, role);
+      if (value) states.value = value;
+    } else if (['textbox', 'searchbox', 'combobox'].includes(role) && type !== 'password' && 'value' in element && element.value) {
+      states.value = element.value;
+    }
 
-    return checkPoints.some(({ x, y }) => {
-      try {
-        const topEl = document.elementFromPoint(x, y);
-        if (!topEl) return false;
+    if (element.tabIndex >= 0 && !states.disabled) {
+      states.focusable = true;
+    }
 
-        let current = topEl;
-        while (current && current !== document.documentElement) {
-          if (current === element) return true;
-          current = current.parentElement;
-        }
-        return false;
-      } catch (e) {
-        return true;
-      }
-    });
+    return states;
   }
 
-  function isInExpandedViewport(element, viewportExpansion) {
-    if (viewportExpansion === -1) {
-      return true;
-    }
-
-    const rects = element.getClientRects();
+  /**
+   * Role, accessible name and states of an element for DOM_HASH_MAP, or null when it has none.
+   */
+  function getAccessibilityInfo(element) {
+    if (isHiddenForAccessibility(element)) return { hidden: true };
 
-    if (!rects || rects.length === 0) {
-      const boundingRect = getCachedBoundingRect(element);
-      if (!boundingRect || boundingRect.width === 0 || boundingRect.height === 0) {
-        return false;
-      }
-      return !(
-        boundingRect.bottom < -viewportExpansion ||
-        boundingRect.top > window.innerHeight + viewportExpansion ||
-        boundingRect.right < -viewportExpansion ||
-        boundingRect.left > window.innerWidth + viewportExpansion
-      );
-    }
+    const role = getElementRole(element);
+    const name = PRESENTATIONAL_ROLES.has(role) ? '' : getAccessibleName(element);
+    const states = getAccessibilityStates(element, role);
 
-    for (const rect of rects) {
-      if (rect.width === 0 || rect.height === 0) continue;
+    if (!role && !name && Object.keys(states).length === 0) return null;
+    return { role, name, states };
+  }
 
-      if (!(
-        rect.bottom < -viewportExpansion ||
-        rect.top > window.innerHeight + viewportExpansion ||
-        rect.right < -viewportExpansion ||
-        rect.left > window.innerWidth + viewportExpansion
-      )) {
-        return true;
-      }
-    }
+  function quoteLocatorString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
 
-    return false;
+  // Playwright text matching: case-insensitive substring by default, full string when exact
+  function matchesLocatorText(actual, expected, exact = false) {
+    const normalizedActual = normalizeWhitespace(actual);
+    const normalizedExpected = normalizeWhitespace(expected);
+    if (exact) return normalizedActual === normalizedExpected;
+    return normalizedActual.toLowerCase().includes(normalizedExpected.toLowerCase());
   }
 
-  function isInteractiveCandidate(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+  const playwrightIndexes = new Map();
 
-    const tagName = element.tagName.toLowerCase();
+  /**
+   * Lazily collects the visible elements of a document that Playwright locators are matched against.
+   * Like Playwright, elements inside open shadow roots belong to the document of their host.
+   */
+  function getPlaywrightIndex(doc) {
+    if (playwrightIndexes.has(doc)) return playwrightIndexes.get(doc);
 
-    const interactiveElements = new Set([
-      "a", "button", "input", "select", "textarea", "details", "summary", "label"
-    ]);
+    const playwrightIndex = { byRole: new Map(), labelled: [], placeholders: [], testIds: new Map(), texts: [] };
+    playwrightIndexes.set(doc, playwrightIndex);
 
-    if (interactiveElements.has(tagName)) return true;
+    const skippedTags = new Set(['script', 'style', 'noscript', 'template', 'head']);
+    const indexElement = (element) => {
+      if (skippedTags.has(element.nodeName.toLowerCase()) || element.closest(`#${HIGHLIGHT_CONTAINER_ID}`)) return;
 
-    const hasQuickInteractiveAttr = element.hasAttribute("onclick") ||
-      element.hasAttribute("role") ||
-      element.hasAttribute("tabindex") ||
-      element.hasAttribute("aria-") ||
-      element.hasAttribute("data-action") ||
-      element.getAttribute("contenteditable") === "true";
+      const testId = element.getAttribute('data-testid');
+      if (testId) {
+        playwrightIndex.testIds.set(testId, (playwrightIndex.testIds.get(testId) || 0) + 1);
+      }
 
-    return hasQuickInteractiveAttr;
-  }
+      if (!isElementVisible(element)) return;
 
-  const DISTINCT_INTERACTIVE_TAGS = new Set([
-    'a', 'button', 'input', 'select', 'textarea', 'summary', 'details', 'label', 'option'
-  ]);
-  const INTERACTIVE_ROLES = new Set([
-    'button', 'link', 'menuitem', 'menuitemradio', 'menuitemcheckbox',
-    'radio', 'checkbox', 'tab', 'switch', 'slider', 'spinbutton',
-    'combobox', 'searchbox', 'textbox', 'listbox', 'option', 'scrollbar'
-  ]);
+      const role = getElementRole(element);
+      if (role) {
+        if (!playwrightIndex.byRole.has(role)) playwrightIndex.byRole.set(role, []);
+        playwrightIndex.byRole.get(role).push({ element, text: null });
+      }
 
-  function isHeuristicallyInteractive(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+      const labelText = element.getAttribute('aria-label') || getLabelText(element);
+      if (labelText) playwrightIndex.labelled.push({ element, text: labelText });
 
-    if (!isElementVisible(element)) return false;
+      const placeholder = element.getAttribute('placeholder');
+      if (placeholder) playwrightIndex.placeholders.push({ element, text: placeholder });
 
-    const hasInteractiveAttributes =
-      element.hasAttribute('role') ||
-      element.hasAttribute('tabindex') ||
-      element.hasAttribute('onclick') ||
-      typeof element.onclick === 'function';
+      if (!['input', 'select', 'textarea'].includes(element.nodeName.toLowerCase())) {
+        playwrightIndex.texts.push({ element, text: element.textContent });
+      }
+    };
+    const indexRoot = (root) => {
+      for (const element of root.querySelectorAll('*')) {
+        indexElement(element);
+        if (element.shadowRoot) indexRoot(element.shadowRoot);
+      }
+    };
+    indexRoot(doc.body || doc.documentElement);
 
-    const hasInteractiveClass = /\b(btn|clickable|menu|item|entry|link)\b/i.test(element.className || '');
+    return playwrightIndex;
+  }
 
-    const isInKnownContainer = Boolean(
-      element.closest('button,a,[role="button"],.menu,.dropdown,.list,.toolbar')
-    );
+  // Normalized once per entry, since every generated locator is matched against the whole index
+  function getNormalizedText(entry) {
+    if (entry.normalized === undefined) {
+      entry.normalized = normalizeWhitespace(entry.text);
+      entry.lowerCase = entry.normalized.toLowerCase();
+    }
+    return entry;
+  }
 
-    const hasVisibleChildren = [...element.children].some(isElementVisible);
+  function findMatching(entries, text, exact) {
+    const expected = normalizeWhitespace(text);
+    const lowerCaseExpected = expected.toLowerCase();
+    return entries.filter(entry => {
+      const { normalized, lowerCase } = getNormalizedText(entry);
+      return exact ? normalized === expected : lowerCase.includes(lowerCaseExpected);
+    }).map(entry => entry.element);
+  }
 
-    const isParentBody = element.parentElement && element.parentElement.isSameNode(document.body);
+  function findRoleMatching(entries, name, exact) {
+    return entries.filter(entry => {
+      if (entry.text === null) entry.text = getAccessibleName(entry.element);
+      return matchesLocatorText(entry.text, name, exact);
+    }).map(entry => entry.element);
+  }
 
-    return (
-      (isInteractiveElement(element) || hasInteractiveAttributes || hasInteractiveClass) &&
-      hasVisibleChildren &&
-      isInKnownContainer &&
-      !isParentBody
-    );
+  // Like Playwright, only the innermost elements containing the text count as matches
+  function findTextMatching(entries, text, exact) {
+    return keepInnermost(findMatching(entries, text, exact));
   }
 
-  function isElementDistinctInteraction(element) {
-    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
-      return false;
+  // Marks the ancestors of every match once instead of comparing each pair of matches
+  function keepInnermost(elements) {
+    const containers = new Set();
+    for (const element of elements) {
+      let ancestor = element.parentElement;
+      while (ancestor && !containers.has(ancestor)) {
+        containers.add(ancestor);
+        ancestor = ancestor.parentElement;
+      }
     }
+    return elements.filter(element => !containers.has(element));
+  }
 
-    const tagName = element.tagName.toLowerCase();
-    const role = element.getAttribute('role');
+  function countMatching(entries, text, exact) {
+    return findMatching(entries, text, exact).length;
+  }
 
-    if (tagName === 'iframe') {
-      return true;
-    }
+  function countRoleMatching(entries, name, exact) {
+    return findRoleMatching(entries, name, exact).length;
+  }
 
-    if (DISTINCT_INTERACTIVE_TAGS.has(tagName)) {
-      return true;
-    }
+  // Text match counts per index: exact counts are built once, substring counts memoized per text
+  const textMatchCounts = new WeakMap();
 
-    if (role && INTERACTIVE_ROLES.has(role)) {
-      return true;
+  function countTextMatching(entries, text, exact) {
+    if (!textMatchCounts.has(entries)) {
+      const byText = new Map();
+      for (const entry of entries) {
+        const { normalized } = getNormalizedText(entry);
+        if (!byText.has(normalized)) byText.set(normalized, []);
+        byText.get(normalized).push(entry.element);
+      }
+      const exactCounts = new Map();
+      for (const [normalized, elements] of byText) {
+        exactCounts.set(normalized, keepInnermost(elements).length);
+      }
+      textMatchCounts.set(entries, { exact: exactCounts, substring: new Map() });
     }
 
-    if (element.isContentEditable || element.getAttribute('contenteditable') === 'true') {
-      return true;
+    const counts = textMatchCounts.get(entries);
+    const expected = normalizeWhitespace(text);
+    if (exact) return counts.exact.get(expected) || 0;
+    if (!counts.substring.has(expected.toLowerCase())) {
+      counts.substring.set(expected.toLowerCase(), findTextMatching(entries, expected, false).length);
     }
+    return counts.substring.get(expected.toLowerCase());
+  }
 
-    if (element.hasAttribute('data-testid') || element.hasAttribute('data-cy') || element.hasAttribute('data-test')) {
-      return true;
+  /**
+   * Generates Playwright-style locators (getByTestId, getByRole, getByLabel, getByPlaceholder, getByText)
+   * from the element's role and accessible name, with their match counts in the page.
+   * Falls back to exact matching when the default substring match is ambiguous.
+   */
+  function generatePlaywrightLocators(element) {
+    const locators = [];
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return locators;
+
+    const index = getPlaywrightIndex(element.ownerDocument);
+    const addLocator = (strategy, build, count) => {
+      let exact = false;
+      let matchCount = count(false);
+      if (matchCount > 1) {
+        const exactCount = count(true);
+        if (exactCount >= 1 && exactCount < matchCount) {
+          exact = true;
+          matchCount = exactCount;
+        }
+      }
+      locators.push({ strategy, locator: build(exact), matchCount, unique: matchCount === 1 });
+    };
+    const exactOption = (exact) => (exact ? ', exact: true' : '');
+    const exactArgument = (exact) => (exact ? ', { exact: true }' : '');
+
+    const testId = element.getAttribute('data-testid');
+    if (testId) {
+      addLocator('getByTestId', () => `getByTestId(${quoteLocatorString(testId)})`, () => index.testIds.get(testId) || 0);
     }
 
-    if (element.hasAttribute('onclick') || typeof element.onclick === 'function') {
-      return true;
+    const role = getElementRole(element);
+    const name = getAccessibleName(element);
+    if (role && name && name.length <= 80) {
+      const sameRole = index.byRole.get(role) || [];
+      addLocator(
+        'getByRole',
+        (exact) => `getByRole(${quoteLocatorString(role)}, { name: ${quoteLocatorString(name)}${exactOption(exact)} })`,
+        (exact) => countRoleMatching(sameRole, name, exact)
+      );
     }
 
-    try {
-      const getEventListenersForNode = element?.ownerDocument?.defaultView?.getEventListenersForNode || window.getEventListenersForNode;
-      if (typeof getEventListenersForNode === 'function') {
-        const listeners = getEventListenersForNode(element);
-        const interactionEvents = ['click', 'mousedown', 'mouseup', 'keydown', 'keyup', 'submit', 'change', 'input', 'focus', 'blur'];
-        for (const eventType of interactionEvents) {
-          for (const listener of listeners) {
-            if (listener.type === eventType) {
-              return true;
-            }
-          }
-        }
-      }
+    const labelText = normalizeWhitespace(element.getAttribute('aria-label') || getLabelText(element));
+    if (labelText && labelText.length <= 80) {
+      addLocator(
+        'getByLabel',
+        (exact) => `getByLabel(${quoteLocatorString(labelText)}${exactArgument(exact)})`,
+        (exact) => countMatching(index.labelled, labelText, exact)
+      );
+    }
 
-      const commonEventAttrs = ['onmousedown', 'onmouseup', 'onkeydown', 'onkeyup', 'onsubmit', 'onchange', 'oninput', 'onfocus', 'onblur'];
-      if (commonEventAttrs.some(attr => element.hasAttribute(attr))) {
-        return true;
-      }
-    } catch (e) {
-      // If checking listeners fails, rely on other checks
+    const placeholder = normalizeWhitespace(element.getAttribute('placeholder'));
+    if (placeholder) {
+      addLocator(
+        'getByPlaceholder',
+        (exact) => `getByPlaceholder(${quoteLocatorString(placeholder)}${exactArgument(exact)})`,
+        (exact) => countMatching(index.placeholders, placeholder, exact)
+      );
     }
 
-    if (isHeuristicallyInteractive(element)) {
-      return true;
+    const text = normalizeWhitespace(element.textContent);
+    if (text && text.length <= 50) {
+      addLocator(
+        'getByText',
+        (exact) => `getByText(${quoteLocatorString(text)}${exactArgument(exact)})`,
+        (exact) => countTextMatching(index.texts, text, exact)
+      );
     }
 
-    return false;
+    return locators;
   }
 
-  function handleHighlighting(nodeData, node, parentIframe, isParentHighlighted) {
-    if (!nodeData.isInteractive) return false; // Not interactive, definitely don't highlight
-
-    let shouldHighlight = true;
-    if (!isParentHighlighted) {
-      shouldHighlight = true;
-    } else {
-      if (isElementDistinctInteraction(node)) {
-        shouldHighlight = true;
-      } else {
-        shouldHighlight = false;
-      }
+  function countXPathMatches(xpath, doc = document) {
+    try {
+      return doc.evaluate(xpath, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+    } catch (e) {
+      return 0;
     }
+  }
 
-    if (shouldHighlight) {
-      // Check viewport status before assigning index and highlighting
-      nodeData.isInViewport = isInExpandedViewport(node, viewportExpansion);
+  // Base stability of each locator strategy before penalties
+  const LOCATOR_BASE_STABILITY = {
+    getByTestId: 95,
+    getByRole: 85,
+    getByLabel: 80,
+    getByPlaceholder: 70,
+    getByText: 60,
+    'xpath:id': 90,
+    'xpath:attribute': 80,
+    'xpath:combined': 75,
+    'xpath:class': 60,
+    'xpath:text': 55,
+    'xpath:contextual': 50,
+    'xpath:structural': 30,
+    'xpath:absolute': 25
+  };
 
-      // When viewportExpansion is -1, all interactive elements should get a highlight index
-      // regardless of viewport status
-      if (nodeData.isInViewport || viewportExpansion === -1) {
-        nodeData.highlightIndex = highlightIndex++;
+  // Ids generated by frameworks or containing counters/hashes
+  const DYNAMIC_ID_PATTERN = /(^|[-_:])(ember|react|mui|headlessui|radix|rc|ng|vue|yui|ext|gwt|j_id|jsx|mat)[-_:]?\d|^:r[0-9a-z]+:$|\d{3,}|[0-9a-f]{8}-[0-9a-f]{4}|[0-9a-f]{10,}/i;
+  // Text that is likely to change between locales or over time
+  const VOLATILE_TEXT_PATTERN = /[^\x00-\x7F]|\d|[$€£¥₹]/;
 
-        if (doHighlightElements) {
-          if (focusHighlightIndex >= 0) {
-            if (focusHighlightIndex === nodeData.highlightIndex) {
-              highlightElement(node, nodeData.highlightIndex, parentIframe);
-            }
-          } else {
-            highlightElement(node, nodeData.highlightIndex, parentIframe);
-          }
-          return true; // Successfully highlighted
-        }
-      }
-    }
+  /**
+   * Detects class names emitted by CSS-in-JS libraries, CSS modules and build-time hashing.
+   */
+  function isGeneratedClassName(className) {
+    if (/^(css|sc|jss|emotion|makeStyles|svelte|styled)-?[A-Za-z0-9]*\d/.test(className)) return true;
+    if (/__[A-Za-z0-9_-]{5,}$/.test(className) && /\d/.test(className)) return true;
+    // Separator-free hashes such as "a1b2c3" or "kQmZ9x"
+    return /^[A-Za-z0-9]{5,}$/.test(className) && /\d/.test(className) && /[A-Za-z]/.test(className);
+  }
 
-    return false; // Did not highlight
+  function getLocatorStrategyKey(locator) {
+    return locator.strategy === 'xpath' ? `xpath:${locator.kind}` : locator.strategy;
   }
 
-  function buildDomTree(node, parentIframe = null, isParentHighlighted = false) {
-    // Fast rejection checks first
-    if (!node || node.id === HIGHLIGHT_CONTAINER_ID) {
-      return null;
+  /**
+   * Scores how likely a locator is to survive page changes (0-100) and lists what makes it fragile.
+   */
+  function scoreLocatorStability(locator, element) {
+    const warnings = [];
+    // Plugin locators may bring their own base stability
+    let stability = locator.stability ?? (LOCATOR_BASE_STABILITY[getLocatorStrategyKey(locator)] || 50);
+    const value = locator.locator;
+
+    const id = element && element.id;
+    if (id && (locator.kind === 'id' || value.includes(`'${id}'`)) && DYNAMIC_ID_PATTERN.test(id)) {
+      stability -= 40;
+      warnings.push('dynamic-id');
     }
 
-    // Special handling for root node (body)
-    if (node === document.body) {
-      const nodeData = {
-        tagName: 'body',
-        attributes: {},
-        xpath: getXPathTree(node),
-        children: [],
-        isVisible: true,
-        isTopElement: true,
-        isInteractive: false,
-        isInViewport: true,
-        shadowRoot: false,
-      };
-
-      // Process body children
-      for (const child of node.childNodes) {
-        const childId = buildDomTree(child, parentIframe, false);
-        if (childId !== null) {
-          nodeData.children.push(childId);
-        }
-      }
-
-      const id = `${ID.current++}`;
-      DOM_HASH_MAP[id] = nodeData;
-      return id;
+    const classNames = [];
+    for (const match of value.matchAll(/@class\s*[,=]\s*'([^']+)'/g)) {
+      classNames.push(...match[1].split(/\s+/));
+    }
+    if (classNames.some(isGeneratedClassName)) {
+      stability -= 35;
+      warnings.push('generated-class');
     }
 
-    // Early bailout for non-element nodes except text
-    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) {
-      return null;
+    const positionalIndexes = locator.strategy === 'xpath' ? (value.match(/\[\d+\]/g) || []).length : 0;
+    if (positionalIndexes > 0) {
+      stability -= 15 * positionalIndexes;
+      warnings.push('positional-index');
     }
 
-    // Process text nodes
-    if (node.nodeType === Node.TEXT_NODE) {
-      const textContent = node.textContent?.trim();
-      if (!textContent || textContent.length === 0 || !isTextNodeVisible(node)) {
-        return null;
+    const usesText = locator.kind === 'text' || locator.strategy === 'getByText' ||
+      locator.strategy === 'getByRole' || locator.strategy === 'getByLabel' || locator.strategy === 'getByPlaceholder';
+    if (usesText) {
+      // The text a locator depends on is its last quoted literal
+      const literals = value.match(/'(?:[^'\\]|\\.)*'/g) || [];
+      const text = literals.length ? literals[literals.length - 1] : '';
+      if (VOLATILE_TEXT_PATTERN.test(text)) {
+        stability -= 15;
+        warnings.push('volatile-text');
       }
+    }
 
-      const nodeData = {
-        tagName: '#text',
-        attributes: {},
-        xpath: '',
-        children: [],
-        text: textContent,
-        isVisible: true,
-        isTopElement: false,
-        isInteractive: false,
-        isInViewport: isInExpandedViewport(node.parentElement, viewportExpansion),
-        shadowRoot: false,
-      };
+    if (/contains\(/.test(value)) {
+      stability -= 5;
+      warnings.push('partial-match');
+    }
 
-      const id = `${ID.current++}`;
-      DOM_HASH_MAP[id] = nodeData;
-      return id;
+    if (locator.strategy === 'xpath' && element && isInShadowRoot(element)) {
+      warnings.push('shadow-dom');
     }
 
-    // Quick checks for element nodes
-    if (node.nodeType === Node.ELEMENT_NODE && !isElementAccepted(node)) {
-      return null;
+    if (!locator.unique) {
+      stability -= 30;
+      warnings.push(locator.matchCount === 0 ? 'no-match' : 'not-unique');
     }
 
-    // Early viewport check - only filter out elements clearly outside viewport
-    if (viewportExpansion !== -1 && !node.shadowRoot) {
-      const rect = getCachedBoundingRect(node);
-      if (rect && (rect.width === 0 && rect.height === 0)) {
-        return null;
-      }
+    return { stability: Math.max(0, Math.min(100, stability)), warnings };
+  }
+
+  /**
+   * Builds the ranked locator list for an element from every XPath and Playwright strategy.
+   * Unique locators come first, then the most stable ones.
+   */
+  function generateLocators(element) {
+    const doc = element ? element.ownerDocument : document;
+    const locators = generatePlaywrightLocators(element);
+
+    // XPath does not pierce shadow roots, so it cannot reach elements inside them
+    const inShadowRoot = Boolean(element) && isInShadowRoot(element);
+    for (const candidate of generateXPathCandidates(element)) {
+      const matchCount = inShadowRoot ? 0 : countXPathMatches(candidate.xpath, doc);
+      locators.push({ strategy: 'xpath', kind: candidate.kind, locator: candidate.xpath, matchCount, unique: matchCount === 1 });
     }
 
-    const nodeData = {
-      tagName: node.tagName.toLowerCase(),
-      attributes: {},
-      xpath: getXPathTree(node),
-      children: [],
-      isVisible: false,
-      isTopElement: false,
-      isInteractive: false,
-      isInViewport: false,
-      shadowRoot: Boolean(node.shadowRoot),
-    };
+    if (element) {
+      locators.push(...generatePluginLocators(element, locators));
+    }
 
-    // Get attributes for interactive elements or potential text containers
-    if (isInteractiveCandidate(node) || node.tagName.toLowerCase() === 'iframe' || node.tagName.toLowerCase() === 'body') {
-      const attrs = {};
-      for (const attr of node.attributes || []) {
-        attrs[attr.name] = attr.value;
-      }
-      nodeData.attributes = attrs;
+    for (const locator of locators) {
+      Object.assign(locator, scoreLocatorStability(locator, element));
     }
 
-    let nodeWasHighlighted = false;
-    // Perform visibility, interactivity, and highlighting checks
-    if (node.nodeType === Node.ELEMENT_NODE) {
-      nodeData.isVisible = isElementVisible(node);
+    return locators.sort((a, b) =>
+      (Number(b.unique) - Number(a.unique)) ||
+      (b.stability - a.stability)
+    );
+  }
 
-      if (nodeData.isVisible) {
-        nodeData.isInteractive = isInteractiveElement(node);
-        nodeData.isTopElement = isTopElement(node);
+  /**
+   * Locators from plugin generators. Generators return a locator object or a list of them:
+   * { strategy, locator, kind?, matchCount?, stability? }. Match counts of 'xpath' and 'css'
+   * locators are computed when left out; other strategies must provide them.
+   */
+  function generatePluginLocators(element, existing) {
+    const doc = element.ownerDocument;
+    const root = element.getRootNode();
+    const seen = new Set(existing.map(locator => locator.locator));
+    const helpers = {
+      countXPath: (xpath) => (isInShadowRoot(element) ? 0 : countXPathMatches(xpath, doc)),
+      countCss: (selector) => countCssMatches(selector, root),
+      testIdAttributes: pluginRules.testIdAttributes
+    };
 
-        if (nodeData.isInteractive && nodeData.isTopElement) {
-          nodeWasHighlighted = handleHighlighting(nodeData, node, parentIframe, isParentHighlighted);
+    const locators = [];
+    for (const { name, generate } of pluginRules.locatorGenerators) {
+      const generated = callPlugin(name, () => generate(element, helpers));
+      for (const candidate of [].concat(generated || [])) {
+        if (!candidate || !candidate.locator || seen.has(candidate.locator)) continue;
+        seen.add(candidate.locator);
+
+        const strategy = candidate.strategy || 'xpath';
+        let matchCount = candidate.matchCount;
+        if (typeof matchCount !== 'number') {
+          matchCount = strategy === 'xpath' ? helpers.countXPath(candidate.locator)
+            : strategy === 'css' ? helpers.countCss(candidate.locator) : 0;
         }
+
+        const locator = { strategy, locator: candidate.locator, matchCount, unique: matchCount === 1, plugin: name };
+        if (strategy === 'xpath') locator.kind = candidate.kind || 'plugin';
+        if (typeof candidate.stability === 'number') locator.stability = candidate.stability;
+        locators.push(locator);
       }
     }
+    return locators;
+  }
 
-    // Process children, with special handling for iframes and rich text editors
-    if (node.tagName) {
-      const tagName = node.tagName.toLowerCase();
+  function countCssMatches(selector, root = document) {
+    try {
+      return root.querySelectorAll(selector).length;
+    } catch (e) {
+      return 0;
+    }
+  }
 
-      // Handle iframes
-      if (tagName === 'iframe') {
-        try {
-          const iframeDoc = node.contentDocument || node.contentWindow?.document;
-          if (iframeDoc && iframeDoc.body) {
-            const iframeBodyId = buildDomTree(iframeDoc.body, node, nodeWasHighlighted);
-            if (iframeBodyId !== null) {
-              nodeData.children.push(iframeBodyId);
-            }
-          }
-        } catch (e) {
-          console.warn("Unable to access iframe content:", e);
-        }
-      } else {
-        // Process regular children
-        for (const child of node.childNodes) {
-          const childId = buildDomTree(child, parentIframe, nodeWasHighlighted);
-          if (childId !== null) {
-            nodeData.children.push(childId);
-          }
-        }
+  function isInShadowRoot(element) {
+    return element.getRootNode().nodeType === Node.DOCUMENT_FRAGMENT_NODE;
+  }
+
+  /**
+   * Frames and shadow hosts between the top document and an element, outermost first.
+   * Stops at documents whose parent cannot be reached (cross-origin frames).
+   */
+  function getScopeChain(element) {
+    const chain = [];
+    let current = element;
+    while (current) {
+      const root = current.getRootNode();
+      if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+        chain.unshift({ kind: 'shadow-host', element: root.host });
+        current = root.host;
+        continue;
       }
 
-      // Handle shadow DOM
-      if (node.shadowRoot) {
-        for (const shadowChild of node.shadowRoot.childNodes) {
-          const shadowChildId = buildDomTree(shadowChild, parentIframe, nodeWasHighlighted);
-          if (shadowChildId !== null) {
-            nodeData.children.push(shadowChildId);
-          }
-        }
+      let frame = null;
+      try {
+        frame = root.defaultView ? root.defaultView.frameElement : null;
+      } catch (e) {
+        // Cross-origin parent
       }
+      if (!frame) break;
+      chain.unshift({ kind: 'frame', element: frame });
+      current = frame;
     }
+    return chain;
+  }
 
-    // Skip empty anchor tags only if they have no dimensions and no children
-    if (nodeData.tagName === 'a' && nodeData.children.length === 0 && !nodeData.attributes.href) {
-      const rect = getCachedBoundingRect(node);
-      if (!rect || (rect.width === 0 && rect.height === 0)) {
-        return null;
+  /**
+   * CSS selector that is unique within the element's own document or shadow root: an id or
+   * identifying attribute when one is unique, otherwise the shortest unique tag path.
+   */
+  function getScopedCssSelector(element) {
+    const root = element.getRootNode();
+    const tagName = element.nodeName.toLowerCase();
+    const isUnique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
       }
+    };
+    const usableId = (candidate) => candidate.id && !DYNAMIC_ID_PATTERN.test(candidate.id) && isUnique(`#${CSS.escape(candidate.id)}`);
+
+    if (usableId(element)) return `#${CSS.escape(element.id)}`;
+
+    for (const attribute of [...pluginRules.testIdAttributes, 'data-testid', 'data-test', 'data-cy', 'name', 'aria-label', 'title', 'placeholder', 'src']) {
+      const value = element.getAttribute(attribute);
+      if (!value) continue;
+      const selector = `${tagName}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`;
+      if (isUnique(selector)) return selector;
     }
 
-    const id = `${ID.current++}`;
-    DOM_HASH_MAP[id] = nodeData;
-    return id;
+    const parts = [];
+    let current = element;
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current !== element && usableId(current)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const currentTag = current.nodeName.toLowerCase();
+      const parent = current.parentElement;
+      const sameTag = parent ? Array.from(parent.children).filter(sibling => sibling.nodeName === current.nodeName) : [];
+      parts.unshift(sameTag.length > 1 ? `${currentTag}:nth-of-type(${sameTag.indexOf(current) + 1})` : currentTag);
+      // The shortest path that is already unique wins
+      if (isUnique(parts.join(' > '))) break;
+      current = parent;
+    }
+    return parts.join(' > ');
   }
 
-  // Main execution
-  const rootId = buildDomTree(document.body);
-  DOM_CACHE.clearCache();
+  function describeScopeStep({ kind, element }) {
+    const nodeData = DOM_HASH_MAP[nodeIds.get(element)];
+    const step = {
+      kind,
+      tagName: element.nodeName.toLowerCase(),
+      css: getScopedCssSelector(element),
+      // Hosts and frames inside shadow roots cannot be reached with XPath
+      xpath: isInShadowRoot(element) ? null : (nodeData && nodeData.xpath) || getXPathTree(element),
+      stableId: nodeData ? nodeData.stableId : getStableId(element)
+    };
+    if (kind === 'frame') {
+      step.name = element.getAttribute('name') || '';
+      step.src = element.getAttribute('src') || '';
+    }
+    return step;
+  }
 
-  // Add cleanup function to window (global scope)
-  if (!window.cleanupHighlights) {
-    window.cleanupHighlights = function() {
-      if (window._highlightCleanupFunctions && window._highlightCleanupFunctions.length) {
-        window._highlightCleanupFunctions.forEach(fn => fn());
-        window._highlightCleanupFunctions = [];
+  /**
+   * Frame path, shadow-host chain and frame-qualified locators for an element inside iframes or
+   * shadow roots: Playwright frameLocator()/locator() chains and Selenium switchTo/getShadowRoot
+   * sequences. Null for elements of the top document.
+   */
+  function getElementScope(element, locators) {
+    const chain = getScopeChain(element);
+    if (chain.length === 0) return null;
+
+    const steps = chain.map(describeScopeStep);
+    const css = getScopedCssSelector(element);
+    const inShadowRoot = isInShadowRoot(element);
+    const bestXPath = inShadowRoot ? null : locators.find(locator => locator.unique && locator.strategy === 'xpath');
+    // Playwright's own locators pierce open shadow roots, but their counts only cover the light DOM
+    const bestPlaywright = inShadowRoot ? null : locators.find(locator => locator.unique && locator.strategy.startsWith('getBy'));
+
+    return {
+      framePath: steps.filter(step => step.kind === 'frame'),
+      shadowHosts: steps.filter(step => step.kind === 'shadow-host'),
+      chain: steps,
+      css,
+      locators: {
+        playwright: buildPlaywrightScopedLocator(steps, css, bestPlaywright),
+        seleniumJava: buildSeleniumScopedLocator(steps, css, bestXPath, 'java'),
+        seleniumPython: buildSeleniumScopedLocator(steps, css, bestXPath, 'python'),
+        piercingCss: [...steps.map(step => step.css), css].join(' >>> ')
       }
-      const container = document.getElementById(HIGHLIGHT_CONTAINER_ID);
-      if (container) container.remove();
-      console.log('✨ Highlights cleaned up!');
     };
   }
 
-  // Store data globally for export
-  window.DOM_HASH_MAP = DOM_HASH_MAP;
+  // page.frameLocator(...).locator(...); each step's css is only unique within its own document or
+  // shadow root, so every shadow host gets its own locator() and Playwright CSS descends from there
+  function buildPlaywrightScopedLocator(steps, css, bestPlaywright) {
+    let expression = 'page';
+    for (const step of steps) {
+      expression += `.${step.kind === 'frame' ? 'frameLocator' : 'locator'}(${quoteLocatorString(step.css)})`;
+    }
+    return bestPlaywright
+      ? `${expression}.${bestPlaywright.locator}`
+      : `${expression}.locator(${quoteLocatorString(css)})`;
+  }
 
-  // Count highlighted elements and extract actionable data
-  const highlightedElements = Object.values(DOM_HASH_MAP).filter(node =>
-    node.highlightIndex !== undefined
-  );
+  // One statement per step; shadow roots only support CSS lookups, frames reset the search context
+  function buildSeleniumScopedLocator(steps, css, bestXPath, language) {
+    const java = language === 'java';
+    const find = (context, by, value) => java
+      ? `${context}.findElement(By.${by === 'css' ? 'cssSelector' : 'xpath'}(${JSON.stringify(value)}))`
+      : `${context}.find_element(By.${by === 'css' ? 'CSS_SELECTOR' : 'XPATH'}, ${JSON.stringify(value)})`;
+
+    const lines = [java ? 'driver.switchTo().defaultContent();' : 'driver.switch_to.default_content()'];
+    let context = 'driver';
+    let shadowRoots = 0;
+    for (const step of steps) {
+      const lookup = find(context, 'css', step.css);
+      if (step.kind === 'frame') {
+        lines.push(java ? `driver.switchTo().frame(${lookup});` : `driver.switch_to.frame(${lookup})`);
+        context = 'driver';
+      } else {
+        shadowRoots++;
+        context = java ? `shadowRoot${shadowRoots}` : `shadow_root${shadowRoots}`;
+        lines.push(java ? `SearchContext ${context} = ${lookup}.getShadowRoot();` : `${context} = ${lookup}.shadow_root`);
+      }
+    }
 
-  // Create actionable element list for LLM
-  const interactiveElements = highlightedElements.map(node => ({
-    index: node.highlightIndex,
-    tagName: node.tagName,
-    attributes: node.attributes,
-    xpath: node.xpath,
-    text: getElementText(node),
-    isVisible: node.isVisible,
-    isInViewport: node.isInViewport,
-    description: generateElementDescription(node)
-  })).sort((a, b) => a.index - b.index);
+    const target = context === 'driver' && bestXPath ? find(context, 'xpath', bestXPath.locator) : find(context, 'css', css);
+    lines.push(java ? `WebElement element = ${target};` : `element = ${target}`);
+    return lines;
+  }
+
+  const FORM_CONTROL_SELECTOR = [
+    'input:not([type="hidden"]):not([type="submit"]):not([type="image"]):not([type="reset"]):not([type="button"])',
+    'select', 'textarea', '[contenteditable="true"]', '[contenteditable=""]',
+    '[role="textbox"]', '[role="searchbox"]', '[role="combobox"]', '[role="listbox"]', '[role="checkbox"]',
+    '[role="radio"]', '[role="switch"]', '[role="slider"]', '[role="spinbutton"]'
+  ].join(', ');
+  const FORM_BUTTON_SELECTOR = 'button, input[type="submit"], input[type="image"], input[type="reset"], input[type="button"], [role="button"]';
+  // Containers that group controls that are not inside a <form>
+  const FORM_GROUP_SELECTOR = '[role="form"], [role="search"], fieldset, dialog, [role="dialog"], section, article, aside, nav, main, header, footer';
+  const SUBMIT_TEXT_PATTERN = /\b(submit|sign ?in|log ?in|sign ?up|register|continue|next|save|send|search|apply|confirm|create|checkout|subscribe)\b/i;
+
+  // What a field asks for, from its autocomplete token or from keywords in its name, id, label or placeholder
+  const AUTOCOMPLETE_PURPOSES = {
+    email: 'email', username: 'username', 'current-password': 'password', 'new-password': 'password',
+    tel: 'phone', 'tel-national': 'phone', name: 'full-name', 'given-name': 'first-name', 'family-name': 'last-name',
+    'postal-code': 'postal-code', 'address-level2': 'city', country: 'country', 'country-name': 'country',
+    'street-address': 'address', 'address-line1': 'address', organization: 'company', 'cc-number': 'card-number',
+    'cc-exp': 'card-expiry', 'cc-csc': 'cvc', bday: 'date', url: 'url', 'one-time-code': 'otp'
+  };
+  const FIELD_PURPOSE_KEYWORDS = [
+    ['email', /e-?mail/i],
+    ['password', /pass(word|wd)?\b|pwd/i],
+    ['phone', /phone|mobile|\btel\b|cell/i],
+    ['first-name', /first.?name|given.?name|fname/i],
+    ['last-name', /last.?name|family.?name|surname|lname/i],
+    ['username', /user.?(name|id)?\b|login|account/i],
+    ['full-name', /full.?name|^name$|your.?name/i],
+    ['postal-code', /zip|postal|postcode/i],
+    ['city', /\bcity\b|\btown\b/i],
+    ['country', /country/i],
+    ['address', /address|street/i],
+    ['company', /company|organi[sz]ation/i],
+    ['card-number', /card.?(number|no)|cc.?num/i],
+    ['card-expiry', /expir|exp.?date|mm.?yy/i],
+    ['cvc', /\bcvc\b|\bcvv\b|security.?code/i],
+    ['otp', /\botp\b|one.?time|verification.?code/i],
+    ['url', /\burl\b|website|homepage/i],
+    ['date', /date|birthday|\bdob\b/i],
+    ['search', /search|query|^q$/i]
+  ];
+  // Input types that already say what the field is for
+  const TYPED_PURPOSES = {
+    email: 'email', password: 'password', tel: 'phone', url: 'url', search: 'search', number: 'number',
+    date: 'date', 'datetime-local': 'datetime', month: 'month', week: 'week', time: 'time', color: 'color',
+    range: 'number', file: 'file', checkbox: 'checkbox', radio: 'radio'
+  };
 
   /**
-   * Get meaningful text content from an element's children
+   * Groups the visible controls into forms: by their <form> (including the form attribute),
+   * otherwise by the nearest grouping container such as a fieldset, dialog or landmark.
    */
-  function getElementText(nodeData) {
-    if (nodeData.text) return nodeData.text;
-
-    // Recursively get text from children
-    let text = '';
-    for (const childId of nodeData.children || []) {
-      const child = DOM_HASH_MAP[childId];
-      if (child && child.tagName === '#text' && child.text) {
-        text += child.text + ' ';
-      } else if (child) {
-        text += getElementText(child) + ' ';
+  function buildFormModels() {
+    const groups = new Map();
+
+    for (const element of formElements) {
+      const owner = element.form || element.closest('form');
+      const key = owner || element.closest(FORM_GROUP_SELECTOR) || element.ownerDocument.body;
+      if (!groups.has(key)) {
+        groups.set(key, { element: key, kind: owner ? 'form' : 'implicit', controls: [], buttons: [] });
       }
+      const group = groups.get(key);
+      (element.matches(FORM_BUTTON_SELECTOR) ? group.buttons : group.controls).push(element);
     }
-    return text.trim().substring(0, 100); // Limit length
+
+    // Buttons on their own are not a form
+    return [...groups.values()]
+      .filter(group => group.controls.length > 0)
+      .map((group, position) => createFormModel(group, position));
+  }
+
+  function createFormModel(group, position) {
+    const { element, kind, controls, buttons } = group;
+    const container = kind === 'form' ? element : getCommonAncestor([...controls, ...buttons]);
+    const nodeData = DOM_HASH_MAP[nodeIds.get(container)];
+    const submit = findSubmitButton(group);
+
+    return {
+      id: `form-${position}`,
+      kind,
+      name: getFormName(container),
+      action: kind === 'form' ? element.getAttribute('action') || '' : null,
+      method: kind === 'form' ? (element.getAttribute('method') || 'get').toLowerCase() : null,
+      xpath: nodeData && nodeData.xpath ? nodeData.xpath : getXPathTree(container),
+      stableId: nodeData ? nodeData.stableId : '',
+      fields: createFormFields(controls),
+      submit: submit ? describeFormElement(submit) : null,
+      buttons: buttons.map(describeFormElement)
+    };
+  }
+
+  function getCommonAncestor(elements) {
+    let ancestor = elements[0];
+    while (ancestor && !elements.every(element => ancestor.contains(element))) {
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor || elements[0].ownerDocument.body;
+  }
+
+  function getFormName(container) {
+    const name = getAccessibleName(container) || container.getAttribute('name');
+    if (name) return name;
+    const heading = container.querySelector('h1, h2, h3, h4, h5, h6, legend, [role="heading"]');
+    return heading ? normalizeWhitespace(heading.textContent) : container.id;
+  }
+
+  // Explicit submit buttons first, then buttons whose text reads like one
+  function findSubmitButton({ element, kind, buttons }) {
+    if (kind === 'form') {
+      const submit = buttons.find(button =>
+        (button.nodeName.toLowerCase() === 'button' && (!button.getAttribute('type') || button.type === 'submit')) ||
+        (button.nodeName.toLowerCase() === 'input' && ['submit', 'image'].includes(button.type))
+      );
+      if (submit) return submit;
+    }
+    return buttons.find(button => SUBMIT_TEXT_PATTERN.test(getAccessibleName(button))) ||
+      (kind === 'form' ? null : buttons[buttons.length - 1]) || null;
+  }
+
+  // Index, stable id and locators that tie a form entry back to the page
+  function describeFormElement(element) {
+    const nodeData = DOM_HASH_MAP[nodeIds.get(element)];
+    const bestLocator = generateLocators(element).find(locator => locator.unique);
+    return {
+      index: nodeData && nodeData.highlightIndex !== undefined ? nodeData.highlightIndex : null,
+      stableId: nodeData ? nodeData.stableId : '',
+      tagName: element.nodeName.toLowerCase(),
+      xpath: nodeData && nodeData.xpath ? nodeData.xpath : getXPathTree(element),
+      locator: bestLocator ? bestLocator.locator : null,
+      text: getAccessibleName(element)
+    };
   }
 
   /**
-   * Generate human-readable description for LLM
+   * One field per control; radio buttons sharing a name become one field with an option each.
    */
-  function generateElementDescription(node) {
-    const { tagName, attributes } = node;
-    const text = getElementText(node);
+  function createFormFields(controls) {
+    const fields = [];
+    const radioGroups = new Map();
 
-    let description = tagName;
+    for (const control of controls) {
+      const type = getFieldType(control);
+      const groupName = type === 'radio' ? control.getAttribute('name') : null;
 
-    // Add meaningful attributes
-    if (attributes.type) description += ` (${attributes.type})`;
-    if (attributes.placeholder) description += ` placeholder="${attributes.placeholder}"`;
-    if (attributes.value) description += ` value="${attributes.value}"`;
-    if (attributes.href) description += ` href="${attributes.href}"`;
-    if (attributes.title) description += ` title="${attributes.title}"`;
-    if (attributes.alt) description += ` alt="${attributes.alt}"`;
+      if (groupName && radioGroups.has(groupName)) {
+        addRadioOption(radioGroups.get(groupName), control);
+        continue;
+      }
 
-    // Add text content
-    if (text && text.length > 0) {
-      description += ` text="${text}"`;
+      const field = createFormField(control, type);
+      if (groupName) {
+        const groupLabel = getRadioGroupLabel(control);
+        if (groupLabel) {
+          field.label = groupLabel;
+          field.labelSource = 'group';
+          field.labelIndex = null;
+        }
+        // The group's value is its checked option
+        delete field.checked;
+        field.value = '';
+        field.options = [];
+        addRadioOption(field, control);
+        radioGroups.set(groupName, field);
+      }
+      fields.push(field);
     }
 
-    // Add role/aria information
-    if (attributes.role) description += ` role="${attributes.role}"`;
-    if (attributes['aria-label']) description += ` aria-label="${attributes['aria-label']}"`;
+    return fields;
+  }
 
-    return description;
+  function getFieldType(control) {
+    const tagName = control.nodeName.toLowerCase();
+    if (tagName === 'input') return (control.getAttribute('type') || 'text').toLowerCase();
+    if (tagName === 'select') return control.multiple ? 'select-multiple' : 'select';
+    if (tagName === 'textarea') return 'textarea';
+    const role = control.getAttribute('role');
+    if (role) return role;
+    return 'richtext';
   }
 
-  const result = {
-    rootId,
-    map: DOM_HASH_MAP,
+  function createFormField(control, type) {
+    const { label, labelSource, labelElement } = getFieldLabel(control);
+    const labelData = labelElement ? DOM_HASH_MAP[nodeIds.get(labelElement)] : null;
+    const isChoice = type === 'checkbox' || type === 'radio' || control.getAttribute('role') === 'switch';
+
+    const field = {
+      ...describeFormElement(control),
+      type,
+      purpose: getFieldPurpose(control, type, label),
+      name: control.getAttribute('name') || '',
+      id: control.id || '',
+      label,
+      labelSource,
+      labelIndex: labelData && labelData.highlightIndex !== undefined ? labelData.highlightIndex : null,
+      placeholder: control.getAttribute('placeholder') || '',
+      required: control.required === true || control.getAttribute('aria-required') === 'true',
+      disabled: control.disabled === true || control.getAttribute('aria-disabled') === 'true',
+      readonly: control.readOnly === true || control.getAttribute('aria-readonly') === 'true',
+      constraints: getFieldConstraints(control)
+    };
+    delete field.text;
+
+    if (isChoice) {
+      field.checked = 'checked' in control ? control.checked : control.getAttribute('aria-checked') === 'true';
+    } else if (type !== 'password') {
+      // Password values are never copied into the model
+      field.value = 'value' in control ? String(control.value) : normalizeWhitespace(control.textContent);
+    }
+
+    if (control.nodeName.toLowerCase() === 'select') {
+      field.options = Array.from(control.options).map(option => ({
+        value: option.value,
+        label: normalizeWhitespace(option.text),
+        selected: option.selected,
+        disabled: option.disabled
+      }));
+    } else if (control.list) {
+      field.suggestions = Array.from(control.list.options || []).map(option => option.value);
+    }
+
+    return field;
+  }
+
+  function addRadioOption(field, control) {
+    const { label } = getFieldLabel(control);
+    const { index, stableId, xpath, locator } = describeFormElement(control);
+    field.options.push({ value: control.value, label, checked: control.checked, index, stableId, xpath, locator });
+    if (control.checked) field.value = control.value;
+    if (control.required) field.required = true;
+  }
+
+  function getRadioGroupLabel(control) {
+    const group = control.closest('fieldset, [role="radiogroup"]');
+    if (!group) return '';
+    if (group.nodeName.toLowerCase() === 'fieldset') {
+      const legend = Array.from(group.children).find(child => child.nodeName.toLowerCase() === 'legend');
+      if (legend) return normalizeWhitespace(legend.textContent);
+    }
+    return getAccessibleName(group);
+  }
+
+  /**
+   * Label text of a control and where it came from: aria-labelledby, aria-label, a label[for],
+   * a wrapping label, placeholder, title or, failing all of them, the text just before it.
+   */
+  function getFieldLabel(control) {
+    const text = (node, referenced = false) => normalizeWhitespace(computeTextAlternative(node, {
+      // The control's own value is not part of its label
+      visited: new Set([control]),
+      isRoot: false,
+      inLabelledBy: true,
+      referenced
+    }));
+
+    const labelledBy = (control.getAttribute('aria-labelledby') || '').trim().split(/\s+/).filter(Boolean)
+      .map(id => getReferencedElement(control, id))
+      .filter(Boolean);
+    if (labelledBy.length > 0) {
+      const label = normalizeWhitespace(labelledBy.map(node => text(node, true)).join(' '));
+      if (label) return { label, labelSource: 'aria-labelledby', labelElement: labelledBy[0] };
+    }
+
+    const ariaLabel = normalizeWhitespace(control.getAttribute('aria-label'));
+    if (ariaLabel) return { label: ariaLabel, labelSource: 'aria-label', labelElement: null };
+
+    const labels = getLabelElements(control);
+    if (labels.length > 0) {
+      const label = normalizeWhitespace(labels.map(node => text(node)).join(' '));
+      const labelSource = labels[0].getAttribute('for') === control.id && control.id ? 'for' : 'nesting';
+      if (label) return { label, labelSource, labelElement: labels[0] };
+    }
+
+    for (const attribute of ['placeholder', 'title']) {
+      const value = normalizeWhitespace(control.getAttribute(attribute));
+      if (value) return { label: value, labelSource: attribute, labelElement: null };
+    }
+
+    // Proximity: the text of the element right before the control
+    const previous = control.previousElementSibling;
+    const previousText = previous && !previous.matches(`${FORM_CONTROL_SELECTOR}, ${FORM_BUTTON_SELECTOR}`)
+      ? normalizeWhitespace(previous.textContent).substring(0, 80)
+      : '';
+    if (previousText) return { label: previousText, labelSource: 'proximity', labelElement: previous };
+
+    return { label: '', labelSource: null, labelElement: null };
+  }
+
+  function getFieldPurpose(control, type, label) {
+    if (TYPED_PURPOSES[type]) return TYPED_PURPOSES[type];
+
+    const autocomplete = (control.getAttribute('autocomplete') || '').trim().split(/\s+/).pop();
+    if (AUTOCOMPLETE_PURPOSES[autocomplete]) return AUTOCOMPLETE_PURPOSES[autocomplete];
+
+    const hints = [control.getAttribute('name'), control.id, label, control.getAttribute('placeholder')]
+      .filter(Boolean);
+    for (const [purpose, pattern] of FIELD_PURPOSE_KEYWORDS) {
+      if (hints.some(hint => pattern.test(hint))) return purpose;
+    }
+    return type.startsWith('select') ? 'select' : 'text';
+  }
+
+  // Only the constraints the control actually declares
+  function getFieldConstraints(control) {
+    const constraints = {};
+    for (const attribute of ['pattern', 'min', 'max', 'step', 'accept', 'autocomplete', 'inputmode']) {
+      if (control.hasAttribute(attribute)) constraints[attribute === 'inputmode' ? 'inputMode' : attribute] = control.getAttribute(attribute);
+    }
+    for (const attribute of ['minlength', 'maxlength']) {
+      const value = Number(control.getAttribute(attribute));
+      if (control.hasAttribute(attribute) && value >= 0) constraints[attribute === 'minlength' ? 'minLength' : 'maxLength'] = value;
+    }
+    if (control.multiple) constraints.multiple = true;
+    return constraints;
+  }
+
+  /**
+   * Describes an element's surroundings so it can be recognised after the page changes.
+   */
+  function getNeighbourContext(element) {
+    if (!element) return null;
+
+    const describeText = (node) => (node ? normalizeWhitespace(node.textContent).substring(0, 50) : '');
+    const parent = element.parentElement;
+    const closestWithId = parent ? parent.closest('[id]') : null;
+
+    return {
+      parentTagName: parent ? parent.nodeName.toLowerCase() : '',
+      parentId: parent ? parent.id : '',
+      parentClass: parent && typeof parent.className === 'string' ? parent.className.trim() : '',
+      closestId: closestWithId ? closestWithId.id : '',
+      label: getLabelText(element),
+      previousText: describeText(element.previousElementSibling),
+      nextText: describeText(element.nextElementSibling)
+    };
+  }
+
+  /**
+   * Where an element is drawn: its box in top-level viewport and page coordinates, the offset of
+   * the iframes it is in, the scrollable ancestors that clip it (innermost first) and whether
+   * another element covers its center. `occluded` is null when the center is off-screen.
+   */
+  function getElementGeometry(element) {
+    if (!element) return null;
+
+    const rect = getCachedBoundingRect(element);
+    if (!rect) return null;
+
+    const frameOffset = getFrameOffset(element);
+    const x = rect.left + (frameOffset ? frameOffset.x : 0);
+    const y = rect.top + (frameOffset ? frameOffset.y : 0);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const view = element.ownerDocument.defaultView || window;
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    const centerOnScreen = rect.width > 0 && rect.height > 0 &&
+      centerX >= 0 && centerY >= 0 && centerX <= view.innerWidth && centerY <= view.innerHeight;
+    const cover = centerOnScreen ? getCoveringElement(element) : null;
+
+    return {
+      viewport: { x: round(x), y: round(y), width: round(rect.width), height: round(rect.height) },
+      page: { x: round(x + window.scrollX), y: round(y + window.scrollY), width: round(rect.width), height: round(rect.height) },
+      center: { x: round(x + rect.width / 2), y: round(y + rect.height / 2) },
+      frameOffset: frameOffset ? { x: round(frameOffset.x), y: round(frameOffset.y) } : null,
+      scrollContainers: getScrollContainers(element).map(describeScrollContainer),
+      occluded: centerOnScreen ? cover !== null : null,
+      occludedBy: cover ? describeGeometryElement(cover) : null
+    };
+  }
+
+  /**
+   * Offset of an element's document in the top-level viewport; null in the top document.
+   * Only same-origin frames are reachable, so the offset stops at the first cross-origin parent.
+   */
+  function getFrameOffset(element) {
+    let view = element.ownerDocument.defaultView;
+    if (!view || view === window) return null;
+
+    let x = 0;
+    let y = 0;
+    while (view && view !== window) {
+      let frame = null;
+      try {
+        frame = view.frameElement;
+      } catch (e) {
+        // Cross-origin parent
+      }
+      if (!frame) break;
+
+      const frameRect = getCachedBoundingRect(frame);
+      const frameStyle = getCachedComputedStyle(frame);
+      x += frameRect.left + frame.clientLeft + (parseFloat(frameStyle.paddingLeft) || 0);
+      y += frameRect.top + frame.clientTop + (parseFloat(frameStyle.paddingTop) || 0);
+      view = frame.ownerDocument.defaultView;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Ancestors that scroll their overflow, innermost first, crossing shadow roots and same-origin
+   * frames. The documents' own scrolling elements are left out; the page offset covers those.
+   */
+  function getScrollContainers(element) {
+    const containers = [];
+    let current = getComposedParent(element);
+    while (current) {
+      const doc = current.ownerDocument;
+      if (current === doc.scrollingElement || current === doc.documentElement || current === doc.body) {
+        let frame = null;
+        try {
+          frame = doc.defaultView ? doc.defaultView.frameElement : null;
+        } catch (e) {
+          // Cross-origin parent
+        }
+        current = frame ? getComposedParent(frame) : null;
+        continue;
+      }
+
+      const style = getCachedComputedStyle(current);
+      const scrollsX = /(auto|scroll|overlay)/.test(style.overflowX) && current.scrollWidth > current.clientWidth;
+      const scrollsY = /(auto|scroll|overlay)/.test(style.overflowY) && current.scrollHeight > current.clientHeight;
+      if (scrollsX || scrollsY) containers.push(current);
+
+      current = getComposedParent(current);
+    }
+    return containers;
+  }
+
+  function getComposedParent(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.getRootNode();
+    return root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root.host : null;
+  }
+
+  function describeScrollContainer(container) {
+    return {
+      ...describeGeometryElement(container),
+      scrollTop: Math.round(container.scrollTop),
+      scrollLeft: Math.round(container.scrollLeft),
+      scrollWidth: container.scrollWidth,
+      scrollHeight: container.scrollHeight,
+      clientWidth: container.clientWidth,
+      clientHeight: container.clientHeight
+    };
+  }
+
+  function describeGeometryElement(element) {
+    const nodeId = nodeIds.get(element) ?? null;
+    const nodeData = nodeId !== null ? DOM_HASH_MAP[nodeId] : null;
+    return {
+      nodeId,
+      tagName: element.nodeName.toLowerCase(),
+      xpath: nodeData && nodeData.xpath ? nodeData.xpath : getXPathTree(element)
+    };
+  }
+
+  // Attributes that identify an element independent of its position
+  const STABLE_ID_ATTRIBUTES = [
+    'id', 'name', 'type', 'role', 'href', 'for', 'placeholder', 'aria-label', 'title', 'alt',
+    'data-testid', 'data-test', 'data-cy', 'data-qa'
+  ];
+  const stableIdCounts = new Map();
+  const stableIdCache = new WeakMap();
+  const elementPathCache = new WeakMap();
+
+  /**
+   * 53-bit string hash (cyrb53), rendered in base 36.
+   */
+  function hashString(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+      const code = value.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
+  function getStableIdValue(value) {
+    return value && !DYNAMIC_ID_PATTERN.test(value) ? value : '';
+  }
+
+  /**
+   * Tag/id path from the top document down to the element, crossing shadow roots and iframes.
+   * Positions and generated ids are left out so unrelated DOM changes don't alter it.
+   */
+  function getElementPath(element) {
+    if (!element) return '';
+    if (elementPathCache.has(element)) return elementPathCache.get(element);
+
+    let parent = element.parentElement;
+    if (!parent) {
+      const root = element.getRootNode();
+      if (root instanceof ShadowRoot) {
+        parent = root.host;
+      } else {
+        try {
+          parent = element.ownerDocument.defaultView.frameElement;
+        } catch (e) {
+          parent = null;
+        }
+      }
+    }
+
+    const id = getStableIdValue(element.id);
+    const path = `${getElementPath(parent)}/${element.nodeName.toLowerCase()}${id ? `#${id}` : ''}`;
+    elementPathCache.set(element, path);
+    return path;
+  }
+
+  /**
+   * Content-based id built from tag, key attributes, text and ancestor path.
+   * Identical elements are told apart by their document order ("-2", "-3", ...).
+   */
+  function getStableId(node) {
+    // Rebuilt subtrees keep the ids of the nodes that survived
+    if (stableIdCache.has(node)) return stableIdCache.get(node);
+
+    const parts = [];
+
+    if (node.nodeType === Node.TEXT_NODE) {
+      parts.push(getElementPath(node.parentElement), '#text', normalizeWhitespace(node.textContent).substring(0, 100));
+    } else {
+      parts.push(getElementPath(node));
+      for (const attr of STABLE_ID_ATTRIBUTES) {
+        const value = attr === 'id' ? getStableIdValue(node.getAttribute(attr)) : node.getAttribute(attr);
+        if (value) parts.push(`${attr}=${value}`);
+      }
+
+      // Own text keeps containers stable when nested content changes; short labels use their full text
+      const ownText = normalizeWhitespace(Array.from(node.childNodes)
+        .filter(child => child.nodeType === Node.TEXT_NODE)
+        .map(child => child.textContent)
+        .join(' '));
+      const fullText = normalizeWhitespace(node.textContent);
+      parts.push(ownText || (fullText.length <= 50 ? fullText : ''));
+    }
+
+    const hash = hashString(parts.join('|'));
+    const count = (stableIdCounts.get(hash) || 0) + 1;
+    stableIdCounts.set(hash, count);
+    const stableId = count === 1 ? hash : `${hash}-${count}`;
+    stableIdCache.set(node, stableId);
+    return stableId;
+  }
+
+  function isTextNodeVisible(textNode) {
+    // ...existing implementation...
+    try {
+      if (viewportExpansion === -1) {
+        const parentElement = textNode.parentElement;
+        if (!parentElement) return false;
+
+        try {
+          return parentElement.checkVisibility({
+            checkOpacity: true,
+            checkVisibilityCSS: true,
+          });
+        } catch (e) {
+          const style = window.getComputedStyle(parentElement);
+          return style.display !== 'none' &&
+            style.visibility !== 'hidden' &&
+            style.opacity !== '0';
+        }
+      }
+
+      const range = document.createRange();
+      range.selectNodeContents(textNode);
+      const rects = range.getClientRects();
+
+      if (!rects || rects.length === 0) {
+        return false;
+      }
+
+      let isAnyRectVisible = false;
+      let isAnyRectInViewport = false;
+
+      for (const rect of rects) {
+        if (rect.width > 0 && rect.height > 0) {
+          isAnyRectVisible = true;
+
+          if (!(
+            rect.bottom < -viewportExpansion ||
+            rect.top > window.innerHeight + viewportExpansion ||
+            rect.right < -viewportExpansion ||
+            rect.left > window.innerWidth + viewportExpansion
+          )) {
+            isAnyRectInViewport = true;
+            break;
+          }
+        }
+      }
+
+      if (!isAnyRectVisible || !isAnyRectInViewport) {
+        return false;
+      }
+
+      const parentElement = textNode.parentElement;
+      if (!parentElement) return false;
+
+      try {
+        return parentElement.checkVisibility({
+          checkOpacity: true,
+          checkVisibilityCSS: true,
+        });
+      } catch (e) {
+        const style = window.getComputedStyle(parentElement);
+        return style.display !== 'none' &&
+          style.visibility !== 'hidden' &&
+          style.opacity !== '0';
+      }
+    } catch (e) {
+      console.warn('Error checking text node visibility:', e);
+      return false;
+    }
+  }
+
+  /**
+   * The element's shadow root: open ones directly, closed ones through chrome.dom when the
+   * script runs as an extension content script.
+   */
+  function getShadowRoot(element) {
+    if (element.shadowRoot) return element.shadowRoot;
+    if (element.nodeType !== Node.ELEMENT_NODE || typeof chrome === 'undefined' || !chrome.dom || !chrome.dom.openOrClosedShadowRoot) {
+      return null;
+    }
+    try {
+      return chrome.dom.openOrClosedShadowRoot(element) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Why an iframe's document could not be analyzed, or null when it was
+  function getFrameAccess(iframe, frameDocument) {
+    if (frameDocument) return frameDocument.body ? null : 'not-loaded';
+
+    const sandbox = iframe.getAttribute('sandbox');
+    if (sandbox !== null && !sandbox.split(/\s+/).includes('allow-same-origin')) return 'sandboxed';
+
+    const src = iframe.getAttribute('src');
+    if (!src || src === 'about:blank') return iframe.hasAttribute('srcdoc') ? 'access-denied' : 'not-loaded';
+    try {
+      return new URL(src, iframe.ownerDocument.baseURI).origin !== iframe.ownerDocument.defaultView.location.origin
+        ? 'cross-origin'
+        : 'access-denied';
+    } catch (e) {
+      return 'access-denied';
+    }
+  }
+
+  // Custom elements that render something without an open shadow root or light DOM content
+  // most likely keep it in a closed shadow root
+  function hasHiddenShadowContent(element) {
+    if (!element.nodeName.includes('-') || getShadowRoot(element) || element.childElementCount > 0) return false;
+    if (normalizeWhitespace(element.textContent)) return false;
+    const rect = getCachedBoundingRect(element);
+    return Boolean(rect && rect.width > 0 && rect.height > 0);
+  }
+
+  /**
+   * Lists the iframes and shadow hosts the walk could not look into, with the reason, size and
+   * locator of each, so that gaps in the analysis are visible.
+   */
+  function buildCoverage() {
+    const unreachable = [];
+
+    for (const [iframe, reason] of coverageFrames) {
+      if (reason) unreachable.push(createCoverageEntry(iframe, 'iframe', reason));
+    }
+
+    let openShadowRoots = 0;
+    for (const root of observableRoots) {
+      if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !closedShadowRoots.has(root)) openShadowRoots++;
+    }
+
+    for (const element of coverageHosts) {
+      if (hasHiddenShadowContent(element)) {
+        unreachable.push(createCoverageEntry(element, 'shadow-host', 'closed-shadow-root'));
+      }
+    }
+
+    const unreachableFrames = unreachable.filter(entry => entry.kind === 'iframe').length;
+    return {
+      complete: unreachable.length === 0,
+      frames: { total: coverageFrames.size, analyzed: coverageFrames.size - unreachableFrames, unreachable: unreachableFrames },
+      shadowRoots: { open: openShadowRoots, closed: closedShadowRoots.size, unreachable: unreachable.length - unreachableFrames },
+      unreachable
+    };
+  }
+
+  function createCoverageEntry(element, kind, reason) {
+    const nodeId = nodeIds.get(element) ?? null;
+    const nodeData = nodeId !== null ? DOM_HASH_MAP[nodeId] : null;
+    const rect = getCachedBoundingRect(element);
+    const bestLocator = generateLocators(element).find(locator => locator.unique);
+
+    const entry = {
+      kind,
+      reason,
+      nodeId,
+      tagName: element.nodeName.toLowerCase(),
+      stableId: nodeData ? nodeData.stableId : getStableId(element),
+      xpath: nodeData && nodeData.xpath ? nodeData.xpath : getXPathTree(element),
+      locator: bestLocator ? bestLocator.locator : null,
+      size: { width: rect ? Math.round(rect.width) : 0, height: rect ? Math.round(rect.height) : 0 }
+    };
+
+    if (kind === 'iframe') {
+      entry.src = element.src || element.getAttribute('src') || '';
+      entry.name = element.getAttribute('name') || '';
+      // Ties the entry to the frame's own result when analyzePage.js was injected into all frames
+      if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getFrameId) {
+        try {
+          const frameId = chrome.runtime.getFrameId(element);
+          if (frameId >= 0) entry.frameId = frameId;
+        } catch (e) {
+          // Not available outside of content scripts
+        }
+      }
+    }
+
+    return entry;
+  }
+
+  function isElementAccepted(element) {
+    if (!element || !element.tagName) return false;
+
+    const alwaysAccept = new Set([
+      "body", "div", "main", "article", "section", "nav", "header", "footer"
+    ]);
+    const tagName = element.tagName.toLowerCase();
+
+    if (alwaysAccept.has(tagName)) return true;
+
+    const leafElementDenyList = new Set([
+      "svg", "script", "style", "link", "meta", "noscript", "template",
+    ]);
+
+    return !leafElementDenyList.has(tagName);
+  }
+
+  function isElementVisible(element) {
+    const style = getCachedComputedStyle(element);
+    return (
+      element.offsetWidth > 0 &&
+      element.offsetHeight > 0 &&
+      style?.visibility !== "hidden" &&
+      style?.display !== "none"
+    );
+  }
+
+  function isInteractiveElement(element) {
+    // ...existing implementation...
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+
+    const pluginVerdict = getPluginInteractivity(element);
+    if (pluginVerdict !== undefined) {
+      return pluginVerdict;
+    }
+
+    const tagName = element.tagName.toLowerCase();
+    const style = getCachedComputedStyle(element);
+
+    // Define interactive cursors
+    const interactiveCursors = new Set([
+      'pointer', 'move', 'text', 'grab', 'grabbing', 'cell', 'copy', 'alias',
+      'all-scroll', 'col-resize', 'context-menu', 'crosshair', 'e-resize',
+      'ew-resize', 'help', 'n-resize', 'ne-resize', 'nesw-resize', 'ns-resize',
+      'nw-resize', 'nwse-resize', 'row-resize', 's-resize', 'se-resize',
+      'sw-resize', 'vertical-text', 'w-resize', 'zoom-in', 'zoom-out'
+    ]);
+
+    const nonInteractiveCursors = new Set([
+      'not-allowed', 'no-drop', 'wait', 'progress', 'initial', 'inherit'
+    ]);
+
+    function doesElementHaveInteractivePointer(element) {
+      if (element.tagName.toLowerCase() === "html") return false;
+      if (style?.cursor && interactiveCursors.has(style.cursor)) return true;
+      return false;
+    }
+
+    let isInteractiveCursor = doesElementHaveInteractivePointer(element);
+
+    if (isInteractiveCursor) {
+      return true;
+    }
+
+    const interactiveElements = new Set([
+      "a", "button", "input", "select", "textarea", "details", "summary",
+      "label", "option", "optgroup", "fieldset", "legend",
+    ]);
+
+    const explicitDisableTags = new Set([
+      'disabled', 'readonly',
+    ]);
+
+    if (interactiveElements.has(tagName)) {
+      if (style?.cursor && nonInteractiveCursors.has(style.cursor)) {
+        return false;
+      }
+
+      for (const disableTag of explicitDisableTags) {
+        if (element.hasAttribute(disableTag) ||
+          element.getAttribute(disableTag) === 'true' ||
+          element.getAttribute(disableTag) === '') {
+          return false;
+        }
+      }
+
+      if (element.disabled || element.readOnly || element.inert) {
+        return false;
+      }
+
+      return true;
+    }
+
+    const role = element.getAttribute("role");
+    const ariaRole = element.getAttribute("aria-role");
+
+    if (element.getAttribute("contenteditable") === "true" || element.isContentEditable) {
+      return true;
+    }
+
+    if (element.classList && (
+      element.classList.contains("button") ||
+      element.classList.contains('dropdown-toggle') ||
+      element.getAttribute('data-index') ||
+      element.getAttribute('data-toggle') === 'dropdown' ||
+      element.getAttribute('aria-haspopup') === 'true'
+    )) {
+      return true;
+    }
+
+    const interactiveRoles = new Set([
+      'button', 'menu', 'menubar', 'menuitem', 'menuitemradio', 'menuitemcheckbox',
+      'radio', 'checkbox', 'tab', 'switch', 'slider', 'spinbutton', 'combobox',
+      'searchbox', 'textbox', 'listbox', 'option', 'scrollbar'
+    ]);
+
+    const hasInteractiveRole =
+      interactiveElements.has(tagName) ||
+      (role && interactiveRoles.has(role)) ||
+      (ariaRole && interactiveRoles.has(ariaRole));
+
+    if (hasInteractiveRole) return true;
+
+    try {
+      if (typeof getEventListeners === 'function') {
+        const listeners = getEventListeners(element);
+        const mouseEvents = ['click', 'mousedown', 'mouseup', 'dblclick'];
+        for (const eventType of mouseEvents) {
+          if (listeners[eventType] && listeners[eventType].length > 0) {
+            return true;
+          }
+        }
+      }
+
+      const getEventListenersForNode = element?.ownerDocument?.defaultView?.getEventListenersForNode || window.getEventListenersForNode;
+      if (typeof getEventListenersForNode === 'function') {
+        const listeners = getEventListenersForNode(element);
+        const interactionEvents = ['click', 'mousedown', 'mouseup', 'keydown', 'keyup', 'submit', 'change', 'input', 'focus', 'blur'];
+        for (const eventType of interactionEvents) {
+          for (const listener of listeners) {
+            if (listener.type === eventType) {
+              return true;
+            }
+          }
+        }
+      }
+
+      const commonMouseAttrs = ['onclick', 'onmousedown', 'onmouseup', 'ondblclick'];
+      for (const attr of commonMouseAttrs) {
+        if (element.hasAttribute(attr) || typeof element[attr] === 'function') {
+          return true;
+        }
+      }
+    } catch (e) {
+      // If checking listeners fails, rely on other checks
+    }
+
+    return false;
+  }
+
+  // ...include all other helper functions from the original implementation...
+  function isTopElement(element) {
+    if (viewportExpansion === -1) {
+      return true;
+    }
+
+    const rects = getCachedClientRects(element);
+
+    if (!rects || rects.length === 0) {
+      return false;
+    }
+
+    let isAnyRectInViewport = false;
+    for (const rect of rects) {
+      if (rect.width > 0 && rect.height > 0 && !(
+        rect.bottom < -viewportExpansion ||
+        rect.top > window.innerHeight + viewportExpansion ||
+        rect.right < -viewportExpansion ||
+        rect.left > window.innerWidth + viewportExpansion
+      )) {
+        isAnyRectInViewport = true;
+        break;
+      }
+    }
+
+    if (!isAnyRectInViewport) {
+      return false;
+    }
+
+    let doc = element.ownerDocument;
+
+    if (doc !== window.document) {
+      return true;
+    }
+
+    const shadowRoot = element.getRootNode();
+    if (shadowRoot instanceof ShadowRoot) {
+      const centerX = rects[Math.floor(rects.length / 2)].left + rects[Math.floor(rects.length / 2)].width / 2;
+      const centerY = rects[Math.floor(rects.length / 2)].top + rects[Math.floor(rects.length / 2)].height / 2;
+
+      try {
+        const topEl = shadowRoot.elementFromPoint(centerX, centerY);
+        if (!topEl) return false;
+
+        let current = topEl;
+        while (current && current !== shadowRoot) {
+          if (current === element) return true;
+          current = current.parentElement;
+        }
+        return false;
+      } catch (e) {
+        return true;
+      }
+    }
+
+    const margin = 5;
+    const rect = rects[Math.floor(rects.length / 2)];
+
+    const checkPoints = [
+      { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+      { x: rect.left + margin, y: rect.top + margin },
+      { x: rect.right - margin, y: rect.bottom - margin },
+    ];
+
+    return checkPoints.some(({ x, y }) => {
+      try {
+        const topEl = document.elementFromPoint(x, y);
+        if (!topEl) return false;
+
+        let current = topEl;
+        while (current && current !== document.documentElement) {
+          if (current === element) return true;
+          current = current.parentElement;
+        }
+        return false;
+      } catch (e) {
+        return true;
+      }
+    });
+  }
+
+  function isInExpandedViewport(element, viewportExpansion) {
+    if (viewportExpansion === -1) {
+      return true;
+    }
+
+    const rects = element.getClientRects();
+
+    if (!rects || rects.length === 0) {
+      const boundingRect = getCachedBoundingRect(element);
+      if (!boundingRect || boundingRect.width === 0 || boundingRect.height === 0) {
+        return false;
+      }
+      return !(
+        boundingRect.bottom < -viewportExpansion ||
+        boundingRect.top > window.innerHeight + viewportExpansion ||
+        boundingRect.right < -viewportExpansion ||
+        boundingRect.left > window.innerWidth + viewportExpansion
+      );
+    }
+
+    for (const rect of rects) {
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      if (!(
+        rect.bottom < -viewportExpansion ||
+        rect.top > window.innerHeight + viewportExpansion ||
+        rect.right < -viewportExpansion ||
+        rect.left > window.innerWidth + viewportExpansion
+      )) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  function isInteractiveCandidate(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+
+    const tagName = element.tagName.toLowerCase();
+
+    const interactiveElements = new Set([
+      "a", "button", "input", "select", "textarea", "details", "summary", "label"
+    ]);
+
+    if (interactiveElements.has(tagName)) return true;
+
+    const hasQuickInteractiveAttr = element.hasAttribute("onclick") ||
+      element.hasAttribute("role") ||
+      element.hasAttribute("tabindex") ||
+      element.hasAttribute("aria-") ||
+      element.hasAttribute("data-action") ||
+      element.getAttribute("contenteditable") === "true";
+
+    return hasQuickInteractiveAttr;
+  }
+
+  const DISTINCT_INTERACTIVE_TAGS = new Set([
+    'a', 'button', 'input', 'select', 'textarea', 'summary', 'details', 'label', 'option'
+  ]);
+  const INTERACTIVE_ROLES = new Set([
+    'button', 'link', 'menuitem', 'menuitemradio', 'menuitemcheckbox',
+    'radio', 'checkbox', 'tab', 'switch', 'slider', 'spinbutton',
+    'combobox', 'searchbox', 'textbox', 'listbox', 'option', 'scrollbar'
+  ]);
+
+  function isHeuristicallyInteractive(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+
+    if (!isElementVisible(element)) return false;
+
+    const hasInteractiveAttributes =
+      element.hasAttribute('role') ||
+      element.hasAttribute('tabindex') ||
+      element.hasAttribute('onclick') ||
+      typeof element.onclick === 'function';
+
+    const hasInteractiveClass = /\b(btn|clickable|menu|item|entry|link)\b/i.test(element.className || '');
+
+    const isInKnownContainer = Boolean(
+      element.closest('button,a,[role="button"],.menu,.dropdown,.list,.toolbar')
+    );
+
+    const hasVisibleChildren = [...element.children].some(isElementVisible);
+
+    const isParentBody = element.parentElement && element.parentElement.isSameNode(document.body);
+
+    return (
+      (isInteractiveElement(element) || hasInteractiveAttributes || hasInteractiveClass) &&
+      hasVisibleChildren &&
+      isInKnownContainer &&
+      !isParentBody
+    );
+  }
+
+  function isElementDistinctInteraction(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+
+    const tagName = element.tagName.toLowerCase();
+    const role = element.getAttribute('role');
+
+    if (tagName === 'iframe') {
+      return true;
+    }
+
+    // Elements a plugin declares interactive are highlighted even inside other highlighted elements
+    if (getPluginInteractivity(element) === true) {
+      return true;
+    }
+
+    if (DISTINCT_INTERACTIVE_TAGS.has(tagName)) {
+      return true;
+    }
+
+    if (role && INTERACTIVE_ROLES.has(role)) {
+      return true;
+    }
+
+    if (element.isContentEditable || element.getAttribute('contenteditable') === 'true') {
+      return true;
+    }
+
+    if (element.hasAttribute('data-testid') || element.hasAttribute('data-cy') || element.hasAttribute('data-test') || hasPluginTestId(element)) {
+      return true;
+    }
+
+    if (element.hasAttribute('onclick') || typeof element.onclick === 'function') {
+      return true;
+    }
+
+    try {
+      const getEventListenersForNode = element?.ownerDocument?.defaultView?.getEventListenersForNode || window.getEventListenersForNode;
+      if (typeof getEventListenersForNode === 'function') {
+        const listeners = getEventListenersForNode(element);
+        const interactionEvents = ['click', 'mousedown', 'mouseup', 'keydown', 'keyup', 'submit', 'change', 'input', 'focus', 'blur'];
+        for (const eventType of interactionEvents) {
+          for (const listener of listeners) {
+            if (listener.type === eventType) {
+              return true;
+            }
+          }
+        }
+      }
+
+      const commonEventAttrs = ['onmousedown', 'onmouseup', 'onkeydown', 'onkeyup', 'onsubmit', 'onchange', 'oninput', 'onfocus', 'onblur'];
+      if (commonEventAttrs.some(attr => element.hasAttribute(attr))) {
+        return true;
+      }
+    } catch (e) {
+      // If checking listeners fails, rely on other checks
+    }
+
+    if (isHeuristicallyInteractive(element)) {
+      return true;
+    }
+
+    return false;
+  }
+
+  // Weights used to rank highlight candidates when prioritizeByImportance is enabled
+  const IMPORTANCE_WEIGHTS = {
+    tags: {
+      button: 40, input: 40, select: 40, textarea: 40, a: 30,
+      summary: 25, details: 20, label: 10, option: 10, iframe: 15
+    },
+    roles: {
+      button: 35, link: 30, checkbox: 35, radio: 35, switch: 35, textbox: 35,
+      searchbox: 35, combobox: 35, menuitem: 25, menuitemradio: 25,
+      menuitemcheckbox: 25, tab: 25, slider: 25, spinbutton: 25,
+      listbox: 25, option: 15, scrollbar: 5
+    },
+    testId: 30,
+    identifier: 10,
+    accessibleLabel: 10,
+    inViewport: 20,
+    maxSize: 15,
+    tinyPenalty: -20
+  };
+  const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test', 'data-cy', 'data-qa'];
+
+  const highlightCandidates = [];
+  // Live element for each assigned highlight index
+  const highlightedNodes = new Map();
+  // Index of each element, reused when its subtree is rebuilt
+  const elementIndexes = new WeakMap();
+
+  /**
+   * Scores how important an interactive element is to someone automating the page.
+   * Combines tag/role, test-id presence, viewport visibility and rendered size.
+   */
+  function getImportanceScore(node, nodeData) {
+    const weights = IMPORTANCE_WEIGHTS;
+    const role = node.getAttribute('role');
+    let score = 0;
+
+    score += Math.max(weights.tags[nodeData.tagName] || 0, (role && weights.roles[role]) || 0);
+
+    if (TEST_ID_ATTRIBUTES.some(attr => node.hasAttribute(attr)) || hasPluginTestId(node)) {
+      score += weights.testId;
+    }
+
+    if (node.id || node.hasAttribute('name')) {
+      score += weights.identifier;
+    }
+
+    if (node.hasAttribute('aria-label') || node.hasAttribute('aria-labelledby') || node.hasAttribute('title')) {
+      score += weights.accessibleLabel;
+    }
+
+    if (nodeData.isInViewport) {
+      score += weights.inViewport;
+    }
+
+    const rect = getCachedBoundingRect(node);
+    if (rect) {
+      const area = rect.width * rect.height;
+      if (rect.width < 8 || rect.height < 8) {
+        score += weights.tinyPenalty;
+      } else {
+        // Log scale so large containers don't drown out ordinary controls
+        score += Math.min(weights.maxSize, Math.round(Math.log2(1 + area / 100) * 2));
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Picks at most maxElements candidates and assigns their highlight indexes.
+   * Indexes always follow document order, so the same page yields the same indexes.
+   * In watch mode elements keep their index and new ones are numbered after the last.
+   * Candidates nested in a highlighted parent only count once the cap has left that parent out.
+   */
+  function assignHighlightIndices() {
+    // Elements indexed outside the rebuilt subtrees count against the limit
+    const limit = Math.max(0, maxElements - highlightedNodes.size);
+    const selected = new Set();
+    const isSuppressed = (candidate) => Boolean(candidate.parent) &&
+      (selected.has(candidate.parent) || candidate.parent.nodeData.highlightIndex !== undefined);
+
+    if (prioritizeByImportance) {
+      // Dropping a parent frees its nested candidates, which then compete for the remaining places
+      const pool = new Set(highlightCandidates.filter(candidate => !candidate.parent));
+      let added = true;
+      while (added) {
+        const ranked = [...pool].sort((a, b) => (b.score - a.score) || (a.order - b.order)).slice(0, limit);
+        selected.clear();
+        ranked.forEach(candidate => selected.add(candidate));
+
+        added = false;
+        for (const candidate of highlightCandidates) {
+          if (!pool.has(candidate) && pool.has(candidate.parent) && !selected.has(candidate.parent)) {
+            pool.add(candidate);
+            added = true;
+          }
+        }
+      }
+    } else {
+      // Parents come before their nested candidates, so one pass in document order settles both
+      for (const candidate of highlightCandidates) {
+        if (selected.size >= limit) break;
+        if (!isSuppressed(candidate)) selected.add(candidate);
+      }
+    }
+
+    for (const candidate of highlightCandidates) {
+      if (!selected.has(candidate)) continue;
+      const { nodeData, node, parentIframe } = candidate;
+      nodeData.highlightIndex = elementIndexes.has(node) ? elementIndexes.get(node) : highlightIndex++;
+      nodeData.importance = candidate.score;
+      elementIndexes.set(node, nodeData.highlightIndex);
+      highlightedNodes.set(nodeData.highlightIndex, node);
+
+      if (doHighlightElements && focusedIndex !== null) {
+        if (focusedIndex >= 0) {
+          if (focusedIndex === nodeData.highlightIndex) {
+            highlightElement(node, nodeData.highlightIndex, parentIframe);
+          }
+        } else {
+          highlightElement(node, nodeData.highlightIndex, parentIframe);
+        }
+      }
+    }
+
+    return highlightCandidates.filter(candidate => !selected.has(candidate) && !isSuppressed(candidate)).length;
+  }
+
+  /**
+   * Queues an interactive element for an index. Returns its candidate when nested
+   * interactions should defer to it, which is only settled once the cap is applied.
+   */
+  function handleHighlighting(nodeData, node, parentIframe, highlightedParent) {
+    if (!nodeData.isInteractive) return null; // Not interactive, definitely don't highlight
+
+    // Check viewport status before queuing the element for an index
+    nodeData.isInViewport = isInExpandedViewport(node, viewportExpansion);
+
+    // When viewportExpansion is -1, all interactive elements should get a highlight index
+    // regardless of viewport status
+    if (!nodeData.isInViewport && viewportExpansion !== -1) return null;
+
+    // Indexes are assigned after the walk, once every candidate has been scored
+    const candidate = {
+      nodeData,
+      node,
+      parentIframe,
+      // Only indexed when the parent ends up without one
+      parent: highlightedParent && !isElementDistinctInteraction(node) ? highlightedParent : null,
+      order: highlightCandidates.length,
+      score: getImportanceScore(node, nodeData)
+    };
+    highlightCandidates.push(candidate);
+
+    return doHighlightElements ? candidate : null;
+  }
+
+  // Visible elements and direct parents of visible text, checked by the audit
+  const auditElements = new Set();
+  const textContainers = new Set();
+  // Visible form controls and buttons in document order, grouped into forms after the walk
+  const formElements = [];
+  // Violation id -> live element, for drawViolations()
+  const violationElements = new Map();
+  let drawnViolations = [];
+
+  // Documents and shadow roots a MutationObserver has to watch to see every change
+  const observableRoots = new Set([document]);
+  // Every iframe the walk reached, with null when its document was analyzed or the reason it was not
+  const coverageFrames = new Map();
+  // Closed shadow roots opened through the extension API
+  const closedShadowRoots = new Set();
+  // Custom elements without a shadow root the walk could open
+  const coverageHosts = new Set();
+
+  function buildDomTree(node, parentIframe = null, highlightedParent = null) {
+    // Fast rejection checks first
+    if (!node || node.id === HIGHLIGHT_CONTAINER_ID) {
+      return null;
+    }
+
+    // Special handling for root node (body)
+    if (node === document.body) {
+      const nodeData = {
+        tagName: 'body',
+        attributes: {},
+        xpath: getXPathTree(node),
+        stableId: getStableId(node),
+        children: [],
+        isVisible: true,
+        isTopElement: true,
+        isInteractive: false,
+        isInViewport: true,
+        shadowRoot: false,
+      };
+
+      // Process body children
+      for (const child of node.childNodes) {
+        const childId = buildDomTree(child, parentIframe, false);
+        if (childId !== null) {
+          nodeData.children.push(childId);
+        }
+      }
+
+      return registerNode(node, nodeData);
+    }
+
+    // Early bailout for non-element nodes except text
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.TEXT_NODE) {
+      return null;
+    }
+
+    // Process text nodes
+    if (node.nodeType === Node.TEXT_NODE) {
+      const textContent = node.textContent?.trim();
+      if (!textContent || textContent.length === 0 || !isTextNodeVisible(node)) {
+        return null;
+      }
+
+      if (audit && node.parentElement) {
+        auditElements.add(node.parentElement);
+        textContainers.add(node.parentElement);
+      }
+
+      const nodeData = {
+        tagName: '#text',
+        attributes: {},
+        xpath: '',
+        stableId: getStableId(node),
+        children: [],
+        text: textContent,
+        isVisible: true,
+        isTopElement: false,
+        isInteractive: false,
+        isInViewport: isInExpandedViewport(node.parentElement, viewportExpansion),
+        shadowRoot: false,
+      };
+
+      return registerNode(node, nodeData);
+    }
+
+    // Quick checks for element nodes
+    if (node.nodeType === Node.ELEMENT_NODE && !isElementAccepted(node)) {
+      return null;
+    }
+
+    // Early viewport check - only filter out elements clearly outside viewport
+    if (viewportExpansion !== -1 && !getShadowRoot(node)) {
+      const rect = getCachedBoundingRect(node);
+      if (rect && (rect.width === 0 && rect.height === 0)) {
+        return null;
+      }
+    }
+
+    const nodeData = {
+      tagName: node.tagName.toLowerCase(),
+      attributes: {},
+      xpath: getXPathTree(node),
+      stableId: getStableId(node),
+      children: [],
+      isVisible: false,
+      isTopElement: false,
+      isInteractive: false,
+      isInViewport: false,
+      shadowRoot: Boolean(getShadowRoot(node)),
+    };
+
+    if (accessibility) {
+      const a11y = getAccessibilityInfo(node);
+      if (a11y) nodeData.a11y = a11y;
+    }
+
+    // Get attributes for interactive elements or potential text containers
+    if (isInteractiveCandidate(node) || node.tagName.toLowerCase() === 'iframe' || node.tagName.toLowerCase() === 'body') {
+      const attrs = {};
+      for (const attr of node.attributes || []) {
+        attrs[attr.name] = attr.value;
+      }
+      nodeData.attributes = attrs;
+    }
+
+    let highlightCandidate = null;
+    // Perform visibility, interactivity, and highlighting checks
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      nodeData.isVisible = isElementVisible(node);
+      if (audit && nodeData.isVisible) auditElements.add(node);
+      if (extractForms && nodeData.isVisible && node.matches(`${FORM_CONTROL_SELECTOR}, ${FORM_BUTTON_SELECTOR}`)) {
+        formElements.push(node);
+      }
+
+      if (nodeData.isVisible) {
+        nodeData.isInteractive = isInteractiveElement(node);
+        nodeData.isTopElement = isTopElement(node);
+
+        if (nodeData.isInteractive && nodeData.isTopElement) {
+          highlightCandidate = handleHighlighting(nodeData, node, parentIframe, highlightedParent);
+        }
+      }
+    }
+
+    // Process children, with special handling for iframes and rich text editors
+    if (node.tagName) {
+      const tagName = node.tagName.toLowerCase();
+
+      // Handle iframes
+      if (tagName === 'iframe') {
+        try {
+          const iframeDoc = node.contentDocument || node.contentWindow?.document;
+          if (iframeDoc && iframeDoc.body) {
+            observableRoots.add(iframeDoc);
+            const iframeBodyId = buildDomTree(iframeDoc.body, node, highlightCandidate);
+            if (iframeBodyId !== null) {
+              nodeData.children.push(iframeBodyId);
+            }
+          }
+          coverageFrames.set(node, getFrameAccess(node, iframeDoc));
+        } catch (e) {
+          // Cross-origin documents throw instead of returning null
+          coverageFrames.set(node, getFrameAccess(node, null));
+        }
+      } else {
+        // Process regular children
+        for (const child of node.childNodes) {
+          const childId = buildDomTree(child, parentIframe, highlightCandidate);
+          if (childId !== null) {
+            nodeData.children.push(childId);
+          }
+        }
+      }
+
+      // Handle shadow DOM
+      const shadowRoot = getShadowRoot(node);
+      if (shadowRoot) {
+        observableRoots.add(shadowRoot);
+        if (shadowRoot !== node.shadowRoot) closedShadowRoots.add(shadowRoot);
+        for (const shadowChild of shadowRoot.childNodes) {
+          const shadowChildId = buildDomTree(shadowChild, parentIframe, highlightCandidate);
+          if (shadowChildId !== null) {
+            nodeData.children.push(shadowChildId);
+          }
+        }
+      } else if (tagName.includes('-')) {
+        coverageHosts.add(node);
+      }
+    }
+
+    // Skip empty anchor tags only if they have no dimensions and no children
+    if (nodeData.tagName === 'a' && nodeData.children.length === 0 && !nodeData.attributes.href) {
+      const rect = getCachedBoundingRect(node);
+      if (!rect || (rect.width === 0 && rect.height === 0)) {
+        return null;
+      }
+    }
+
+    return registerNode(node, nodeData);
+  }
+
+  function registerNode(node, nodeData) {
+    const id = `${ID.current++}`;
+    DOM_HASH_MAP[id] = nodeData;
+    nodeIds.set(node, id);
+    for (const childId of nodeData.children) {
+      parentIds[childId] = id;
+    }
+    return id;
+  }
+
+  /**
+   * Everything known about a single element (pick mode), without walking the page: ranked locators
+   * with their match counts, attributes, role and accessible name, and the ancestor chain across
+   * shadow roots and same-origin frames, nearest ancestor first.
+   */
+  function inspectElement(element) {
+    const attributes = {};
+    for (const attr of element.attributes || []) {
+      attributes[attr.name] = attr.value;
+    }
+
+    const tagName = element.tagName.toLowerCase();
+    const text = normalizeWhitespace(element.innerText || element.textContent || '').substring(0, 100);
+    const locators = generateLocators(element);
+
+    const ancestors = [];
+    let current = element;
+    while (current) {
+      let parent = getComposedParent(current);
+      let boundary = parent && !current.parentElement ? 'shadow-root' : null;
+      if (!parent) {
+        try {
+          parent = current.ownerDocument.defaultView.frameElement;
+        } catch (e) {
+          // Cross-origin parent
+        }
+        boundary = parent ? 'frame' : null;
+      }
+      if (!parent) break;
+
+      const a11y = getAccessibilityInfo(parent);
+      ancestors.push({
+        tagName: parent.tagName.toLowerCase(),
+        id: parent.id || '',
+        classes: [...parent.classList],
+        role: (a11y && a11y.role) || '',
+        name: (a11y && a11y.name) || '',
+        cssPath: getScopedCssSelector(parent),
+        boundary
+      });
+      current = parent;
+    }
+
+    return {
+      tagName,
+      attributes,
+      text,
+      description: generateElementDescription({ tagName, attributes, text }),
+      a11y: getAccessibilityInfo(element),
+      isInteractive: isInteractiveElement(element),
+      isVisible: isElementVisible(element),
+      isInViewport: isInExpandedViewport(element, 0),
+      xpath: getXPathTree(element),
+      cssPath: getScopedCssSelector(element),
+      locators,
+      scope: getElementScope(element, locators),
+      geometry: getElementGeometry(element),
+      ancestors,
+      timestamp: new Date().toISOString(),
+      url: window.location.href,
+      title: document.title
+    };
+  }
+
+  if (inspect) {
+    return inspectElement(inspect);
+  }
+
+  /**
+   * Parses a Playwright locator chain with or without a leading "page.", e.g.
+   * frameLocator('#pay').locator('card-form').getByRole('button', { name: 'Save', exact: true }):
+   * locator() and frameLocator() take CSS or XPath selectors, and getByTestId, getByRole, getByLabel,
+   * getByPlaceholder and getByText their text. Throws for anything else, since only string arguments are supported.
+   */
+  function parsePlaywrightLocator(locator) {
+    const callPattern = /^(locator|frameLocator|getByTestId|getByRole|getByLabel|getByPlaceholder|getByText)\(\s*(['"`])((?:\\.|(?!\2).)*)\2\s*(?:,\s*\{([^}]*)\}\s*)?\)/;
+    const unescape = (value) => value.replace(/\\n/g, '\n').replace(/\\(.)/g, '$1');
+    const steps = [];
+
+    let rest = locator.replace(/^page\./, '');
+    while (true) {
+      const match = rest.match(callPattern);
+      if (!match || (match[4] !== undefined && !match[1].startsWith('getBy'))) {
+        throw new Error('Expected locator, frameLocator, getByTestId, getByRole, getByLabel, getByPlaceholder or getByText calls with string arguments');
+      }
+
+      const options = match[4] || '';
+      const name = options.match(/\bname\s*:\s*(['"`])((?:\\.|(?!\1).)*)\1/);
+      steps.push({
+        method: match[1],
+        value: unescape(match[3]),
+        name: name ? unescape(name[2]) : null,
+        exact: /\bexact\s*:\s*true\b/.test(options)
+      });
+
+      rest = rest.slice(match[0].length);
+      if (!rest) break;
+      if (!rest.startsWith('.')) throw new Error(`Unexpected "${rest}" after ${match[1]}()`);
+      rest = rest.slice(1);
+    }
+
+    if (steps[steps.length - 1].method === 'frameLocator') {
+      throw new Error('frameLocator() has to be followed by a locator');
+    }
+    return steps;
+  }
+
+  function getLocatorStrategy(locator) {
+    if (/^xpath=/.test(locator)) return 'xpath';
+    if (/^css=/.test(locator)) return 'css';
+    if (/^(\(|\.?\/)/.test(locator)) return 'xpath';
+    if (/^(page\.)?(getBy[A-Z]\w*|locator|frameLocator)\(/.test(locator)) return 'playwright';
+    return 'css';
+  }
+
+  // Selectors of locator() and frameLocator(): "xpath=" and "css=" prefixes, otherwise detected like the playground input
+  function parseSelector(selector) {
+    const prefixed = selector.match(/^(xpath|css)=([\s\S]*)$/);
+    if (prefixed) return { engine: prefixed[1], selector: prefixed[2].trim() };
+    return { engine: /^(\(|\.?\/)/.test(selector) ? 'xpath' : 'css', selector };
+  }
+
+  // The document and its same-origin frames: where a locator chain starts
+  function collectLocatorDocuments(doc, frame, contexts = []) {
+    contexts.push({ root: doc, frame, viaFrameLocator: false });
+    for (const element of doc.querySelectorAll('iframe, frame')) {
+      const frameDocument = getFrameDocument(element);
+      if (frameDocument) collectLocatorDocuments(frameDocument, element, contexts);
+    }
+    return contexts;
+  }
+
+  function getFrameDocument(element) {
+    try {
+      const frameDocument = element.contentDocument;
+      return frameDocument && frameDocument.documentElement ? frameDocument : null;
+    } catch (e) {
+      // Cross-origin frame
+      return null;
+    }
+  }
+
+  // The open shadow roots below a document, shadow root or element (including its own), without entering frames
+  function collectShadowRoots(root, shadowRoots = []) {
+    const elements = root.nodeType === Node.ELEMENT_NODE ? [root, ...root.querySelectorAll('*')] : root.querySelectorAll('*');
+    for (const element of elements) {
+      const shadowRoot = getShadowRoot(element);
+      if (shadowRoot) {
+        shadowRoots.push(shadowRoot);
+        collectShadowRoots(shadowRoot, shadowRoots);
+      }
+    }
+    return shadowRoots;
+  }
+
+  // Whether an element lies below root, counting shadow hosts as the parents of their shadow roots
+  function isBelowLocatorRoot(element, root) {
+    if (root.nodeType === Node.DOCUMENT_NODE) return element.ownerDocument === root;
+    for (let current = element.parentNode || element.host; current; current = current.parentNode || current.host) {
+      if (current === root) return true;
+    }
+    return false;
+  }
+
+  // CSS matches below a context, piercing open shadow roots like Playwright; ">>>" also enters iframes
+  function matchCss(context, selector) {
+    const parts = selector.split('>>>').map(part => part.trim());
+    for (const part of parts) {
+      try {
+        if (!part) throw new Error();
+        document.createDocumentFragment().querySelector(part);
+      } catch (e) {
+        throw new Error('Invalid CSS selector');
+      }
+    }
+
+    let contexts = [context];
+    let matches = [];
+    parts.forEach((part, position) => {
+      if (position > 0) {
+        // Every match of the previous part is searched, its shadow root and frame document included
+        contexts = matches.map(({ element, context: parent }) => {
+          const frameDocument = /^i?frame$/i.test(element.tagName) ? getFrameDocument(element) : null;
+          return frameDocument
+            ? { root: frameDocument, frame: element, viaFrameLocator: true }
+            : { root: element, frame: parent.frame, viaFrameLocator: parent.viaFrameLocator };
+        });
+      }
+      matches = [];
+      for (const current of contexts) {
+        for (const root of [current.root, ...collectShadowRoots(current.root)]) {
+          for (const element of root.querySelectorAll(part)) matches.push({ element, context: current });
+        }
+      }
+    });
+    return matches;
+  }
+
+  // XPath does not pierce shadow roots; as in Playwright, chained XPaths starting with "/" are relative
+  function matchXPath(context, selector) {
+    const doc = context.root.nodeType === Node.DOCUMENT_NODE ? context.root : context.root.ownerDocument;
+    const expression = context.root === doc || !selector.startsWith('/') ? selector : `.${selector}`;
+    let snapshot;
+    try {
+      doc.createExpression(expression);
+      snapshot = doc.evaluate(expression, context.root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    } catch (e) {
+      throw new Error('Invalid XPath');
+    }
+    return Array.from({ length: snapshot.snapshotLength }, (_, position) => ({ element: snapshot.snapshotItem(position), context }));
+  }
+
+  // Whether an XPath would also have matched elements inside the shadow roots below a context
+  function hasShadowXPathMatches(context, selector) {
+    const relative = selector.replace(/^(\(*)\/\//, '$1.//');
+    if (!relative.includes('.//')) return false;
+
+    const doc = context.root.nodeType === Node.DOCUMENT_NODE ? context.root : context.root.ownerDocument;
+    return collectShadowRoots(context.root).some(shadowRoot => {
+      try {
+        const snapshot = doc.evaluate(relative, shadowRoot, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        return Array.from({ length: snapshot.snapshotLength }, (_, position) => snapshot.snapshotItem(position))
+          .some(node => node.nodeType === Node.ELEMENT_NODE && isBelowLocatorRoot(node, shadowRoot));
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  function matchGetBy(context, { method, value, name, exact }) {
+    const doc = context.root.nodeType === Node.DOCUMENT_NODE ? context.root : context.root.ownerDocument;
+    const index = getPlaywrightIndex(doc);
+    let elements;
+    if (method === 'getByTestId') {
+      elements = [context.root, ...collectShadowRoots(context.root)]
+        .flatMap(root => [...root.querySelectorAll('[data-testid]')])
+        .filter(element => element.getAttribute('data-testid') === value);
+    } else if (method === 'getByRole') {
+      const sameRole = index.byRole.get(value) || [];
+      elements = name === null ? sameRole.map(entry => entry.element) : findRoleMatching(sameRole, name, exact);
+    } else if (method === 'getByLabel') {
+      elements = findMatching(index.labelled, value, exact);
+    } else if (method === 'getByPlaceholder') {
+      elements = findMatching(index.placeholders, value, exact);
+    } else {
+      elements = findTextMatching(index.texts, value, exact);
+    }
+    return elements.filter(element => isBelowLocatorRoot(element, context.root)).map(element => ({ element, context }));
+  }
+
+  /**
+   * Locator playground: matches an XPath, CSS or Playwright-style locator against the page,
+   * including open shadow roots and same-origin frames, and outlines the matches.
+   * Locators without a frameLocator() are matched in every same-origin document, and flagged in-frame there.
+   */
+  function evaluateLocatorQuery({ locator, strategy = 'auto', maxMatches = 50 }) {
+    const query = String(locator || '').trim();
+    const resolvedStrategy = strategy === 'auto' ? getLocatorStrategy(query) : strategy;
+    const result = {
+      locator: query,
+      strategy: resolvedStrategy,
+      valid: true,
+      error: null,
+      matchCount: 0,
+      unique: false,
+      matches: [],
+      warnings: [],
+      timestamp: new Date().toISOString()
+    };
+
+    const isOverlay = (element) => Boolean(element.closest(`#${HIGHLIGHT_CONTAINER_ID}, #dom-tree-analyzer-picker`));
+    let shadowDomMissed = false;
+    let crossOriginFrames = false;
+    // Runs one selector step in every context, keeping each element once in document order of discovery
+    const runStep = (contexts, step) => {
+      const found = new Map();
+      for (const context of contexts) {
+        let stepMatches;
+        if (step.engine === 'xpath') {
+          stepMatches = matchXPath(context, step.selector);
+          if (!shadowDomMissed && hasShadowXPathMatches(context, step.selector)) shadowDomMissed = true;
+        } else if (step.engine === 'css') {
+          stepMatches = matchCss(context, step.selector);
+        } else {
+          stepMatches = matchGetBy(context, step);
+        }
+        for (const match of stepMatches) {
+          if (match.element.nodeType === Node.ELEMENT_NODE && !isOverlay(match.element) && !found.has(match.element)) {
+            found.set(match.element, match);
+          }
+        }
+      }
+      return [...found.values()];
+    };
+
+    let matched;
+    try {
+      if (!query) throw new Error('Empty locator');
+
+      let steps;
+      if (resolvedStrategy === 'xpath' || resolvedStrategy === 'css') {
+        const { selector } = parseSelector(query);
+        if (!selector) throw new Error('Empty locator');
+        steps = [{ method: 'locator', engine: resolvedStrategy, selector }];
+      } else if (resolvedStrategy === 'playwright') {
+        steps = parsePlaywrightLocator(query).map(step => (
+          step.method === 'locator' || step.method === 'frameLocator' ? { ...step, ...parseSelector(step.value) } : { ...step, engine: 'getBy' }
+        ));
+      } else {
+        throw new Error(`Unsupported locator strategy: ${resolvedStrategy}`);
+      }
+
+      let contexts = collectLocatorDocuments(document, null);
+      for (const [position, step] of steps.entries()) {
+        matched = runStep(contexts, step);
+        if (position === steps.length - 1) break;
+
+        contexts = [];
+        for (const { element, context } of matched) {
+          if (step.method !== 'frameLocator') {
+            contexts.push({ root: element, frame: context.frame, viaFrameLocator: context.viaFrameLocator });
+          } else if (/^i?frame$/i.test(element.tagName)) {
+            const frameDocument = getFrameDocument(element);
+            if (frameDocument) {
+              contexts.push({ root: frameDocument, frame: element, viaFrameLocator: true });
+            } else {
+              crossOriginFrames = true;
+            }
+          }
+        }
+      }
+    } catch (error) {
+      result.valid = false;
+      result.error = error.message;
+      return result;
+    }
+
+    result.matchCount = matched.length;
+    result.unique = matched.length === 1;
+    if (matched.length === 0) result.warnings.push('no-match');
+    if (matched.length > 1) result.warnings.push('not-unique');
+    if (matched.some(({ context }) => context.frame && !context.viaFrameLocator)) result.warnings.push('in-frame');
+    if (matched.some(({ element }) => isInShadowRoot(element))) result.warnings.push('in-shadow-root');
+    if (shadowDomMissed) result.warnings.push('shadow-dom');
+    if (crossOriginFrames) result.warnings.push('cross-origin-frame');
+    if (matched.some(({ element }) => !isElementVisible(element))) result.warnings.push('hidden');
+
+    result.matches = matched.slice(0, maxMatches).map(({ element, context }, position) => {
+      if (doHighlightElements) {
+        highlightElement(element, position, context.frame, { label: `M${position + 1}` });
+      }
+      return {
+        tagName: element.tagName.toLowerCase(),
+        text: normalizeWhitespace(element.innerText || element.textContent || '').substring(0, 60),
+        cssPath: getScopedCssSelector(element),
+        xpath: getXPathTree(element),
+        isVisible: isElementVisible(element),
+        inFrame: Boolean(context.frame),
+        inShadowRoot: isInShadowRoot(element)
+      };
+    });
+
+    return result;
+  }
+
+  if (locatorQuery) {
+    // Outlines of the previous query are replaced
+    if (window._domAnalyzerLocatorCleanup) window._domAnalyzerLocatorCleanup();
+    const result = evaluateLocatorQuery(locatorQuery);
+    const cleanups = [...overlayCleanups.values()];
+    window._domAnalyzerLocatorCleanup = () => {
+      cleanups.forEach(cleanupFn => cleanupFn());
+      delete window._domAnalyzerLocatorCleanup;
+    };
+    return result;
+  }
+
+  function isCoveredByParentFrame() {
+    if (window === window.top) return false;
+    try {
+      // frameElement is null when the parent is cross-origin, and sandboxed frames throw
+      return Boolean(window.frameElement && window.parent.document);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // With every frame analyzed on its own, a same-origin parent already walked this document
+  if (skipCoveredFrames && isCoveredByParentFrame()) {
+    return null;
+  }
+
+  // Main execution
+  let rootId = buildDomTree(document.body);
+  const omittedElements = assignHighlightIndices();
+  const coverage = buildCoverage();
+  const auditResult = audit ? runAudit() : null;
+  const forms = extractForms ? buildFormModels() : null;
+  DOM_CACHE.clearCache();
+
+  // Add cleanup function to window (global scope)
+  if (!window.cleanupHighlights) {
+    window.cleanupHighlights = function() {
+      if (window._domAnalyzerWatcher) {
+        window._domAnalyzerWatcher.stop();
+      }
+      if (window._highlightCleanupFunctions && window._highlightCleanupFunctions.length) {
+        window._highlightCleanupFunctions.forEach(fn => fn());
+        window._highlightCleanupFunctions = [];
+      }
+      const container = document.getElementById(HIGHLIGHT_CONTAINER_ID);
+      if (container) container.remove();
+      console.log('✨ Highlights cleaned up!');
+    };
+  }
+
+  // Store data globally for export
+  if (exposeGlobals) {
+    // A running watcher would keep patching the globals this analysis replaces
+    if (window._domAnalyzerWatcher) {
+      window._domAnalyzerWatcher.stop();
+    }
+    window.DOM_HASH_MAP = DOM_HASH_MAP;
+  }
+
+  // Count highlighted elements and extract actionable data
+  const highlightedElements = Object.values(DOM_HASH_MAP).filter(node =>
+    node.highlightIndex !== undefined
+  );
+
+  // Create actionable element list for LLM
+  const interactiveElements = highlightedElements.map(createInteractiveElement).sort((a, b) => a.index - b.index);
+
+  // Keep the ranked locators around for the sidepanel export, and the live state for watchPage()
+  if (exposeGlobals) {
+    window.DOM_INTERACTIVE_ELEMENTS = interactiveElements;
+    window.DOM_FORMS = forms;
+    window._domAnalyzerSession = {
+      containerId: HIGHLIGHT_CONTAINER_ID,
+      observableRoots,
+      refresh: refreshSubtrees,
+      getElement: (index) => highlightedNodes.get(index) || null,
+      highlightViolations: drawViolations,
+      focusHighlight: focusOverlay,
+      setLabelOffset: (offset) => {
+        labelOffset = offset;
+        return focusOverlay(focusedIndex);
+      },
+      getOverlayColor: (index) => HIGHLIGHT_COLORS[index % HIGHLIGHT_COLORS.length],
+      getCssSelector: getScopedCssSelector,
+      getSummary: () => ({
+        rootId,
+        totalElements: Object.keys(DOM_HASH_MAP).length,
+        highlightedElements: interactiveElements.length
+      })
+    };
+  }
+
+  function createInteractiveElement(node) {
+    const element = highlightedNodes.get(node.highlightIndex);
+    const locators = generateLocators(element);
+    return {
+      index: node.highlightIndex,
+      stableId: node.stableId,
+      tagName: node.tagName,
+      attributes: node.attributes,
+      xpath: node.xpath,
+      text: getElementText(node),
+      isVisible: node.isVisible,
+      isInViewport: node.isInViewport,
+      importance: node.importance,
+      a11y: node.a11y || null,
+      locators,
+      scope: getElementScope(element, locators),
+      geometry: getElementGeometry(element),
+      context: getNeighbourContext(element),
+      description: generateElementDescription(node)
+    };
+  }
+
+  /**
+   * Rebuilds the parts of the tree that contain the given mutated nodes (watch mode).
+   * Only the nearest analyzed ancestor of each node is walked again; its overlays are redrawn,
+   * DOM_HASH_MAP and interactiveElements are patched in place.
+   * Returns the interactive elements that were added, removed or changed.
+   */
+  function refreshSubtrees(targets) {
+    const roots = getRefreshRoots(targets);
+    const previousEntries = new Map(interactiveElements.map(entry => [entry.index, entry]));
+    const previousIndexes = new Set();
+
+    const rebuilds = roots.map(root => {
+      const oldId = nodeIds.get(root);
+      const parentId = parentIds[oldId];
+      removeSubtree(oldId, previousIndexes);
+      return { root, oldId, parentId };
+    });
+
+    for (const index of previousIndexes) {
+      const cleanupFn = overlayCleanups.get(index);
+      if (cleanupFn) cleanupFn();
+      overlayCleanups.delete(index);
+      highlightedNodes.delete(index);
+    }
+
+    // Layout, text and locator uniqueness may all have changed
+    DOM_CACHE.clearCache();
+    playwrightIndexes.clear();
+    highlightCandidates.length = 0;
+
+    for (const { root, oldId, parentId } of rebuilds) {
+      for (const element of [root, ...root.querySelectorAll('*')]) {
+        xpathCache.delete(element);
+      }
+
+      const parentData = parentId !== undefined ? DOM_HASH_MAP[parentId] : null;
+      const frame = root.ownerDocument !== document ? root.ownerDocument.defaultView.frameElement : null;
+      // An indexed parent is already settled, so it only needs its nodeData
+      const highlightedParent = doHighlightElements && parentData && parentData.highlightIndex !== undefined ? { nodeData: parentData } : null;
+      const newId = buildDomTree(root, frame, highlightedParent);
+
+      if (root === document.body) {
+        rootId = newId;
+      } else if (parentData) {
+        const position = parentData.children.indexOf(oldId);
+        if (newId === null) {
+          parentData.children.splice(position, 1);
+        } else {
+          parentData.children.splice(position, 1, newId);
+          parentIds[newId] = parentId;
+        }
+      }
+    }
+
+    assignHighlightIndices();
+
+    // Interactive ancestors take their text from the rebuilt subtrees
+    const updatedNodes = highlightCandidates.map(candidate => candidate.nodeData);
+    for (const { parentId } of rebuilds) {
+      for (let id = parentId; id !== undefined; id = parentIds[id]) {
+        if (DOM_HASH_MAP[id]) updatedNodes.push(DOM_HASH_MAP[id]);
+      }
+    }
+
+    const added = [];
+    const changed = [];
+    const updatedIndexes = new Set();
+    for (const nodeData of updatedNodes) {
+      if (nodeData.highlightIndex === undefined || updatedIndexes.has(nodeData.highlightIndex)) continue;
+      updatedIndexes.add(nodeData.highlightIndex);
+      previousIndexes.delete(nodeData.highlightIndex);
+
+      const entry = createInteractiveElement(nodeData);
+      const previous = previousEntries.get(entry.index);
+      if (previous) {
+        interactiveElements.splice(interactiveElements.indexOf(previous), 1, entry);
+        if (previous.text !== entry.text || JSON.stringify(previous.attributes) !== JSON.stringify(entry.attributes)) {
+          changed.push(entry);
+        }
+      } else {
+        interactiveElements.push(entry);
+        added.push(entry);
+      }
+    }
+
+    const removed = [...previousIndexes].map(index => previousEntries.get(index)).filter(Boolean);
+    for (const entry of removed) {
+      interactiveElements.splice(interactiveElements.indexOf(entry), 1);
+    }
+    interactiveElements.sort((a, b) => a.index - b.index);
+    DOM_CACHE.clearCache();
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Nearest analyzed ancestor of each mutated node, without roots nested in other roots.
+   */
+  function getRefreshRoots(targets) {
+    const roots = new Set();
+    for (const target of targets) {
+      let node = target;
+      while (node && !(node.nodeType === Node.ELEMENT_NODE && DOM_HASH_MAP[nodeIds.get(node)])) {
+        node = getParentNode(node);
+      }
+      if (node && node.isConnected) {
+        roots.add(node);
+      }
+    }
+
+    return [...roots].filter(root => {
+      for (let ancestor = getParentNode(root); ancestor; ancestor = getParentNode(ancestor)) {
+        if (roots.has(ancestor)) return false;
+      }
+      return true;
+    });
+  }
+
+  // Parent across shadow roots and same-origin iframes
+  function getParentNode(node) {
+    if (node.parentNode && node.parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE) return node.parentNode.host || null;
+    if (node.parentNode && node.parentNode.nodeType !== Node.DOCUMENT_NODE) return node.parentNode;
+    if (node.nodeType === Node.DOCUMENT_NODE || node.parentNode) {
+      try {
+        return (node.ownerDocument || node).defaultView.frameElement;
+      } catch (e) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  function removeSubtree(id, removedIndexes) {
+    const nodeData = DOM_HASH_MAP[id];
+    if (!nodeData) return;
+
+    if (nodeData.highlightIndex !== undefined) {
+      removedIndexes.add(nodeData.highlightIndex);
+    }
+    for (const childId of nodeData.children) {
+      removeSubtree(childId, removedIndexes);
+    }
+    delete DOM_HASH_MAP[id];
+    delete parentIds[id];
+  }
+
+  /**
+   * Get meaningful text content from an element's children
+   */
+  function getElementText(nodeData) {
+    if (nodeData.text) return nodeData.text;
+
+    // Recursively get text from children
+    let text = '';
+    for (const childId of nodeData.children || []) {
+      const child = DOM_HASH_MAP[childId];
+      if (child && child.tagName === '#text' && child.text) {
+        text += child.text + ' ';
+      } else if (child) {
+        text += getElementText(child) + ' ';
+      }
+    }
+    return text.trim().substring(0, 100); // Limit length
+  }
+
+  /**
+   * Accessibility audit over the nodes the walk visited. Every violation records the rule,
+   * its impact and the element; the live elements are kept for highlighting.
+   */
+  function runAudit() {
+    const violations = [];
+    const addViolation = (element, rule, message, details = {}) => {
+      const nodeData = DOM_HASH_MAP[nodeIds.get(element)];
+      const violation = {
+        id: `v${violations.length}`,
+        rule,
+        impact: AUDIT_RULES[rule].impact,
+        message,
+        tagName: element.nodeName.toLowerCase(),
+        index: nodeData && nodeData.highlightIndex !== undefined ? nodeData.highlightIndex : null,
+        stableId: nodeData ? nodeData.stableId : '',
+        xpath: nodeData && nodeData.xpath ? nodeData.xpath : getXPathTree(element),
+        details
+      };
+      violations.push(violation);
+      violationElements.set(violation.id, element);
+    };
+
+    for (const element of auditElements) {
+      if (isHiddenForAccessibility(element) || element.closest('[aria-hidden="true"]')) continue;
+
+      const nodeData = DOM_HASH_MAP[nodeIds.get(element)];
+      const tagName = element.nodeName.toLowerCase();
+      const role = getElementRole(element);
+      const name = nodeData && nodeData.a11y ? nodeData.a11y.name : getAccessibleName(element);
+
+      if ((tagName === 'img' || tagName === 'area' || (tagName === 'input' && element.type === 'image')) &&
+        !element.hasAttribute('alt') && !PRESENTATIONAL_ROLES.has(role) && !name) {
+        addViolation(element, 'missing-alt', `<${tagName}> has no alt text`);
+      } else if (role && NAMED_ROLES.has(role) && !name &&
+        ((nodeData && nodeData.highlightIndex !== undefined) || element.tabIndex >= 0)) {
+        addViolation(element, 'missing-name', `Interactive ${role} has no accessible name`, { role });
+      }
+
+      if (tagName === 'label' && element.hasAttribute('for')) {
+        const targetId = element.getAttribute('for');
+        const target = getReferencedElement(element, targetId);
+        if (!target) {
+          addViolation(element, 'broken-label', `Label points at missing id "${targetId}"`, { attribute: 'for', ids: [targetId] });
+        } else if (!LABELABLE_TAGS.has(target.nodeName.toLowerCase()) || (target.type === 'hidden')) {
+          addViolation(element, 'broken-label', `Label points at <${target.nodeName.toLowerCase()}>, which cannot be labelled`, { attribute: 'for', ids: [targetId] });
+        }
+      }
+
+      for (const attribute of ['aria-labelledby', 'aria-describedby']) {
+        const ids = (element.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+        const missing = ids.filter(id => !getReferencedElement(element, id));
+        if (missing.length > 0) {
+          addViolation(element, 'broken-label', `${attribute} points at missing id ${missing.map(id => `"${id}"`).join(', ')}`, { attribute, ids: missing });
+        }
+      }
+
+      const tabIndex = Number(element.getAttribute('tabindex'));
+      if (tabIndex > 0) {
+        addViolation(element, 'positive-tabindex', `tabindex="${tabIndex}" changes the natural focus order`, { tabIndex });
+      }
+
+      if (element.tabIndex >= 0 && !element.matches(':disabled')) {
+        const cover = getCoveringElement(element);
+        if (cover) {
+          addViolation(element, 'obscured-focusable', `Focusable element is covered by <${cover.nodeName.toLowerCase()}>`, {
+            coveredBy: getXPathTree(cover)
+          });
+        }
+      }
+
+      if (textContainers.has(element)) {
+        const contrast = getContrast(element);
+        if (contrast && contrast.ratio < contrast.required) {
+          addViolation(element, 'low-contrast', `Text contrast ${contrast.ratio}:1 is below ${contrast.required}:1`, contrast);
+        }
+      }
+    }
+
+    const summary = { total: violations.length, byRule: {}, byImpact: {} };
+    for (const violation of violations) {
+      summary.byRule[violation.rule] = (summary.byRule[violation.rule] || 0) + 1;
+      summary.byImpact[violation.impact] = (summary.byImpact[violation.impact] || 0) + 1;
+    }
+
+    return { violations, summary, rules: AUDIT_RULES };
+  }
+
+  function getReferencedElement(element, id) {
+    const root = element.getRootNode();
+    return (root.getElementById ? root.getElementById(id) : null) || element.ownerDocument.getElementById(id);
+  }
+
+  // Same hit test as isTopElement, but independent of viewportExpansion; off-screen elements are not judged
+  function getCoveringElement(element) {
+    const rect = getCachedBoundingRect(element);
+    const view = element.ownerDocument.defaultView;
+    if (!rect || rect.width === 0 || rect.height === 0) return null;
+
+    const x = rect.left + rect.width / 2;
+    const y = rect.top + rect.height / 2;
+    if (x < 0 || y < 0 || x > view.innerWidth || y > view.innerHeight) return null;
+
+    const root = element.getRootNode();
+    const hit = (root.elementFromPoint ? root : element.ownerDocument).elementFromPoint(x, y);
+    if (!hit || hit === element || element.contains(hit) || hit.contains(element)) return null;
+    if (hit.id === HIGHLIGHT_CONTAINER_ID || hit.closest(`#${HIGHLIGHT_CONTAINER_ID}`)) return null;
+    return hit;
+  }
+
+  function parseColor(value) {
+    const match = (value || '').match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  }
+
+  function blendColors(top, bottom) {
+    const a = top.a + bottom.a * (1 - top.a);
+    if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const channel = (name) => (top[name] * top.a + bottom[name] * bottom.a * (1 - top.a)) / a;
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a };
+  }
+
+  function getLuminance({ r, g, b }) {
+    const [R, G, B] = [r, g, b].map(value => {
+      const channel = value / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  }
+
+  function toHexColor({ r, g, b }) {
+    return `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * WCAG contrast of an element's text against the backgrounds behind it.
+   * Returns null when a background image makes the result unknowable.
+   */
+  function getContrast(element) {
+    const style = getCachedComputedStyle(element);
+    const foreground = parseColor(style && style.color);
+    if (!foreground) return null;
+
+    // Stack the background colors of the ancestors until one is opaque, on top of white
+    const layers = [];
+    for (let current = element; current; current = current.parentElement || (current.getRootNode().host || null)) {
+      const currentStyle = getCachedComputedStyle(current);
+      if (!currentStyle) continue;
+      if (currentStyle.backgroundImage && currentStyle.backgroundImage !== 'none') return null;
+      const color = parseColor(currentStyle.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    const background = layers.reduceRight((below, layer) => blendColors(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+    const text = blendColors(foreground, background);
+
+    const lighter = Math.max(getLuminance(text), getLuminance(background));
+    const darker = Math.min(getLuminance(text), getLuminance(background));
+    const ratio = Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+
+    // Large text: at least 24px, or 18.66px when bold
+    const fontSize = parseFloat(style.fontSize) || 16;
+    const isBold = Number(style.fontWeight) >= 700 || style.fontWeight === 'bold';
+    const isLargeText = fontSize >= 24 || (fontSize >= 18.66 && isBold);
+
+    return {
+      ratio,
+      required: isLargeText ? 3 : 4.5,
+      foreground: toHexColor(text),
+      background: toHexColor(background),
+      fontSize,
+      isLargeText
+    };
+  }
+
+  /**
+   * Redraws the element overlays as a run with focusHighlightIndex would: only the given index,
+   * or every element again for -1 (when the analysis highlighted them); null hides them all.
+   * Returns the overlays drawn.
+   */
+  function focusOverlay(index, { scroll = false } = {}) {
+    const removed = new Set();
+    for (const [key, cleanupFn] of overlayCleanups) {
+      // Violation overlays use string ids and are left alone
+      if (!Number.isInteger(key)) continue;
+      cleanupFn();
+      removed.add(cleanupFn);
+      overlayCleanups.delete(key);
+    }
+    // Repeated focusing would otherwise keep every old cleanup around until cleanupHighlights()
+    window._highlightCleanupFunctions = (window._highlightCleanupFunctions || []).filter(fn => !removed.has(fn));
+
+    if (index === null) {
+      focusedIndex = null;
+      return 0;
+    }
+    focusedIndex = Number.isInteger(index) && highlightedNodes.has(index) ? index : -1;
+    const indexes = focusedIndex >= 0 ? [focusedIndex] : (doHighlightElements ? [...highlightedNodes.keys()] : []);
+
+    let drawn = 0;
+    for (const highlightIndex of indexes) {
+      const element = highlightedNodes.get(highlightIndex);
+      if (!element || !element.isConnected) continue;
+      if (scroll && focusedIndex >= 0) {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+      }
+
+      const frame = element.ownerDocument !== document ? element.ownerDocument.defaultView.frameElement : null;
+      highlightElement(element, highlightIndex, frame);
+      drawn++;
+    }
+    return drawn;
+  }
+
+  /**
+   * Draws overlays for the given violation ids (all when omitted), replacing earlier ones.
+   * A single violation is scrolled into view first.
+   */
+  function drawViolations(ids) {
+    for (const id of drawnViolations) {
+      const cleanupFn = overlayCleanups.get(id);
+      if (cleanupFn) cleanupFn();
+      overlayCleanups.delete(id);
+    }
+    drawnViolations = [];
+    if (!auditResult) return 0;
+
+    const selected = auditResult.violations.filter(violation => !ids || ids.includes(violation.id));
+    for (const violation of selected) {
+      const element = violationElements.get(violation.id);
+      if (!element || !element.isConnected) continue;
+      if (selected.length === 1) {
+        element.scrollIntoView({ block: 'center', inline: 'center' });
+      }
+
+      const frame = element.ownerDocument !== document ? element.ownerDocument.defaultView.frameElement : null;
+      highlightElement(element, violation.id, frame, {
+        color: AUDIT_IMPACT_COLORS[violation.impact],
+        label: violation.rule
+      });
+      drawnViolations.push(violation.id);
+    }
+    return drawnViolations.length;
+  }
+
+  /**
+   * Accessibility tree view of DOM_HASH_MAP: nodes without a role are flattened into their parent,
+   * aria-hidden subtrees are left out and text already used as a name is not repeated.
+   */
+  function buildA11yTree(id) {
+    const node = DOM_HASH_MAP[id];
+    if (!node) return [];
+
+    if (node.tagName === '#text') {
+      return [{ role: 'text', name: normalizeWhitespace(node.text), children: [] }];
+    }
+    if (node.a11y && node.a11y.hidden) return [];
+
+    const children = (node.children || []).flatMap(buildA11yTree);
+    const a11y = node.a11y;
+    if (!a11y || !a11y.role || PRESENTATIONAL_ROLES.has(a11y.role)) return children;
+
+    const a11yNode = { role: a11y.role, name: a11y.name };
+    if (Object.keys(a11y.states).length > 0) a11yNode.states = a11y.states;
+    if (node.highlightIndex !== undefined) a11yNode.index = node.highlightIndex;
+    a11yNode.stableId = node.stableId;
+    a11yNode.children = NAME_FROM_CONTENT_ROLES.has(a11y.role) && a11y.name
+      ? children.filter(child => child.role !== 'text')
+      : children;
+    return [a11yNode];
+  }
+
+  /**
+   * Generate human-readable description for LLM
+   */
+  function generateElementDescription(node) {
+    const { tagName, attributes } = node;
+    const text = getElementText(node);
+
+    let description = tagName;
+
+    // Add meaningful attributes
+    if (attributes.type) description += ` (${attributes.type})`;
+    if (attributes.placeholder) description += ` placeholder="${attributes.placeholder}"`;
+    if (attributes.value) description += ` value="${attributes.value}"`;
+    if (attributes.href) description += ` href="${attributes.href}"`;
+    if (attributes.title) description += ` title="${attributes.title}"`;
+    if (attributes.alt) description += ` alt="${attributes.alt}"`;
+
+    // Add text content
+    if (text && text.length > 0) {
+      description += ` text="${text}"`;
+    }
+
+    // Add role/aria information
+    if (attributes.role) description += ` role="${attributes.role}"`;
+    if (attributes['aria-label']) description += ` aria-label="${attributes['aria-label']}"`;
+
+    return description;
+  }
+
+  const result = {
+    rootId,
+    map: DOM_HASH_MAP,
     totalElements: Object.keys(DOM_HASH_MAP).length,
     highlightedElements: highlightedElements.length,
+    // Interactive elements left without an index because of maxElements
+    omittedElements,
     // Add the actionable data for LLM
     interactiveElements: interactiveElements,
+    // Controls grouped into forms, with labels, constraints and submit buttons
+    forms,
+    // Iframes and shadow roots the analysis could not look into
+    coverage,
+    // Accessibility violations when run with audit: true
+    audit: auditResult,
+    // Roles, accessible names and states as a tree
+    a11yTree: accessibility ? { role: 'document', name: document.title, children: buildA11yTree(rootId) } : null,
     timestamp: new Date().toISOString(),
     url: window.location.href,
-    title: document.title
+    title: document.title
+  };
+
+  // Live elements by highlight index; not enumerable, so JSON exports leave it out
+  Object.defineProperty(result, 'getElement', { value: (index) => highlightedNodes.get(index) || null });
+
+  if (debugMode) {
+    console.log('DOM Analysis Result:', result);
+  }
+
+  // Compact outline for LLM prompts instead of the full object
+  if (format === 'text') {
+    return serializePage(result, textOptions);
+  }
+
+  return result;
+}
+
+/**
+ * Counts and outlines what an XPath, CSS or Playwright-style locator matches; an empty locator removes the outlines.
+ */
+function evaluateLocator(locator, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    strategy: 'auto',
+    doHighlightElements: true,
+    maxMatches: 50
+  };
+
+  const { strategy, maxMatches, ...analyzeSettings } = { ...defaultOptions, ...options };
+
+  if (!String(locator || '').trim()) {
+    if (window._domAnalyzerLocatorCleanup) window._domAnalyzerLocatorCleanup();
+    return null;
+  }
+
+  return analyzePage({ ...analyzeSettings, locatorQuery: { locator, strategy, maxMatches } });
+}
+
+/**
+ * Renders an analyzePage() result as an indented text outline that fits a token budget.
+ */
+function serializePage(result, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    maxTokens: 4000,
+    maxTextLength: 80,
+    maxAttributeLength: 40,
+    includeContext: true,
+    attributes: [
+      'id', 'name', 'type', 'role', 'href', 'value', 'placeholder', 'aria-label', 'title', 'alt',
+      'checked', 'disabled', 'data-testid'
+    ],
+    truncation: 'priority',
+    indent: '  '
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { maxTokens, maxTextLength, maxAttributeLength, includeContext, attributes, truncation, indent } = settings;
+
+  const map = (result && result.map) || {};
+  const rootId = result && result.rootId !== undefined && result.rootId !== null ? result.rootId : findRootId();
+  const lines = [];
+  let context = null;
+
+  if (map[rootId]) {
+    walk(rootId, 0, false);
+    flushContext();
+  }
+
+  const tokensOf = (line) => Math.ceil((line.text.length + 1) / 4);
+  const totalTokens = lines.reduce((sum, line) => sum + tokensOf(line), 0);
+  if (totalTokens <= maxTokens) {
+    return lines.map(line => line.text).join('\n');
+  }
+
+  // Over budget: keep lines by rule and report what was left out on a final line
+  const ranked = truncation === 'tail'
+    ? lines
+    : [...lines].sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+  const kept = new Set();
+  let budget = maxTokens - 20;
+  for (const line of ranked) {
+    const tokens = tokensOf(line);
+    if (tokens > budget) {
+      if (truncation === 'tail') break;
+      continue;
+    }
+    kept.add(line);
+    budget -= tokens;
+  }
+
+  const omittedElements = lines.filter(line => line.kind === 'element' && !kept.has(line)).length;
+  const omittedText = lines.filter(line => line.kind === 'context' && !kept.has(line)).length;
+  return [
+    ...lines.filter(line => kept.has(line)).map(line => line.text),
+    `... ${omittedElements} interactive elements and ${omittedText} text lines omitted to fit ${maxTokens} tokens`
+  ].join('\n');
+
+  function findRootId() {
+    const childIds = new Set(Object.values(map).flatMap(node => node.children || []));
+    return Object.keys(map).find(id => !childIds.has(id));
+  }
+
+  /**
+   * Interactive elements open a new indentation level; text inside them is part of their own line.
+   */
+  function walk(id, depth, insideElement) {
+    const node = map[id];
+    if (!node) return;
+
+    if (node.tagName === '#text') {
+      if (includeContext && !insideElement) addContext(node.text, depth);
+      return;
+    }
+
+    if (node.highlightIndex !== undefined && node.highlightIndex !== null) {
+      flushContext();
+      lines.push({
+        kind: 'element',
+        text: `${indent.repeat(depth)}${renderElement(node)}`,
+        // Elements in the viewport first, then by importance; context text goes first when over budget
+        priority: (node.isInViewport ? 1000 : 0) + (node.importance || 0) + 1,
+        order: lines.length
+      });
+      for (const childId of node.children || []) {
+        walk(childId, depth + 1, true);
+      }
+      return;
+    }
+
+    for (const childId of node.children || []) {
+      walk(childId, depth, insideElement);
+    }
+  }
+
+  function renderElement(node) {
+    const text = truncate(collapse(getOwnText(node)), maxTextLength);
+    const attrs = attributes
+      .filter(name => node.attributes && node.attributes[name] !== undefined)
+      .filter(name => !text || collapse(node.attributes[name]) !== text)
+      .map(name => {
+        const value = truncate(collapse(node.attributes[name]), maxAttributeLength).replace(/"/g, "'");
+        return value ? `${name}="${value}"` : name;
+      });
+    return `[${node.highlightIndex}]<${node.tagName}${attrs.length ? ` ${attrs.join(' ')}` : ''}>${text}</${node.tagName}>`;
+  }
+
+  // Text of the element without nested interactive elements, which get their own lines
+  function getOwnText(node) {
+    const parts = [];
+    for (const childId of node.children || []) {
+      const child = map[childId];
+      if (!child) continue;
+      if (child.tagName === '#text') {
+        parts.push(child.text);
+      } else if (child.highlightIndex === undefined || child.highlightIndex === null) {
+        parts.push(getOwnText(child));
+      }
+    }
+    return parts.join(' ');
+  }
+
+  function addContext(text, depth) {
+    const value = collapse(text);
+    if (!value) return;
+    if (!context) context = { depth, parts: [] };
+    context.parts.push(value);
+  }
+
+  function flushContext() {
+    if (!context) return;
+    lines.push({
+      kind: 'context',
+      text: `${indent.repeat(context.depth)}${truncate(context.parts.join(' '), maxTextLength)}`,
+      priority: 0,
+      order: lines.length
+    });
+    context = null;
+  }
+
+  function collapse(value) {
+    return String(value ?? '').replace(/\s+/g, ' ').trim();
+  }
+
+  function truncate(value, length) {
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+  }
+}
+
+/**
+ * Finds the element a saved entry refers to, even after its saved locators stopped matching.
+ */
+function resolveElement(savedEntry, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    minConfidence: 0.5,
+    viewportExpansion: -1
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { minConfidence, viewportExpansion } = settings;
+
+  // Relative weight of each similarity signal
+  const WEIGHTS = {
+    stableId: 0.2,
+    tagName: 0.15,
+    attributes: 0.3,
+    text: 0.2,
+    locators: 0.2,
+    context: 0.15
+  };
+  // Attributes that identify an element far better than the rest
+  const KEY_ATTRIBUTES = { id: 3, 'data-testid': 3, 'data-test': 3, 'data-cy': 3, name: 2, 'aria-label': 2, href: 1.5, type: 1.5, placeholder: 1.5 };
+
+  // Like performAction(), bad input is reported in the result instead of thrown
+  if (!savedEntry || typeof savedEntry !== 'object' || Array.isArray(savedEntry)) {
+    return {
+      success: false,
+      found: false,
+      element: null,
+      confidence: 0,
+      locators: [],
+      alternatives: [],
+      error: { code: 'invalid-entry', message: 'Expected a saved element entry from interactiveElements or an export' }
+    };
+  }
+
+  const saved = normalizeSavedEntry(savedEntry);
+  const analysis = analyzePage({ doHighlightElements: false, viewportExpansion, exposeGlobals: false });
+
+  // XPaths of elements in shadow roots or frames are relative to their own root and would match
+  // in the top document, so those are looked up through their scope chain instead
+  const savedLocatorElement = saved.scope ? findInScope(saved.scope) : findUnique(saved.xpath, 'xpath');
+  const savedCssElement = saved.scope ? null : findUnique(saved.cssPath, 'css');
+
+  const candidates = analysis.interactiveElements.map(entry => {
+    const element = analysis.getElement(entry.index);
+    const scores = {
+      stableId: saved.stableId ? Number(saved.stableId === entry.stableId) : null,
+      tagName: entry.tagName === saved.tagName ? 1 : 0,
+      attributes: attributeSimilarity(saved.attributes, entry.attributes || {}),
+      text: textSimilarity(saved.text, entry.text || ''),
+      locators: locatorSimilarity(element),
+      context: contextSimilarity(saved.context, entry.context)
+    };
+    // Signals without saved data (null) are left out instead of counting as mismatches
+    const weighted = Object.keys(WEIGHTS).filter(key => scores[key] !== null);
+    const totalWeight = weighted.reduce((sum, key) => sum + WEIGHTS[key], 0);
+    const confidence = weighted.reduce((sum, key) => sum + WEIGHTS[key] * scores[key], 0) / totalWeight;
+    return { entry, element, scores, confidence: Math.round(confidence * 100) / 100 };
+  }).filter(candidate => candidate.element).sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0];
+  if (!best || best.confidence < minConfidence) {
+    return {
+      success: true,
+      found: false,
+      element: null,
+      confidence: best ? best.confidence : 0,
+      locators: [],
+      alternatives: candidates.slice(0, 3).map(summarizeCandidate),
+      error: null
+    };
+  }
+
+  return {
+    success: true,
+    found: true,
+    element: best.element,
+    confidence: best.confidence,
+    // The saved locator still works when it resolves to the same element
+    repaired: !(savedLocatorElement && savedLocatorElement === best.element),
+    xpath: best.entry.xpath,
+    locators: best.entry.locators,
+    scores: best.scores,
+    match: summarizeCandidate(best),
+    alternatives: candidates.slice(1, 4).map(summarizeCandidate),
+    error: null
+  };
+
+  function normalizeSavedEntry(entry) {
+    const legacyLocators = entry.locators && !Array.isArray(entry.locators) ? entry.locators : {};
+    return {
+      stableId: entry.stableId || '',
+      tagName: (entry.tagName || '').toLowerCase(),
+      attributes: entry.attributes || {},
+      text: entry.text || legacyLocators.text || '',
+      xpath: entry.xpath || legacyLocators.xpath || '',
+      cssPath: entry.cssPath || legacyLocators.cssPath || '',
+      context: entry.context || null,
+      scope: entry.scope || null
+    };
+  }
+
+  function findUnique(locator, type, root = document) {
+    if (!locator) return null;
+    try {
+      if (type === 'css') {
+        const matches = root.querySelectorAll(locator);
+        return matches.length === 1 ? matches[0] : null;
+      }
+      const result = document.evaluate(locator, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+      return result.snapshotLength === 1 ? result.snapshotItem(0) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Each step's css is unique within its own document or shadow root
+  function findInScope(scope) {
+    let root = document;
+    for (const step of scope.chain || []) {
+      const host = findUnique(step.css, 'css', root);
+      if (!host) return null;
+      try {
+        root = step.kind === 'frame' ? host.contentDocument : host.shadowRoot;
+      } catch (e) {
+        return null;
+      }
+      if (!root) return null;
+    }
+    return findUnique(scope.css, 'css', root);
+  }
+
+  function locatorSimilarity(element) {
+    const hits = [savedLocatorElement, savedCssElement].filter(Boolean);
+    if (hits.length === 0) return null;
+    if (!element) return 0;
+    return hits.filter(hit => hit === element).length / hits.length;
+  }
+
+  function attributeSimilarity(before, after) {
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+    if (names.size === 0) return 1;
+
+    let total = 0;
+    let matched = 0;
+    for (const name of names) {
+      const weight = KEY_ATTRIBUTES[name] || 1;
+      total += weight;
+      if (before[name] === after[name]) {
+        matched += weight;
+      } else if (name === 'class' && before[name] && after[name]) {
+        matched += weight * textSimilarity(before[name], after[name]);
+      }
+    }
+    return matched / total;
+  }
+
+  function textSimilarity(left, right) {
+    const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const a = normalize(left);
+    const b = normalize(right);
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const aWords = new Set(a.split(' '));
+    const bWords = new Set(b.split(' '));
+    const shared = [...aWords].filter(word => bWords.has(word)).length;
+    return shared / new Set([...aWords, ...bWords]).size;
+  }
+
+  function contextSimilarity(before, after) {
+    if (!before) return null;
+    if (!after) return 0;
+
+    const keys = Object.keys(before).filter(key => before[key] || after[key]);
+    if (keys.length === 0) return 1;
+    return keys.reduce((sum, key) => sum + textSimilarity(before[key], after[key]), 0) / keys.length;
+  }
+
+  function summarizeCandidate(candidate) {
+    return {
+      description: candidate.entry.description,
+      xpath: candidate.entry.xpath,
+      confidence: candidate.confidence
+    };
+  }
+}
+
+/**
+ * Analyzes the page, then keeps the analysis and overlays in sync with DOM mutations.
+ */
+function watchPage(settings = {}, callback = () => {}) {
+  // Default settings
+  const defaultOptions = {
+    debounceMs: 100
+  };
+
+  const { debounceMs, ...analyzeSettings } = { ...defaultOptions, ...settings };
+
+  // One watcher per page; a new one replaces the old
+  if (window._domAnalyzerWatcher) {
+    window._domAnalyzerWatcher.stop();
+  }
+
+  const result = analyzePage({ ...analyzeSettings, exposeGlobals: true });
+  const session = window._domAnalyzerSession;
+  const pendingTargets = new Set();
+  const observedRoots = new Set();
+  let timer = null;
+  let stopped = false;
+
+  const observer = new MutationObserver(records => {
+    for (const record of records) {
+      if (!isOverlayMutation(record)) {
+        pendingTargets.add(record.target);
+      }
+    }
+    if (pendingTargets.size > 0 && timer === null) {
+      timer = setTimeout(flush, debounceMs);
+    }
+  });
+  observeRoots();
+
+  const watcher = {
+    result,
+    flush,
+    stop,
+    get active() {
+      return !stopped;
+    }
+  };
+  window._domAnalyzerWatcher = watcher;
+  return watcher;
+
+  /**
+   * Applies the pending mutations now and returns the emitted event (null when nothing changed).
+   */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped || pendingTargets.size === 0) return null;
+
+    const targets = [...pendingTargets];
+    pendingTargets.clear();
+
+    const { added, removed, changed } = session.refresh(targets);
+    observeRoots();
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) return null;
+
+    const event = {
+      type: 'mutation',
+      added,
+      removed,
+      changed,
+      ...session.getSummary(),
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      callback(event);
+    } catch (error) {
+      console.error('watchPage callback failed:', error);
+    }
+    return event;
+  }
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    clearTimeout(timer);
+    observer.disconnect();
+    if (window._domAnalyzerWatcher === watcher) {
+      delete window._domAnalyzerWatcher;
+    }
+  }
+
+  // Rebuilt subtrees may have brought new shadow roots or iframes with them
+  function observeRoots() {
+    for (const root of session.observableRoots) {
+      if (observedRoots.has(root)) continue;
+      observedRoots.add(root);
+      observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+    }
+  }
+
+  // The overlays live in the page too; their own changes must not trigger a refresh
+  function isOverlayMutation(record) {
+    const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+    if (target && target.closest(`#${session.containerId}`)) return true;
+
+    const nodes = [...record.addedNodes, ...record.removedNodes];
+    return record.type === 'childList' && nodes.length > 0 && nodes.every(node => node.id === session.containerId);
+  }
+}
+
+/**
+ * Outlines the element under the mouse and calls back with its inspection on click, or null on Escape.
+ */
+function pickElement(settings = {}, callback = () => {}) {
+  // Default settings
+  const defaultOptions = {
+    color: '#4299E1'
+  };
+
+  const { color, ...analyzeSettings } = { ...defaultOptions, ...settings };
+  const BLOCKED_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick', 'contextmenu'];
+
+  // One picker per page; a new one replaces the old
+  if (window._domAnalyzerPicker) {
+    window._domAnalyzerPicker.stop();
+  }
+
+  // Same look as the overlays of highlightElement()
+  const layer = document.createElement('div');
+  layer.id = 'dom-tree-analyzer-picker';
+  layer.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+  const box = document.createElement('div');
+  box.style.cssText = `position: fixed; display: none; box-sizing: border-box; pointer-events: none; border: 2px solid ${color}; background-color: ${color}1A;`;
+  const label = document.createElement('div');
+  label.style.cssText = `position: fixed; display: none; pointer-events: none; background: ${color}; color: white; padding: 1px 4px; border-radius: 4px; font-size: 12px; font-family: Arial, sans-serif; white-space: nowrap;`;
+  layer.append(box, label);
+  document.documentElement.appendChild(layer);
+
+  const documents = getPickableDocuments(document);
+  const cursors = new Map();
+  let hovered = null;
+  let stopped = false;
+
+  for (const doc of documents) {
+    cursors.set(doc, doc.documentElement.style.cursor);
+    doc.documentElement.style.cursor = 'crosshair';
+    doc.addEventListener('mousemove', onMouseMove, true);
+    doc.addEventListener('click', onClick, true);
+    doc.addEventListener('keydown', onKeyDown, true);
+    BLOCKED_EVENTS.forEach(type => doc.addEventListener(type, blockEvent, true));
+  }
+
+  const picker = {
+    stop,
+    get active() {
+      return !stopped;
+    }
+  };
+  window._domAnalyzerPicker = picker;
+  return picker;
+
+  // The page and every same-origin iframe inside it
+  function getPickableDocuments(doc) {
+    const found = [doc];
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      let frameDocument = null;
+      try {
+        frameDocument = frame.contentDocument;
+      } catch (e) {
+        // Cross-origin frame
+      }
+      if (frameDocument && frameDocument.documentElement) {
+        found.push(...getPickableDocuments(frameDocument));
+      }
+    }
+    return found;
+  }
+
+  // The innermost element under the mouse, also inside open shadow roots
+  function getTarget(event) {
+    const target = event.composedPath()[0];
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+  }
+
+  function onMouseMove(event) {
+    const target = getTarget(event);
+    if (!target || target === hovered) return;
+    hovered = target;
+    drawBox(target);
+  }
+
+  function drawBox(element) {
+    const rect = element.getBoundingClientRect();
+    const offset = getFrameOffset(element);
+    const top = rect.top + offset.y;
+    const left = rect.left + offset.x;
+
+    Object.assign(box.style, {
+      display: 'block',
+      top: `${top}px`,
+      left: `${left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+
+    const id = element.id ? `#${element.id}` : '';
+    const className = !id && typeof element.className === 'string' && element.className.trim()
+      ? `.${element.className.trim().split(/\s+/)[0]}`
+      : '';
+    label.textContent = `${element.tagName.toLowerCase()}${id}${className}`;
+    label.style.display = 'block';
+
+    // Above the element, or inside it when there is no room above
+    const labelHeight = label.offsetHeight || 16;
+    label.style.top = `${top >= labelHeight + 2 ? top - labelHeight - 2 : Math.max(0, top + 2)}px`;
+    label.style.left = `${Math.max(0, Math.min(left, window.innerWidth - (label.offsetWidth || 0)))}px`;
+  }
+
+  // Position of the element's frame in the top window
+  function getFrameOffset(element) {
+    let x = 0;
+    let y = 0;
+    let view = element.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      x += frameRect.left + frame.clientLeft;
+      y += frameRect.top + frame.clientTop;
+      view = frame.ownerDocument.defaultView;
+    }
+    return { x, y };
+  }
+
+  function onClick(event) {
+    const target = getTarget(event) || hovered;
+    blockEvent(event);
+    if (!target) return;
+
+    stop();
+    finish(analyzePage({ ...analyzeSettings, inspect: target }));
+  }
+
+  function onKeyDown(event) {
+    if (event.key !== 'Escape') return;
+    blockEvent(event);
+    stop();
+    finish(null);
+  }
+
+  // Keeps the page from reacting to the clicks that pick elements
+  function blockEvent(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+  }
+
+  function finish(picked) {
+    try {
+      callback(picked);
+    } catch (error) {
+      console.error('pickElement callback failed:', error);
+    }
+  }
+
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+
+    for (const doc of documents) {
+      doc.documentElement.style.cursor = cursors.get(doc);
+      doc.removeEventListener('mousemove', onMouseMove, true);
+      doc.removeEventListener('click', onClick, true);
+      doc.removeEventListener('keydown', onKeyDown, true);
+      BLOCKED_EVENTS.forEach(type => doc.removeEventListener(type, blockEvent, true));
+    }
+    layer.remove();
+
+    if (window._domAnalyzerPicker === picker) {
+      delete window._domAnalyzerPicker;
+    }
+  }
+}
+
+/**
+ * Performs an action on an element of the last analyzePage() run by its highlight index.
+ */
+function performAction(request = {}, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    scrollIntoView: true,
+    clear: true
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { index, action, value } = request;
+
+  const ACTIONS = { click, type, fill, select, hover, scroll, check };
+  const session = window._domAnalyzerSession;
+  const nodeData = Number.isInteger(index)
+    ? Object.values(window.DOM_HASH_MAP || {}).find(node => node.highlightIndex === index)
+    : null;
+
+  if (!ACTIONS[action]) {
+    return failure('unsupported-action', `Unsupported action "${action}", use one of ${Object.keys(ACTIONS).join(', ')}`);
+  }
+  if (!session || !nodeData) {
+    return failure('not-found', `No element with index ${index}, run analyzePage() first`);
+  }
+
+  const element = getLiveElement();
+  if (!element) {
+    return failure('stale', `Element ${index} is no longer in the page, run analyzePage() again`);
+  }
+
+  const view = element.ownerDocument.defaultView;
+
+  if (settings.scrollIntoView && action !== 'scroll') {
+    element.scrollIntoView({ block: 'center', inline: 'center' });
+  }
+
+  const rect = element.getBoundingClientRect();
+  if (action !== 'scroll' && (rect.width === 0 || rect.height === 0)) {
+    return failure('not-visible', `Element ${index} has no size and cannot be interacted with`);
+  }
+
+  if (['click', 'type', 'fill', 'select', 'check'].includes(action) && isDisabled()) {
+    return failure('disabled', `Element ${index} is disabled`);
+  }
+
+  try {
+    const state = ACTIONS[action]();
+    return {
+      success: true,
+      index,
+      action,
+      tagName: nodeData.tagName,
+      state,
+      error: null
+    };
+  } catch (error) {
+    return failure(error.code || 'action-failed', error.message);
+  }
+
+  function failure(code, message) {
+    return {
+      success: false,
+      index,
+      action,
+      tagName: nodeData ? nodeData.tagName : null,
+      state: null,
+      error: { code, message }
+    };
+  }
+
+  // The live reference survives markup changes; the xpath only works in the top document
+  function getLiveElement() {
+    const live = session.getElement(index);
+    if (live && live.isConnected) return live;
+
+    try {
+      const found = document.evaluate(nodeData.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+      return found && found.nodeName.toLowerCase() === nodeData.tagName ? found : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function isDisabled() {
+    return element.disabled === true || element.getAttribute('aria-disabled') === 'true' ||
+      Boolean(element.closest('fieldset[disabled]'));
+  }
+
+  function actionError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function pointerInit() {
+    const current = element.getBoundingClientRect();
+    const clientX = current.left + current.width / 2;
+    const clientY = current.top + current.height / 2;
+    return { bubbles: true, cancelable: true, composed: true, view, clientX, clientY, button: 0 };
+  }
+
+  // Events come from the element's own window so listeners inside iframes see native event types
+  function dispatchPointer(types, init) {
+    for (const eventType of types) {
+      const EventClass = eventType.startsWith('pointer') && view.PointerEvent ? view.PointerEvent : view.MouseEvent;
+      const buttons = ['pointerdown', 'mousedown'].includes(eventType) ? 1 : 0;
+      element.dispatchEvent(new EventClass(eventType, { ...init, buttons, pointerType: 'mouse', isPrimary: true }));
+    }
+  }
+
+  function dispatchKey(eventType, key) {
+    element.dispatchEvent(new view.KeyboardEvent(eventType, { key, bubbles: true, cancelable: true, composed: true }));
+  }
+
+  function dispatchInput(eventType, init = {}) {
+    const EventClass = view.InputEvent || view.Event;
+    return element.dispatchEvent(new EventClass(eventType, { bubbles: true, cancelable: eventType === 'beforeinput', composed: true, ...init }));
+  }
+
+  function focusElement() {
+    if (element.ownerDocument.activeElement !== element && typeof element.focus === 'function') {
+      element.focus();
+    }
+  }
+
+  // Frameworks like React track the value through the prototype setter
+  function setNativeValue(newValue) {
+    const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+    if (descriptor && descriptor.set) {
+      descriptor.set.call(element, newValue);
+    } else {
+      element.value = newValue;
+    }
+  }
+
+  function hover() {
+    const init = pointerInit();
+    dispatchPointer(['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove'], init);
+    return {};
+  }
+
+  function click() {
+    const init = pointerInit();
+    dispatchPointer(['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'pointermove', 'mousemove', 'pointerdown', 'mousedown'], init);
+    focusElement();
+    dispatchPointer(['pointerup', 'mouseup'], init);
+    element.dispatchEvent(new view.MouseEvent('click', { ...init, detail: 1 }));
+    return {};
+  }
+
+  function type() {
+    const text = String(value ?? '');
+    const isEditable = element.isContentEditable || ['', 'true', 'plaintext-only'].includes(element.getAttribute('contenteditable'));
+    const isTextField = 'value' in element && ['input', 'textarea'].includes(nodeData.tagName);
+    if (!isTextField && !isEditable) {
+      throw actionError('unsupported-element', `Cannot type into <${nodeData.tagName}>`);
+    }
+
+    click();
+
+    if (settings.clear) {
+      if (isEditable) {
+        element.textContent = '';
+      } else {
+        setNativeValue('');
+      }
+      dispatchInput('input', { inputType: 'deleteContentBackward' });
+    }
+
+    for (const character of text) {
+      dispatchKey('keydown', character);
+      dispatchKey('keypress', character);
+      if (dispatchInput('beforeinput', { inputType: 'insertText', data: character })) {
+        if (isEditable) {
+          element.textContent += character;
+        } else {
+          setNativeValue(element.value + character);
+        }
+        dispatchInput('input', { inputType: 'insertText', data: character });
+      }
+      dispatchKey('keyup', character);
+    }
+
+    if (!isEditable) {
+      element.dispatchEvent(new view.Event('change', { bubbles: true }));
+    }
+    return { value: isEditable ? element.textContent : element.value };
+  }
+
+  // Sets the whole value at once, for inputs that cannot be typed character by character (date, number, color, range)
+  function fill() {
+    if (!('value' in element) || !['input', 'textarea'].includes(nodeData.tagName)) {
+      throw actionError('unsupported-element', `Cannot fill <${nodeData.tagName}>`);
+    }
+
+    focusElement();
+    setNativeValue(String(value ?? ''));
+    dispatchInput('input', { inputType: 'insertReplacementText' });
+    element.dispatchEvent(new view.Event('change', { bubbles: true }));
+    return { value: element.value };
+  }
+
+  function select() {
+    if (nodeData.tagName !== 'select') {
+      throw actionError('unsupported-element', `Cannot select an option of <${nodeData.tagName}>`);
+    }
+
+    // Options match by value first, then by visible label
+    const wanted = (Array.isArray(value) ? value : [value]).map(item => String(item ?? ''));
+    const options = Array.from(element.options);
+    const matches = wanted.map(item =>
+      options.find(option => option.value === item) ||
+      options.find(option => option.text.trim() === item.trim())
+    );
+    if (matches.some(option => !option)) {
+      throw actionError('invalid-value', `No option matching ${JSON.stringify(value)}`);
+    }
+    if (matches.length > 1 && !element.multiple) {
+      throw actionError('invalid-value', 'Only one option can be selected');
+    }
+
+    focusElement();
+    for (const option of options) {
+      option.selected = matches.includes(option);
+    }
+    dispatchInput('input');
+    element.dispatchEvent(new view.Event('change', { bubbles: true }));
+    return { value: element.value, selected: matches.map(option => option.value) };
+  }
+
+  function check() {
+    const wanted = value === undefined ? true : Boolean(value) && value !== 'false';
+    const isNative = nodeData.tagName === 'input' && ['checkbox', 'radio'].includes(element.type);
+    const role = element.getAttribute('role');
+    if (!isNative && !['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+      throw actionError('unsupported-element', `<${nodeData.tagName}> is not a checkbox, radio or switch`);
+    }
+    if (!wanted && (element.type === 'radio' || role === 'radio' || role === 'menuitemradio')) {
+      throw actionError('invalid-value', 'A radio button cannot be unchecked');
+    }
+
+    const isChecked = () => isNative ? element.checked : element.getAttribute('aria-checked') === 'true';
+    if (isChecked() !== wanted) {
+      click();
+    }
+    if (isChecked() !== wanted) {
+      throw actionError('action-failed', `Element ${index} did not change its checked state`);
+    }
+    return { checked: isChecked() };
+  }
+
+  // value: 'into-view' (default), 'up', 'down', 'top', 'bottom' or a pixel offset
+  function scroll() {
+    const amount = value ?? 'into-view';
+    const style = view.getComputedStyle(element);
+    const isScrollable = element.scrollHeight > element.clientHeight && /(auto|scroll|overlay)/.test(style.overflowY);
+
+    if (amount === 'into-view' || !isScrollable) {
+      if (amount !== 'into-view' && !isScrollable) {
+        throw actionError('unsupported-element', `Element ${index} is not a scroll container`);
+      }
+      element.scrollIntoView({ block: 'center', inline: 'center' });
+    } else if (amount === 'top' || amount === 'bottom') {
+      element.scrollTop = amount === 'top' ? 0 : element.scrollHeight;
+    } else {
+      const page = element.clientHeight * 0.8;
+      const offset = amount === 'up' ? -page : amount === 'down' ? page : Number(amount);
+      if (Number.isNaN(offset)) {
+        throw actionError('invalid-value', `Invalid scroll amount ${JSON.stringify(amount)}`);
+      }
+      element.scrollTop += offset;
+    }
+    return { scrollTop: element.scrollTop, scrollLeft: element.scrollLeft };
+  }
+}
+
+/**
+ * Fills the forms of the last analyzePage() run with 'valid', 'boundary' or 'invalid' test data.
+ */
+function fillForms(options = {}) {
+  // Default settings
+  const defaultOptions = {
+    strategy: 'valid',
+    seed: 1,
+    formIds: null
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { strategy, seed, formIds } = settings;
+
+  const STRATEGIES = ['valid', 'boundary', 'invalid'];
+  // Like performAction(), bad input is reported in the result instead of thrown
+  if (!STRATEGIES.includes(strategy)) {
+    return {
+      success: false,
+      strategy,
+      seed,
+      forms: [],
+      summary: { filled: 0, skipped: 0, failed: 0 },
+      error: { code: 'unsupported-strategy', message: `Unsupported fill strategy "${strategy}", use one of ${STRATEGIES.join(', ')}` },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  const FIRST_NAMES = ['Alice', 'Bruno', 'Chen', 'Dana', 'Emil', 'Fatima', 'Goran', 'Hana', 'Ivan', 'Julia'];
+  const LAST_NAMES = ['Anders', 'Baker', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Hoffmann', 'Ito', 'Jensen'];
+  const CITIES = ['Berlin', 'Lisbon', 'Oslo', 'Toronto', 'Osaka', 'Denver'];
+  const COUNTRIES = ['Germany', 'Portugal', 'Norway', 'Canada', 'Japan', 'United States'];
+  const STREETS = ['Main Street', 'Oak Avenue', 'Harbour Road', 'Hill Lane'];
+  const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs'];
+  const WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet'];
+  const LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+  const DIGITS = '0123456789'.split('');
+  const SYMBOLS = '-_.!@#'.split('');
+  // Date, number and color inputs are filled in one step: typed character by character they
+  // would pass through invalid intermediate values
+  const DATE_TYPES = ['date', 'datetime-local', 'month', 'week', 'time'];
+
+  if (!window.DOM_FORMS) {
+    analyzePage({ doHighlightElements: false });
+  }
+  const session = window._domAnalyzerSession;
+  const forms = (window.DOM_FORMS || []).filter(form => !formIds || formIds.includes(form.id));
+
+  const report = {
+    success: true,
+    strategy,
+    seed,
+    forms: forms.map(form => ({
+      id: form.id,
+      name: form.name,
+      submit: form.submit ? form.submit.locator : null,
+      // Every field gets its own generator, so adding a field does not change the values of the others
+      fields: form.fields.map(field => fillField(field, createRandom(`${seed}:${form.id}:${field.stableId || field.xpath}`)))
+    })),
+    summary: { filled: 0, skipped: 0, failed: 0 },
+    error: null,
+    timestamp: new Date().toISOString()
+  };
+
+  for (const form of report.forms) {
+    for (const field of form.fields) {
+      report.summary[field.status]++;
+    }
+  }
+
+  return report;
+
+  function fillField(field, random) {
+    const entry = {
+      label: field.label,
+      name: field.name,
+      type: field.type,
+      purpose: field.purpose,
+      index: field.index,
+      locator: field.locator,
+      value: null,
+      rule: null,
+      expectedValid: null,
+      valid: null,
+      validationMessage: '',
+      status: 'skipped',
+      reason: null
+    };
+
+    const skipReason = field.disabled ? 'disabled' : field.readonly ? 'readonly'
+      : field.type === 'file' ? 'unsupported-type' : field.index === null ? 'no-index' : null;
+    if (skipReason) {
+      entry.reason = skipReason;
+      return entry;
+    }
+
+    const plan = planField(field, random);
+    if (!plan) {
+      entry.reason = 'no-options';
+      return entry;
+    }
+
+    const result = performAction({ index: plan.index ?? field.index, action: plan.action, value: plan.value });
+    Object.assign(entry, {
+      index: plan.index ?? field.index,
+      locator: plan.locator || field.locator,
+      value: plan.optionValue ?? plan.value,
+      rule: plan.rule,
+      expectedValid: plan.expectedValid,
+      status: result.success ? 'filled' : 'failed',
+      reason: result.success ? null : result.error.code
+    });
+
+    // What the browser's own constraint validation makes of the new value
+    const element = session && session.getElement(entry.index);
+    if (result.success && element && element.validity) {
+      const lengthMessage = getLengthMessage(element);
+      entry.valid = element.validity.valid && !lengthMessage;
+      entry.validationMessage = element.validationMessage || lengthMessage;
+    }
+
+    return entry;
+  }
+
+  // Browsers only report tooShort and tooLong after user edits, never for values set by script
+  function getLengthMessage(element) {
+    const LENGTH_TYPES = ['text', 'search', 'url', 'tel', 'email', 'password'];
+    const isTextField = element.tagName.toLowerCase() === 'textarea' ||
+      (element.tagName.toLowerCase() === 'input' && LENGTH_TYPES.includes(element.type));
+    const length = isTextField ? element.value.length : 0;
+    if (length === 0) return '';
+
+    if (element.minLength > 0 && length < element.minLength) {
+      return `Please lengthen this text to ${element.minLength} characters or more (you are currently using ${length} characters).`;
+    }
+    if (element.maxLength >= 0 && length > element.maxLength) {
+      return `Please shorten this text to ${element.maxLength} characters or less (you are currently using ${length} characters).`;
+    }
+    return '';
+  }
+
+  /**
+   * Picks the action and value for a field: { action, value, rule, expectedValid }, where rule
+   * names the constraint the value was chosen for (or broke) and index/locator target a radio option.
+   */
+  function planField(field, random) {
+    if (field.type === 'radio') return planRadio(field, random);
+    if (field.type === 'checkbox' || field.type === 'switch') return planCheckbox(field, random);
+    if (field.tagName === 'select') return planSelect(field, random);
+    if (DATE_TYPES.includes(field.type)) return planDate(field, random);
+    if (field.type === 'number' || field.type === 'range') return planNumber(field, random);
+    if (field.type === 'color') {
+      const value = strategy === 'boundary' ? pick(random, ['#000000', '#ffffff'])
+        : `#${Array.from({ length: 6 }, () => pick(random, '0123456789abcdef'.split(''))).join('')}`;
+      return { action: 'fill', value, rule: strategy === 'invalid' ? 'no-invalid-value' : null, expectedValid: true };
+    }
+    return planText(field, random);
+  }
+
+  function planCheckbox(field, random) {
+    if (strategy === 'invalid' && field.required) {
+      return { action: 'check', value: false, rule: 'value-missing', expectedValid: false };
+    }
+    const checked = field.required || (strategy === 'valid' && random() < 0.5);
+    return { action: 'check', value: checked, rule: strategy === 'invalid' ? 'no-invalid-value' : null, expectedValid: true };
+  }
+
+  // A checked radio cannot be unchecked again, so there is no invalid choice
+  function planRadio(field, random) {
+    const options = (field.options || []).filter(option => option.index !== null);
+    if (options.length === 0) return null;
+    const option = strategy === 'boundary' ? options[options.length - 1] : pick(random, options);
+    return {
+      action: 'check',
+      value: true,
+      index: option.index,
+      locator: option.locator,
+      optionValue: option.value,
+      rule: strategy === 'invalid' ? 'no-invalid-value' : null,
+      expectedValid: true
+    };
+  }
+
+  function planSelect(field, random) {
+    const enabled = (field.options || []).filter(option => !option.disabled);
+    const choices = enabled.filter(option => option.value !== '');
+    const placeholder = enabled.find(option => option.value === '');
+
+    if (strategy === 'invalid' && field.required && placeholder) {
+      return { action: 'select', value: '', rule: 'value-missing', expectedValid: false };
+    }
+    if (choices.length === 0) return null;
+
+    let selected;
+    if (strategy === 'boundary') {
+      selected = [random() < 0.5 ? choices[0] : choices[choices.length - 1]];
+    } else if (field.constraints.multiple) {
+      selected = shuffle(random, choices).slice(0, integer(random, 1, Math.min(2, choices.length)));
+    } else {
+      selected = [pick(random, choices)];
+    }
+
+    const values = selected.map(option => option.value);
+    return {
+      action: 'select',
+      value: field.constraints.multiple ? values : values[0],
+      rule: strategy === 'invalid' ? 'no-invalid-value' : null,
+      expectedValid: true
+    };
+  }
+
+  function planNumber(field, random) {
+    const { min, max, step } = field.constraints;
+    const low = min !== undefined && min !== '' ? Number(min) : null;
+    const high = max !== undefined && max !== '' ? Number(max) : null;
+    const increment = step && step !== 'any' && Number(step) > 0 ? Number(step) : 1;
+    const base = low ?? 0;
+
+    if (strategy === 'invalid') {
+      if (high !== null) return { action: 'fill', value: String(high + increment), rule: 'range-overflow', expectedValid: false };
+      if (low !== null) return { action: 'fill', value: String(low - increment), rule: 'range-underflow', expectedValid: false };
+      if (increment !== 1) return { action: 'fill', value: String(base + increment / 2), rule: 'step-mismatch', expectedValid: false };
+      if (field.required) return { action: 'fill', value: '', rule: 'value-missing', expectedValid: false };
+    }
+
+    let value;
+    if (strategy === 'boundary') {
+      const edges = [low, high].filter(edge => edge !== null);
+      value = edges.length > 0 ? pick(random, edges) : 0;
+    } else {
+      const steps = Math.max(0, Math.floor(((high ?? base + 100) - base) / increment));
+      value = base + integer(random, 0, steps) * increment;
+    }
+    // Trims floating point noise such as 0.30000000000000004
+    value = Number(value.toFixed(10));
+    return { action: 'fill', value: String(value), rule: strategy === 'invalid' ? 'no-invalid-value' : null, expectedValid: true };
+  }
+
+  // ISO formats of the same input type compare correctly as strings
+  function planDate(field, random) {
+    const { min, max } = field.constraints;
+
+    if (strategy === 'invalid') {
+      if (max) return { action: 'fill', value: shiftDate(field.type, max, 1), rule: 'range-overflow', expectedValid: false };
+      if (min) return { action: 'fill', value: shiftDate(field.type, min, -1), rule: 'range-underflow', expectedValid: false };
+      if (field.required) return { action: 'fill', value: '', rule: 'value-missing', expectedValid: false };
+    }
+
+    let value;
+    if (strategy === 'boundary' && (min || max)) {
+      value = pick(random, [min, max].filter(Boolean));
+    } else {
+      const yearOf = (limit) => (limit && field.type !== 'time' ? Number(limit.slice(0, 4)) || null : null);
+      const firstYear = yearOf(min) ?? Math.min(2000, yearOf(max) ?? 2000);
+      const lastYear = yearOf(max) ?? firstYear + 30;
+      const date = new Date(Date.UTC(integer(random, firstYear, lastYear), integer(random, 0, 11), integer(random, 1, 28),
+        integer(random, 8, 18), pick(random, [0, 15, 30, 45])));
+      value = formatDate(field.type, date);
+      if (min && value < min) value = min;
+      if (max && value > max) value = max;
+    }
+    return { action: 'fill', value, rule: strategy === 'invalid' ? 'no-invalid-value' : null, expectedValid: true };
+  }
+
+  function formatDate(type, date) {
+    const iso = date.toISOString();
+    if (type === 'month') return iso.slice(0, 7);
+    if (type === 'time') return iso.slice(11, 16);
+    if (type === 'datetime-local') return iso.slice(0, 16);
+    if (type === 'week') {
+      // ISO weeks belong to the year of their Thursday
+      const thursday = new Date(date.getTime());
+      thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+      const week = 1 + Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 604800000);
+      return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+    return iso.slice(0, 10);
+  }
+
+  // One day (or minute, month, week) beyond a min or max value
+  function shiftDate(type, value, direction) {
+    if (type === 'time') {
+      const [hours, minutes] = value.split(':').map(Number);
+      const total = (hours * 60 + minutes + direction + 1440) % 1440;
+      return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+    if (type === 'week') {
+      const [year, week] = value.split('-W').map(Number);
+      return `${year}-W${String(Math.min(52, Math.max(1, week + direction))).padStart(2, '0')}`;
+    }
+    const date = new Date(`${type === 'month' ? `${value}-01` : value}${type === 'datetime-local' ? ':00Z' : 'T00:00:00Z'}`);
+    if (Number.isNaN(date.getTime())) return value;
+    if (type === 'month') {
+      date.setUTCMonth(date.getUTCMonth() + direction);
+    } else if (type === 'datetime-local') {
+      date.setUTCMinutes(date.getUTCMinutes() + direction);
+    } else {
+      date.setUTCDate(date.getUTCDate() + direction);
+    }
+    return formatDate(type, date);
+  }
+
+  function planText(field, random) {
+    const { pattern, minLength = 0, maxLength } = field.constraints;
+    const action = 'type';
+
+    if (strategy === 'invalid') {
+      const invalid = getInvalidText(field, random);
+      if (invalid) return { action, ...invalid, expectedValid: false };
+    }
+
+    // Lengths the value has to end up with; boundary values sit on the longest allowed one
+    const longest = maxLength ?? Infinity;
+    const targetLength = strategy === 'boundary' ? (maxLength ?? (minLength || null)) : null;
+
+    let value = null;
+    for (let attempt = 0; attempt < 10 && value === null; attempt++) {
+      const candidate = pattern ? generateFromPattern(pattern, random, strategy === 'boundary') : null;
+      if (candidate !== null && candidate.length >= minLength && candidate.length <= longest) value = candidate;
+      if (!pattern) break;
+    }
+
+    let rule = pattern && value !== null ? 'pattern' : null;
+    if (value === null) {
+      value = strategy === 'boundary' && targetLength === null ? getShortestText(field, random) : getSampleText(field, random);
+      value = fitLength(value, targetLength ?? minLength, targetLength ?? longest, field.purpose, random);
+      rule = targetLength !== null ? (maxLength !== undefined ? 'max-length' : 'min-length') : null;
+    }
+
+    return { action, value, rule: strategy === 'invalid' ? 'no-invalid-value' : rule, expectedValid: true };
+  }
+
+  // The first declared constraint that a value can break, in the order browsers report them
+  function getInvalidText(field, random) {
+    const { pattern, minLength, maxLength } = field.constraints;
+
+    if (field.type === 'email') return { value: `${pick(random, WORDS)}-at-example`, rule: 'type-mismatch' };
+    if (field.type === 'url') return { value: `${pick(random, WORDS)} example`, rule: 'type-mismatch' };
+    if (pattern) {
+      const matcher = toPatternRegExp(pattern);
+      const value = ['!!', '0', 'a', '-', ' x '].find(candidate => matcher && !matcher.test(candidate));
+      if (value !== undefined) return { value, rule: 'pattern-mismatch' };
+    }
+    if (maxLength !== undefined) {
+      return { value: fitLength(getSampleText(field, random), maxLength + 1, maxLength + 1, field.purpose, random), rule: 'too-long' };
+    }
+    if (minLength > 1) {
+      return { value: fitLength(getSampleText(field, random), minLength - 1, minLength - 1, field.purpose, random), rule: 'too-short' };
+    }
+    if (field.required) return { value: '', rule: 'value-missing' };
+    return null;
+  }
+
+  function getSampleText(field, random) {
+    const firstName = pick(random, FIRST_NAMES);
+    const lastName = pick(random, LAST_NAMES);
+
+    switch (field.purpose) {
+      case 'email': return `${firstName}.${lastName}${integer(random, 1, 99)}@example.com`.toLowerCase();
+      case 'password': return `${capitalize(pick(random, WORDS))}-${pick(random, WORDS)}-${integer(random, 10, 99)}!`;
+      case 'phone': return `+1555${digits(random, 7)}`;
+      case 'username': return `${firstName}${lastName}${integer(random, 1, 999)}`.toLowerCase();
+      case 'first-name': return firstName;
+      case 'last-name': return lastName;
+      case 'full-name': return `${firstName} ${lastName}`;
+      case 'postal-code': return digits(random, 5);
+      case 'city': return pick(random, CITIES);
+      case 'country': return pick(random, COUNTRIES);
+      case 'address': return `${integer(random, 1, 200)} ${pick(random, STREETS)}`;
+      case 'company': return pick(random, COMPANIES);
+      // Test card number accepted by the common payment sandboxes
+      case 'card-number': return '4242424242424242';
+      case 'card-expiry': return `${String(integer(random, 1, 12)).padStart(2, '0')}/${integer(random, 30, 35)}`;
+      case 'cvc': return digits(random, 3);
+      case 'otp': return digits(random, 6);
+      case 'url': return `https://example.com/${pick(random, WORDS)}`;
+      case 'date': return formatDate('date', new Date(Date.UTC(integer(random, 1970, 2005), integer(random, 0, 11), integer(random, 1, 28))));
+      case 'search': return pick(random, WORDS);
+      default: {
+        const count = field.type === 'textarea' ? integer(random, 6, 12) : integer(random, 1, 3);
+        return capitalize(Array.from({ length: count }, () => pick(random, WORDS)).join(' '));
+      }
+    }
+  }
+
+  // Boundary values without a length constraint: the shortest value that is still well-formed
+  function getShortestText(field, random) {
+    switch (field.purpose) {
+      case 'email': return `${pick(random, LETTERS).toLowerCase()}@example.co`;
+      case 'url': return 'https://a.co';
+      case 'text':
+      case 'search':
+        return pick(random, LETTERS);
+      default: return getSampleText(field, random);
+    }
+  }
+
+  // Pads or cuts a value to a length range; emails keep their domain
+  function fitLength(value, minLength, maxLength, purpose, random) {
+    const [local, domain] = purpose === 'email' && value.includes('@') ? value.split('@') : [value, null];
+    const suffix = domain !== null ? `@${domain}` : '';
+    let head = local;
+    while (head.length + suffix.length < minLength) {
+      head += pick(random, LETTERS).toLowerCase();
+    }
+    if (head.length + suffix.length > maxLength) {
+      head = head.slice(0, Math.max(domain !== null ? 1 : 0, maxLength - suffix.length));
+    }
+    return `${head}${suffix}`.slice(0, maxLength === Infinity ? undefined : maxLength);
+  }
+
+  function toPatternRegExp(pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'v');
+    } catch (e) {
+      try {
+        return new RegExp(`^(?:${pattern})$`, 'u');
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Generates a string for the common pattern syntax: literals, escapes (\d, \w, \s), character
+   * classes, groups with alternatives and quantifiers. Returns null for patterns it cannot
+   * satisfy. Boundary values repeat every quantifier as often as allowed.
+   */
+  function generateFromPattern(pattern, random, longest) {
+    const matcher = toPatternRegExp(pattern);
+    if (!matcher) return null;
+
+    let position = 0;
+    try {
+      const generate = parseAlternatives();
+      const value = generate();
+      return position === pattern.length && matcher.test(value) ? value : null;
+    } catch (e) {
+      return null;
+    }
+
+    function parseAlternatives() {
+      const alternatives = [parseSequence()];
+      while (pattern[position] === '|') {
+        position++;
+        alternatives.push(parseSequence());
+      }
+      return () => pick(random, alternatives)();
+    }
+
+    function parseSequence() {
+      const atoms = [];
+      while (position < pattern.length && pattern[position] !== '|' && pattern[position] !== ')') {
+        atoms.push(parseQuantifier(parseAtom()));
+      }
+      return () => atoms.map(atom => atom()).join('');
+    }
+
+    function parseAtom() {
+      const character = pattern[position++];
+      if (character === '(') {
+        // Non-capturing and named groups generate like plain ones
+        if (pattern[position] === '?') {
+          const groupPrefix = /^\?(:|<[^>]+>)/.exec(pattern.slice(position));
+          if (!groupPrefix) throw new Error('Unsupported group');
+          position += groupPrefix[0].length;
+        }
+        const group = parseAlternatives();
+        if (pattern[position++] !== ')') throw new Error('Unclosed group');
+        return group;
+      }
+      if (character === '[') return parseClass();
+      if (character === '\\') {
+        const choices = getEscapeChoices(pattern[position++]);
+        return () => pick(random, choices);
+      }
+      if (character === '.') return () => pick(random, LETTERS);
+      if (character === '^' || character === '$') return () => '';
+      return () => character;
+    }
+
+    function parseClass() {
+      const negated = pattern[position] === '^';
+      if (negated) position++;
+
+      const members = [];
+      while (position < pattern.length && pattern[position] !== ']') {
+        const character = pattern[position++];
+        if (character === '\\') {
+          members.push(...getEscapeChoices(pattern[position++]));
+        } else if (pattern[position] === '-' && pattern[position + 1] && pattern[position + 1] !== ']') {
+          const end = pattern[position + 1];
+          position += 2;
+          for (let code = character.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+            members.push(String.fromCharCode(code));
+          }
+        } else {
+          members.push(character);
+        }
+      }
+      if (pattern[position++] !== ']') throw new Error('Unclosed class');
+
+      const choices = negated ? [...LETTERS, ...DIGITS, ...SYMBOLS].filter(member => !members.includes(member)) : members;
+      return () => pick(random, choices);
+    }
+
+    function parseQuantifier(atom) {
+      let min = 1;
+      let max = 1;
+      let quantified = true;
+      const character = pattern[position];
+      if (character === '*' || character === '+' || character === '?') {
+        position++;
+        min = character === '+' ? 1 : 0;
+        max = character === '?' ? 1 : min + 4;
+      } else if (character === '{') {
+        const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(position));
+        if (bounds) {
+          position += bounds[0].length;
+          min = Number(bounds[1]);
+          max = bounds[2] ? (bounds[3] ? Number(bounds[3]) : min + 4) : min;
+        } else {
+          quantified = false;
+        }
+      } else {
+        quantified = false;
+      }
+      // Lazy quantifiers generate the same strings
+      if (quantified && pattern[position] === '?') position++;
+
+      return () => {
+        const count = longest ? max : integer(random, Math.max(min, max > 0 ? 1 : 0), max);
+        return Array.from({ length: count }, () => atom()).join('');
+      };
+    }
+  }
+
+  function getEscapeChoices(character) {
+    switch (character) {
+      case 'd': return DIGITS;
+      case 'w': return [...LETTERS, ...DIGITS, '_'];
+      case 's': return [' '];
+      case 'D': return LETTERS;
+      case 'W': return SYMBOLS;
+      case 'S': return [...LETTERS, ...DIGITS];
+      default: return [character];
+    }
+  }
+
+  // Seeded generator (FNV-1a hash of the key, then mulberry32) so runs are repeatable
+  function createRandom(key) {
+    let state = 2166136261;
+    for (const character of String(key)) {
+      state = Math.imul(state ^ character.charCodeAt(0), 16777619);
+    }
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let mixed = Math.imul(state ^ (state >>> 15), 1 | state);
+      mixed = (mixed + Math.imul(mixed ^ (mixed >>> 7), 61 | mixed)) ^ mixed;
+      return ((mixed ^ (mixed >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function integer(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  function shuffle(random, items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  function digits(random, length) {
+    return Array.from({ length }, () => pick(random, DIGITS)).join('');
+  }
+
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+/**
+ * Page size, viewport and page-coordinate boxes of the highlighted elements, for annotated screenshots.
+ */
+function getCaptureLayout() {
+  const session = window._domAnalyzerSession;
+  const scrollingElement = document.scrollingElement || document.documentElement;
+
+  const elements = [];
+  for (const entry of window.DOM_INTERACTIVE_ELEMENTS || []) {
+    const element = session ? session.getElement(entry.index) : null;
+    if (!element || !element.isConnected) continue;
+
+    const rect = element.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+
+    // Viewport coordinates of elements inside iframes are relative to the iframe
+    let x = rect.left;
+    let y = rect.top;
+    let view = element.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      x += frameRect.left + frame.clientLeft;
+      y += frameRect.top + frame.clientTop;
+      view = frame.ownerDocument.defaultView;
+    }
+
+    elements.push({
+      index: entry.index,
+      color: session.getOverlayColor(entry.index),
+      box: {
+        x: Math.round(x + window.scrollX),
+        y: Math.round(y + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      },
+      tagName: entry.tagName,
+      text: entry.text,
+      xpath: entry.xpath,
+      locators: entry.locators,
+      scope: entry.scope || null
+    });
+  }
+
+  return {
+    url: window.location.href,
+    title: document.title,
+    width: Math.max(scrollingElement.scrollWidth, document.documentElement.clientWidth),
+    height: Math.max(scrollingElement.scrollHeight, document.documentElement.clientHeight),
+    // Without scrollbars, which are not part of the page
+    viewport: { width: document.documentElement.clientWidth, height: document.documentElement.clientHeight },
+    scroll: { x: window.scrollX, y: window.scrollY },
+    devicePixelRatio: window.devicePixelRatio || 1,
+    elements,
+    timestamp: new Date().toISOString()
   };
+}
 
-  if (debugMode) {
-    console.log('DOM Analysis Result:', result);
+/**
+ * Draws overlays for the violations of analyzePage({ audit: true }); returns how many were drawn.
+ */
+function highlightViolations(ids) {
+  const session = window._domAnalyzerSession;
+  return session ? session.highlightViolations(ids) : 0;
+}
+
+/**
+ * Export data for the last analyzePage() run, or null before any analysis.
+ */
+function exportAnalysis() {
+  const entries = window.DOM_INTERACTIVE_ELEMENTS;
+  if (!entries || !window._domAnalyzerSession) return null;
+
+  return {
+    interactiveElements: entries.map(entry => {
+      const { xpath, cssPath, text } = getEntryLocators(entry);
+      return {
+        index: entry.index,
+        stableId: entry.stableId,
+        tagName: entry.tagName,
+        attributes: entry.attributes,
+        description: entry.description,
+        isVisible: entry.isVisible,
+        isInViewport: entry.isInViewport,
+        locators: { text, cssPath, xpath },
+        rankedLocators: entry.locators || [],
+        scope: entry.scope || null,
+        geometry: entry.geometry || null,
+        context: entry.context || null
+      };
+    }).sort((a, b) => a.index - b.index),
+    forms: window.DOM_FORMS || [],
+    pageInfo: {
+      title: document.title,
+      url: window.location.href,
+      timestamp: new Date().toISOString()
+    },
+    totalInteractiveElements: entries.length
+  };
+}
+
+/**
+ * Locators of an element from the last analyzePage() run, or of every element without an index.
+ */
+function getElementLocators(index) {
+  const entries = window.DOM_INTERACTIVE_ELEMENTS || [];
+  if (index === undefined) {
+    return entries.map(getEntryLocators);
   }
 
-  return result;
+  const entry = entries.find(candidate => candidate.index === index);
+  return entry ? getEntryLocators(entry) : null;
+}
+
+// Exports and the full locator list pass their entries directly instead of looking each one up
+function getEntryLocators(entry) {
+  const session = window._domAnalyzerSession;
+  const element = session ? session.getElement(entry.index) : null;
+  const attributes = entry.attributes || {};
+
+  return {
+    index: entry.index,
+    xpath: entry.xpath,
+    cssPath: element && element.isConnected ? session.getCssSelector(element) : '',
+    text: entry.text || (attributes.value || attributes.placeholder || attributes['aria-label'] || attributes.title || '').substring(0, 50),
+    ranked: entry.locators || [],
+    scope: entry.scope || null
+  };
+}
+
+/**
+ * One-line description of an element from the last analyzePage() run; null for unknown indexes.
+ */
+function describeElement(index) {
+  const entry = (window.DOM_INTERACTIVE_ELEMENTS || []).find(candidate => candidate.index === index);
+  return entry ? entry.description : null;
+}
+
+/**
+ * Registers a plugin for later analyzePage() runs, replacing one of the same name.
+ */
+function registerPlugin(plugin) {
+  if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+    throw new Error('Plugins need a name');
+  }
+  window._domAnalyzerPlugins = (window._domAnalyzerPlugins || []).filter(registered => registered.name !== plugin.name);
+  window._domAnalyzerPlugins.push(plugin);
+  return plugin.name;
+}
+
+/**
+ * Removes a registered plugin; returns whether one was registered under that name.
+ */
+function unregisterPlugin(name) {
+  const registered = window._domAnalyzerPlugins || [];
+  window._domAnalyzerPlugins = registered.filter(plugin => plugin.name !== name);
+  return window._domAnalyzerPlugins.length !== registered.length;
+}
+
+/**
+ * Shows only the overlay of one element from the last analyzePage() run; -1 shows them all again.
+ */
+function focusHighlight(index, options = {}) {
+  const session = window._domAnalyzerSession;
+  return session ? session.focusHighlight(index, options) : 0;
+}
+
+/**
+ * Public API shared by the extension and automation users
+ */
+function createDomAnalyzer() {
+  return {
+    analyze: analyzePage,
+    export: exportAnalysis,
+    locators: getElementLocators,
+    describe: describeElement,
+    focus: focusHighlight,
+    evaluate: evaluateLocator,
+    registerPlugin,
+    unregisterPlugin
+  };
 }
 
-// Make function available globally for direct console usage
+// Make functions available globally for direct console usage
 if (typeof window !== 'undefined') {
   window.analyzePage = analyzePage;
+  window.resolveElement = resolveElement;
+  window.watchPage = watchPage;
+  window.pickElement = pickElement;
+  window.evaluateLocator = evaluateLocator;
+  window.serializePage = serializePage;
+  window.performAction = performAction;
+  window.highlightViolations = highlightViolations;
+  window.fillForms = fillForms;
+  window.getCaptureLayout = getCaptureLayout;
+  window.DomAnalyzer = createDomAnalyzer();
 }
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { analyzePage };
+  module.exports = { analyzePage, resolveElement, watchPage, pickElement, evaluateLocator, serializePage, performAction, highlightViolations, fillForms, getCaptureLayout, DomAnalyzer: createDomAnalyzer() };
 }
@@ -1,14 +1,66 @@
 chrome.runtime.onInstalled.addListener(() => {
+  // The picker is offered from the analyzer's own entry instead of a second top-level item
   chrome.contextMenus.create({
     id: "open_dom_tree_analyzer",
-    title: "Open DOM Tree Analyzer",
+    title: "DOM Tree Analyzer",
+    contexts: ["all"]
+  });
+  chrome.contextMenus.create({
+    id: "open_dom_tree_analyzer_panel",
+    parentId: "open_dom_tree_analyzer",
+    title: "Open Sidepanel",
+    contexts: ["all"]
+  });
+  chrome.contextMenus.create({
+    id: "pick_dom_tree_element",
+    parentId: "open_dom_tree_analyzer",
+    title: "Pick Element",
     contexts: ["all"]
   });
 });
 
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "open_dom_tree_analyzer" && tab) {
-    chrome.sidePanel.open({ windowId: tab.windowId });
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab) return;
+  try {
+    // Opening the side panel has to happen first, while the click still counts as a user gesture
+    if (info.menuItemId === "open_dom_tree_analyzer_panel") {
+      await chrome.sidePanel.open({ windowId: tab.windowId });
+    }
+    if (info.menuItemId === "pick_dom_tree_element") {
+      await chrome.sidePanel.open({ windowId: tab.windowId });
+      await startPicker(tab.id);
+    }
+  } catch (error) {
+    console.error('Failed to open the DOM Tree Analyzer:', error);
+  }
+});
+
+// Same picker as the sidepanel's Pick Element button
+async function startPicker(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['analyzePage.js']
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        window.pickElement({}, (picked) => {
+          chrome.runtime.sendMessage({ action: 'elementPicked', picked, source: 'contextMenu' });
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Failed to start the element picker:', error);
+  }
+}
+
+// The side panel may still be loading when the pick arrives, so it reads the pick from session storage
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === 'elementPicked' && message.source === 'contextMenu' && sender.tab) {
+    chrome.storage.session.set({
+      pendingPick: { tabId: sender.tab.id, picked: message.picked, receivedAt: Date.now() }
+    });
   }
 });
 
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * DOM Analyzer CLI
+ * Opens URLs or local HTML files in a headless Chromium (Playwright), runs analyzePage() in them and
+ * writes the exports and an annotated full-page screenshot for each one
+ *
+ * Usage examples:
+ * - dom-analyzer analyze https://staging.example.com/login --format json,md --out reports
+ * - dom-analyzer analyze fixtures/*.html --viewport-expansion -1 --offline
+ * - Node: const { runCli } = require('./cli'); await runCli(['analyze', 'page.html'])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { parseArgs } = require('util');
+
+const { serializePage } = require('./analyzePage');
+const { exportElements } = require('./exportElements');
+
+const USAGE = `Usage: dom-analyzer analyze <url|file.html>... [options]
+
+Options:
+  --format <list>              Comma-separated export formats (default: json)
+                               json, md, text, csv, tsv, yaml, gherkin, properties, robot
+  --viewport-expansion <px>    Pixels around the viewport to analyze, -1 for the whole page
+  --max-elements <n>           Highlight at most n elements
+  --out <dir>                  Output directory (default: dom-analyzer-output)
+  --viewport <WxH>             Browser viewport (default: 1280x720)
+  --wait-until <event>         load, domcontentloaded or networkidle (default: load)
+  --timeout <ms>               Navigation timeout (default: 30000)
+  --no-screenshot              Skip the annotated full-page screenshot
+  --offline                    Block every http(s) request, e.g. for local fixtures
+  --headed                     Show the browser window
+  -h, --help                   Show this help`;
+
+// Formats written by the CLI and how they are rendered
+const FORMATS = {
+  json: { extension: 'json', render: (result) => JSON.stringify(result, null, 2) },
+  md: { extension: 'md', render: (result) => exportElements(result, { format: 'markdown' }).content },
+  text: { extension: 'txt', render: (result) => serializePage(result) },
+  csv: { extension: 'csv', render: (result) => exportElements(result, { format: 'csv' }).content },
+  tsv: { extension: 'tsv', render: (result) => exportElements(result, { format: 'tsv' }).content },
+  yaml: { extension: 'yaml', render: (result) => exportElements(result, { format: 'yaml' }).content },
+  gherkin: { extension: 'feature', render: (result) => exportElements(result, { format: 'gherkin' }).content },
+  properties: { extension: 'properties', render: (result) => exportElements(result, { format: 'properties' }).content },
+  robot: { extension: 'resource', render: (result) => exportElements(result, { format: 'robot' }).content }
+};
+
+class UsageError extends Error {}
+
+/**
+ * Turns command line arguments into run options; throws UsageError for invalid input
+ */
+function parseCommandLine(argv) {
+  // parseArgs() takes "--viewport-expansion -1" for a missing value, so negative numbers are attached
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (/^--[\w-]+$/.test(argv[i]) && /^-\d+$/.test(argv[i + 1] || '')) {
+      args.push(`${argv[i]}=${argv[++i]}`);
+    } else {
+      args.push(argv[i]);
+    }
+  }
+
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', default: 'json' },
+      'viewport-expansion': { type: 'string' },
+      'max-elements': { type: 'string' },
+      out: { type: 'string', default: 'dom-analyzer-output' },
+      viewport: { type: 'string', default: '1280x720' },
+      'wait-until': { type: 'string', default: 'load' },
+      timeout: { type: 'string', default: '30000' },
+      'no-screenshot': { type: 'boolean', default: false },
+      offline: { type: 'boolean', default: false },
+      headed: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) return { command: 'help' };
+
+  const [command, ...targets] = positionals;
+  if (command !== 'analyze') {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (targets.length === 0) {
+    throw new UsageError('Missing <url|file.html> to analyze');
+  }
+
+  const formats = values.format.split(',').map(format => format.trim()).filter(Boolean);
+  for (const format of formats) {
+    if (!FORMATS[format]) throw new UsageError(`Unsupported format: ${format}`);
+  }
+
+  const viewportMatch = values.viewport.match(/^(\d+)x(\d+)$/);
+  if (!viewportMatch) throw new UsageError(`Invalid viewport: ${values.viewport} (expected WIDTHxHEIGHT)`);
+
+  if (!['load', 'domcontentloaded', 'networkidle'].includes(values['wait-until'])) {
+    throw new UsageError(`Invalid --wait-until: ${values['wait-until']}`);
+  }
+
+  const analyzeArgs = { doHighlightElements: false };
+  if (values['viewport-expansion'] !== undefined) {
+    analyzeArgs.viewportExpansion = parseInteger(values['viewport-expansion'], '--viewport-expansion');
+  }
+  if (values['max-elements'] !== undefined) {
+    analyzeArgs.maxElements = parseInteger(values['max-elements'], '--max-elements');
+  }
+
+  return {
+    command,
+    targets,
+    formats,
+    analyzeArgs,
+    outDir: values.out,
+    viewport: { width: Number(viewportMatch[1]), height: Number(viewportMatch[2]) },
+    waitUntil: values['wait-until'],
+    timeout: parseInteger(values.timeout, '--timeout'),
+    screenshot: !values['no-screenshot'],
+    offline: values.offline,
+    headed: values.headed
+  };
+}
+
+function parseInteger(value, name) {
+  if (!/^-?\d+$/.test(value)) throw new UsageError(`${name} expects a whole number, got: ${value}`);
+  return Number(value);
+}
+
+/**
+ * URLs are used as they are, everything else is read as a local file path
+ */
+function toTargetUrl(target) {
+  if (/^(https?|file|data):/i.test(target)) return target;
+
+  const filePath = path.resolve(target);
+  if (!fs.existsSync(filePath)) {
+    throw new UsageError(`No such file: ${target}`);
+  }
+  return pathToFileURL(filePath).href;
+}
+
+/**
+ * File name stem for a target: host and path for URLs, the file name for local files
+ */
+function getOutputName(target, usedNames) {
+  let name;
+  if (/^https?:/i.test(target)) {
+    const url = new URL(target);
+    name = `${url.hostname}${url.pathname}`;
+  } else if (/^(file|data):/i.test(target)) {
+    name = target.startsWith('data:') ? 'data' : path.basename(new URL(target).pathname);
+  } else {
+    name = path.basename(target);
+  }
+
+  const stem = name.replace(/\.html?$/i, '').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'page';
+  let uniqueName = stem;
+  let suffix = 2;
+  while (usedNames.has(uniqueName)) {
+    uniqueName = `${stem}-${suffix++}`;
+  }
+  usedNames.add(uniqueName);
+  return uniqueName;
+}
+
+/**
+ * Analyzes one page and writes its files; returns the written paths
+ */
+async function analyzeTarget(context, target, outputName, options) {
+  const page = await context.newPage();
+  try {
+    await page.goto(toTargetUrl(target), { waitUntil: options.waitUntil, timeout: options.timeout });
+    await page.addScriptTag({ path: path.join(__dirname, 'analyzePage.js') });
+
+    const result = await page.evaluate((analyzeArgs) => window.analyzePage(analyzeArgs), options.analyzeArgs);
+    const files = [];
+
+    for (const format of options.formats) {
+      const { extension, render } = FORMATS[format];
+      const filePath = path.join(options.outDir, `${outputName}.${extension}`);
+      fs.writeFileSync(filePath, render(result));
+      files.push(filePath);
+    }
+
+    if (options.screenshot) {
+      files.push(...await writeScreenshot(page, outputName, options.outDir));
+    }
+
+    return { result, files };
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Full-page screenshot with the boxes and index labels of the last analysis drawn in, plus a
+ * sidecar JSON in the format of the sidepanel's Annotated Screenshot export
+ */
+async function writeScreenshot(page, outputName, outDir) {
+  const layout = await page.evaluate(() => window.getCaptureLayout());
+  const imagePath = path.join(outDir, `${outputName}.png`);
+  const sidecarPath = path.join(outDir, `${outputName}.screenshot.json`);
+
+  // Absolutely positioned in page coordinates, unlike the fixed overlays of highlightElement()
+  await page.evaluate((elements) => {
+    const layer = document.createElement('div');
+    layer.id = 'dom-analyzer-cli-annotations';
+    layer.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647; pointer-events: none;';
+
+    for (const { index, color, box } of elements) {
+      const overlay = document.createElement('div');
+      overlay.style.cssText = `position: absolute; box-sizing: border-box; border: 2px solid ${color}; background: ${color}1A;`;
+      overlay.style.left = `${box.x}px`;
+      overlay.style.top = `${box.y}px`;
+      overlay.style.width = `${box.width}px`;
+      overlay.style.height = `${box.height}px`;
+
+      const label = document.createElement('div');
+      label.textContent = index;
+      label.style.cssText = `position: absolute; top: 0; right: 0; padding: 1px 4px; background: ${color}; color: white; font: bold 12px Arial, sans-serif; border-radius: 4px;`;
+
+      overlay.appendChild(label);
+      layer.appendChild(overlay);
+    }
+    document.documentElement.appendChild(layer);
+  }, layout.elements);
+
+  try {
+    await page.screenshot({ path: imagePath, fullPage: true });
+  } finally {
+    await page.evaluate(() => {
+      const layer = document.getElementById('dom-analyzer-cli-annotations');
+      if (layer) layer.remove();
+    });
+  }
+
+  const sidecar = {
+    image: path.basename(imagePath),
+    url: layout.url,
+    title: layout.title,
+    width: layout.width,
+    height: layout.height,
+    scale: 1,
+    truncated: false,
+    elements: layout.elements,
+    timestamp: layout.timestamp
+  };
+  fs.writeFileSync(sidecarPath, JSON.stringify(sidecar, null, 2));
+
+  return [imagePath, sidecarPath];
+}
+
+/**
+ * Runs the CLI and resolves with the process exit code:
+ * 0 when every target was analyzed, 1 when one of them or the browser failed, 2 for invalid arguments.
+ * chromium replaces Playwright's browser type, e.g. in tests.
+ */
+async function runCli(argv, { stdout = process.stdout, stderr = process.stderr, chromium = null } = {}) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    // parseArgs() reports unknown options and missing values with ERR_PARSE_ARGS_* codes
+    if (!(error instanceof UsageError) && !String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      throw error;
+    }
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (options.command === 'help') {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  if (!chromium) {
+    try {
+      ({ chromium } = require('playwright'));
+    } catch (error) {
+      stderr.write('Playwright is not installed. Run: npm install playwright && npx playwright install chromium\n');
+      return 1;
+    }
+  }
+
+  let browser;
+  try {
+    browser = await chromium.launch({ headless: !options.headed });
+  } catch (error) {
+    // Playwright's message starts with the reason and goes on with a boxed install hint
+    stderr.write(`Could not launch Chromium: ${error.message.split('\n')[0]}\nIf its browser is missing, run: npx playwright install chromium\n`);
+    return 1;
+  }
+
+  let failures = 0;
+  try {
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    // Pages whose Content-Security-Policy forbids inline scripts would block the injected analyzer
+    const context = await browser.newContext({ viewport: options.viewport, bypassCSP: true });
+    if (options.offline) {
+      await context.route(/^https?:/i, route => route.abort('internetdisconnected'));
+    }
+
+    const usedNames = new Set();
+    for (const target of options.targets) {
+      const outputName = getOutputName(target, usedNames);
+      try {
+        const { result, files } = await analyzeTarget(context, target, outputName, options);
+        stdout.write(`${target}: ${result.highlightedElements} interactive elements -> ${files.join(', ')}\n`);
+      } catch (error) {
+        failures++;
+        stderr.write(`${target}: ${error.message}\n`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  runCli(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    error => {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  );
+}
+
+module.exports = { runCli, parseCommandLine, getOutputName };
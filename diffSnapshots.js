@@ -0,0 +1,284 @@
+/**
+ * Snapshot Diff
+ * Compares two analyzePage() results (or sidepanel JSON exports) and reports what changed between them
+ *
+ * Usage examples:
+ * - Chrome Console: const diff = diffSnapshots(before, analyzePage({ doHighlightElements: false }))
+ * - Node: const { diffSnapshots } = require('./diffSnapshots'); diffSnapshots(JSON.parse(a), JSON.parse(b))
+ * - Chrome Extension: loaded by the sidepanel to compare a saved export with the live page
+ */
+
+function diffSnapshots(baseline, current, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    minSimilarity: 0.6
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { minSimilarity } = settings;
+
+  const baselineEntries = normalizeSnapshot(baseline);
+  const currentEntries = normalizeSnapshot(current);
+
+  const pairs = [];
+  const unmatchedBaseline = new Set(baselineEntries);
+  const unmatchedCurrent = new Set(currentEntries);
+
+  const pair = (baselineEntry, currentEntry, score, matchedBy) => {
+    pairs.push({ baseline: baselineEntry, current: currentEntry, score, matchedBy });
+    unmatchedBaseline.delete(baselineEntry);
+    unmatchedCurrent.delete(currentEntry);
+  };
+
+  // Pass 1: identifiers that are unique on both sides (stable ids, test ids, ids, names)
+  for (const key of ['stableId', 'data-testid', 'data-test', 'data-cy', 'id', 'name']) {
+    const baselineByValue = groupByKey([...unmatchedBaseline], key);
+    const currentByValue = groupByKey([...unmatchedCurrent], key);
+
+    for (const [value, baselineGroup] of baselineByValue) {
+      const currentGroup = currentByValue.get(value);
+      if (baselineGroup.length === 1 && currentGroup && currentGroup.length === 1 &&
+        baselineGroup[0].tagName === currentGroup[0].tagName) {
+        pair(baselineGroup[0], currentGroup[0], 1, key === 'stableId' ? 'stableId' : `attribute:${key}`);
+      }
+    }
+  }
+
+  // Pass 2: a unique, non-positional locator that both snapshots share
+  for (const baselineEntry of [...unmatchedBaseline]) {
+    const sharedLocators = baselineEntry.matchingLocators.filter(locator =>
+      [...unmatchedCurrent].filter(currentEntry => currentEntry.matchingLocators.includes(locator)).length === 1
+    );
+    if (sharedLocators.length === 0) continue;
+
+    const currentEntry = [...unmatchedCurrent].find(entry => entry.matchingLocators.includes(sharedLocators[0]));
+    if (currentEntry && currentEntry.tagName === baselineEntry.tagName) {
+      pair(baselineEntry, currentEntry, 1, 'locator');
+    }
+  }
+
+  // Pass 3: best remaining attribute/text similarity above the threshold
+  const scored = [];
+  for (const baselineEntry of unmatchedBaseline) {
+    for (const currentEntry of unmatchedCurrent) {
+      const score = getSimilarity(baselineEntry, currentEntry);
+      if (score >= minSimilarity) {
+        scored.push({ baselineEntry, currentEntry, score });
+      }
+    }
+  }
+  scored.sort((a, b) => (b.score - a.score) || (a.baselineEntry.order - b.baselineEntry.order));
+  for (const { baselineEntry, currentEntry, score } of scored) {
+    if (unmatchedBaseline.has(baselineEntry) && unmatchedCurrent.has(currentEntry)) {
+      pair(baselineEntry, currentEntry, Math.round(score * 100) / 100, 'similarity');
+    }
+  }
+
+  pairs.sort((a, b) => a.baseline.order - b.baseline.order);
+
+  const moved = [];
+  const locatorChanged = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const { baseline: baselineEntry, current: currentEntry, score, matchedBy } of pairs) {
+    let isUnchanged = true;
+
+    if (baselineEntry.path && currentEntry.path && baselineEntry.path !== currentEntry.path) {
+      moved.push({
+        baseline: summarizeEntry(baselineEntry),
+        current: summarizeEntry(currentEntry),
+        from: baselineEntry.path,
+        to: currentEntry.path
+      });
+      isUnchanged = false;
+    }
+
+    // Without ranked lists on both sides only the preferred XPaths are comparable
+    const bothRanked = baselineEntry.hasRankedLocators && currentEntry.hasRankedLocators;
+    const fromLocator = bothRanked ? baselineEntry.bestLocator : baselineEntry.xpath;
+    const toLocator = bothRanked ? currentEntry.bestLocator : currentEntry.xpath;
+
+    if (fromLocator && fromLocator !== toLocator) {
+      // The old locator is broken when it no longer uniquely identifies the element
+      const broken = !currentEntry.uniqueLocators.includes(fromLocator);
+      locatorChanged.push({
+        baseline: summarizeEntry(baselineEntry),
+        current: summarizeEntry(currentEntry),
+        from: fromLocator,
+        to: toLocator,
+        broken
+      });
+      isUnchanged = false;
+    }
+
+    const attributeChanges = diffAttributes(baselineEntry.attributes, currentEntry.attributes);
+    const textChanged = baselineEntry.text !== currentEntry.text;
+    if (attributeChanges.length > 0 || textChanged) {
+      changed.push({
+        baseline: summarizeEntry(baselineEntry),
+        current: summarizeEntry(currentEntry),
+        attributes: attributeChanges,
+        text: textChanged ? { from: baselineEntry.text, to: currentEntry.text } : null,
+        matchedBy,
+        score
+      });
+      isUnchanged = false;
+    }
+
+    if (isUnchanged) unchanged++;
+  }
+
+  const added = [...unmatchedCurrent].sort((a, b) => a.order - b.order).map(summarizeEntry);
+  const removed = [...unmatchedBaseline].sort((a, b) => a.order - b.order).map(summarizeEntry);
+
+  return {
+    summary: {
+      baselineElements: baselineEntries.length,
+      currentElements: currentEntries.length,
+      unchanged,
+      added: added.length,
+      removed: removed.length,
+      moved: moved.length,
+      changed: changed.length,
+      locatorChanged: locatorChanged.length,
+      locatorBroken: locatorChanged.filter(change => change.broken).length
+    },
+    added,
+    removed,
+    moved,
+    changed,
+    locatorChanged,
+    baselineInfo: getSnapshotInfo(baseline),
+    currentInfo: getSnapshotInfo(current),
+    timestamp: new Date().toISOString()
+  };
+
+  /**
+   * Brings analyzePage() results and sidepanel exports into one comparable shape
+   */
+  function normalizeSnapshot(snapshot) {
+    const elements = (snapshot && snapshot.interactiveElements) || [];
+
+    return elements.map((element, order) => {
+      // analyzePage() results carry a ranked list, exports a { xpath, cssPath, text } object
+      const rankedLocators = Array.isArray(element.locators) ? element.locators : (element.rankedLocators || []);
+      const legacyLocators = Array.isArray(element.locators) ? {} : (element.locators || {});
+
+      const uniqueLocators = rankedLocators.filter(locator => locator.unique).map(locator => locator.locator);
+      // Positional paths say where an element is, not what it is, so they are not used for matching
+      const matchingLocators = rankedLocators
+        .filter(locator => locator.unique && !['structural', 'absolute'].includes(locator.kind))
+        .map(locator => locator.locator);
+      const absolute = rankedLocators.find(locator => locator.kind === 'absolute');
+      const xpath = element.xpath || legacyLocators.xpath || '';
+
+      // Older exports without a ranked list only know their xpath and CSS path
+      if (rankedLocators.length === 0) {
+        uniqueLocators.push(...[xpath, legacyLocators.cssPath].filter(Boolean));
+        matchingLocators.push(...uniqueLocators);
+      }
+
+      return {
+        order,
+        index: element.index,
+        stableId: element.stableId || '',
+        tagName: element.tagName || '',
+        attributes: element.attributes || {},
+        text: normalizeText(element.text || legacyLocators.text || ''),
+        description: element.description || '',
+        xpath,
+        path: absolute ? absolute.locator : xpath,
+        bestLocator: uniqueLocators[0] || xpath,
+        uniqueLocators,
+        matchingLocators,
+        hasRankedLocators: rankedLocators.length > 0
+      };
+    });
+  }
+
+  function normalizeText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+  }
+
+  function groupByKey(entries, key) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const value = key === 'stableId' ? entry.stableId : entry.attributes[key];
+      if (!value) continue;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(entry);
+    }
+    return groups;
+  }
+
+  /**
+   * Weighted similarity of two entries: tag, attributes, text and path
+   */
+  function getSimilarity(a, b) {
+    if (a.tagName !== b.tagName) return 0;
+
+    const attributeScore = jaccard(
+      Object.entries(a.attributes).map(([name, value]) => `${name}=${value}`),
+      Object.entries(b.attributes).map(([name, value]) => `${name}=${value}`)
+    );
+    const textScore = a.text || b.text ? textSimilarity(a.text, b.text) : 1;
+    const pathScore = a.path && a.path === b.path ? 1 : 0;
+
+    return attributeScore * 0.45 + textScore * 0.4 + pathScore * 0.15;
+  }
+
+  function jaccard(left, right) {
+    if (left.length === 0 && right.length === 0) return 1;
+    const rightSet = new Set(right);
+    const intersection = left.filter(item => rightSet.has(item)).length;
+    return intersection / (new Set([...left, ...right]).size);
+  }
+
+  function textSimilarity(left, right) {
+    if (left === right) return 1;
+    const leftWords = left.toLowerCase().split(' ').filter(Boolean);
+    const rightWords = right.toLowerCase().split(' ').filter(Boolean);
+    return jaccard(leftWords, rightWords);
+  }
+
+  function diffAttributes(before, after) {
+    const changes = [];
+    for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (before[name] !== after[name]) {
+        changes.push({ name, from: before[name] ?? null, to: after[name] ?? null });
+      }
+    }
+    return changes;
+  }
+
+  function summarizeEntry(entry) {
+    return {
+      index: entry.index,
+      stableId: entry.stableId,
+      tagName: entry.tagName,
+      text: entry.text,
+      description: entry.description,
+      xpath: entry.xpath,
+      bestLocator: entry.bestLocator
+    };
+  }
+
+  function getSnapshotInfo(snapshot) {
+    return {
+      title: snapshot?.title || snapshot?.pageInfo?.title || '',
+      url: snapshot?.url || snapshot?.pageInfo?.url || '',
+      timestamp: snapshot?.timestamp || snapshot?.pageInfo?.timestamp || ''
+    };
+  }
+}
+
+// Make function available globally for direct console usage
+if (typeof window !== 'undefined') {
+  window.diffSnapshots = diffSnapshots;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { diffSnapshots };
+}
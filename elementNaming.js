@@ -0,0 +1,145 @@
+/**
+ * Element Naming
+ * Classifies the interactive elements of an analyzePage() result (or a sidepanel JSON export) and
+ * gives them unique camelCase names, so page objects and exports name the same element the same way
+ *
+ * Usage examples:
+ * - Chrome Console: ElementNaming.getElementKind(analyzePage().interactiveElements[0])
+ * - Node: const { getElementName } = require('./elementNaming')
+ * - Chrome Extension: loaded by the sidepanel before generatePageObjects.js and exportElements.js
+ */
+
+/**
+ * Classify an element entry so it gets the right accessor methods and Gherkin steps
+ */
+function getElementKind(element) {
+  const { tagName } = element;
+  const attributes = element.attributes || {};
+  const type = (attributes.type || '').toLowerCase();
+  const role = attributes.role;
+
+  if (tagName === 'a' || role === 'link') return 'link';
+  if (tagName === 'select' || role === 'combobox' || role === 'listbox') return 'select';
+  if (tagName === 'textarea') return 'textarea';
+  if (tagName === 'input') {
+    if (type === 'checkbox') return 'checkbox';
+    if (type === 'radio') return 'radio';
+    if (['submit', 'button', 'reset', 'image'].includes(type)) return 'button';
+    return 'input';
+  }
+  if (role === 'checkbox' || role === 'switch') return 'checkbox';
+  if (role === 'radio') return 'radio';
+  if (role === 'textbox' || role === 'searchbox' || attributes.contenteditable === 'true') return 'input';
+  if (tagName === 'button' || role === 'button' || role === 'menuitem' || role === 'tab') return 'button';
+  return 'element';
+}
+
+// Map control ids to their <label for="..."> text so inputs can be named after their labels
+function getLabelTextById(entries) {
+  const labelTextById = {};
+  for (const entry of entries) {
+    if (entry.tagName === 'label' && entry.attributes?.for) {
+      labelTextById[entry.attributes.for] = getEntryText(entry);
+    }
+  }
+  return labelTextById;
+}
+
+/**
+ * Pick the most human-meaningful label for an element entry
+ */
+function getElementLabel(element, labelTextById) {
+  const attributes = element.attributes || {};
+
+  const candidates = [
+    attributes['aria-label'],
+    attributes.id && labelTextById[attributes.id],
+    attributes.placeholder,
+    attributes.title,
+    attributes.alt,
+    getEntryText(element),
+    attributes.value,
+    attributes.name,
+    attributes['data-testid'],
+    attributes.id
+  ];
+
+  for (const candidate of candidates) {
+    if (candidate && String(candidate).trim() && /[A-Za-z0-9]/.test(candidate)) {
+      return normalizeText(candidate).substring(0, 40);
+    }
+  }
+  return '';
+}
+
+// analyzePage() results carry the text on the entry, exports in their { xpath, cssPath, text } locators
+function getEntryText(element) {
+  return element.text || (Array.isArray(element.locators) ? '' : element.locators?.text) || '';
+}
+
+/**
+ * A camelCase name from the element's label and kind (or tag and index), unique among usedNames
+ */
+function getElementName(element, labelTextById, usedNames) {
+  const kind = getElementKind(element);
+  const baseName = toCamelCase(`${getElementLabel(element, labelTextById) || `${element.tagName} ${element.index}`} ${kind}`);
+  return makeUniqueName(/^[a-z]/.test(baseName) ? baseName : `element${toPascalCase(baseName)}`, usedNames);
+}
+
+function normalizeText(value) {
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function splitWords(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(word => word.length > 0)
+    .slice(0, 6);
+}
+
+function toPascalCase(value) {
+  return splitWords(value)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+}
+
+function toCamelCase(value) {
+  const pascal = toPascalCase(value);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+function makeUniqueName(name, usedNames) {
+  let uniqueName = name;
+  let suffix = 2;
+  while (usedNames.has(uniqueName)) {
+    uniqueName = `${name}${suffix++}`;
+  }
+  usedNames.add(uniqueName);
+  return uniqueName;
+}
+
+function createElementNaming() {
+  return {
+    getElementKind,
+    getLabelTextById,
+    getElementLabel,
+    getEntryText,
+    getElementName,
+    normalizeText,
+    splitWords,
+    toPascalCase,
+    toCamelCase,
+    makeUniqueName
+  };
+}
+
+// Make functions available globally for direct console usage
+if (typeof window !== 'undefined') {
+  window.ElementNaming = createElementNaming();
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = createElementNaming();
+}
@@ -0,0 +1,320 @@
+/**
+ * Element Exporter
+ * Renders the interactive elements of an analyzePage() result (or a sidepanel JSON export) as
+ * spreadsheets, tables, YAML, Gherkin steps or locator files, all from one canonical element model
+ *
+ * Usage examples:
+ * - Chrome Console: const { content } = exportElements(analyzePage({ doHighlightElements: false }), { format: 'csv' })
+ * - Node: const { exportElements } = require('./exportElements'); exportElements(JSON.parse(exported), { format: 'robot' })
+ * - Chrome Extension: loaded by the sidepanel for the Export Analysis Data formats
+ *
+ * Supported formats: csv, tsv, markdown, yaml, gherkin, properties, robot
+ */
+
+function exportElements(analysisResult, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    format: 'csv',
+    fileName: null
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { format } = settings;
+
+  // The sidepanel and the console load elementNaming.js as a script before this file
+  const { getElementKind, getLabelTextById, getElementLabel, getEntryText, getElementName, normalizeText } =
+    typeof ElementNaming !== 'undefined' ? ElementNaming : require('./elementNaming');
+
+  const renderers = {
+    csv: { extension: 'csv', mimeType: 'text/csv', render: renderCsv },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values', render: renderTsv },
+    markdown: { extension: 'md', mimeType: 'text/markdown', render: renderMarkdown },
+    yaml: { extension: 'yaml', mimeType: 'application/yaml', render: renderYaml },
+    gherkin: { extension: 'feature', mimeType: 'text/plain', render: renderGherkin },
+    properties: { extension: 'properties', mimeType: 'text/plain', render: renderProperties },
+    robot: { extension: 'resource', mimeType: 'text/plain', render: renderRobot }
+  };
+
+  if (!renderers[format]) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const page = {
+    title: analysisResult?.title || analysisResult?.pageInfo?.title || '',
+    url: analysisResult?.url || analysisResult?.pageInfo?.url || '',
+    timestamp: analysisResult?.timestamp || analysisResult?.pageInfo?.timestamp || new Date().toISOString()
+  };
+  const elements = toElementModels((analysisResult && analysisResult.interactiveElements) || []);
+
+  // Columns of the tabular formats, in order
+  const COLUMNS = [
+    'index', 'name', 'kind', 'tagName', 'label', 'text', 'locator', 'strategy', 'stability',
+    'xpath', 'css', 'stableId', 'visible', 'x', 'y', 'width', 'height'
+  ];
+
+  const { extension, mimeType, render } = renderers[format];
+  const timestamp = page.timestamp.slice(0, 19).replace(/:/g, '-');
+
+  return {
+    format,
+    fileName: settings.fileName || `interactive-elements-${timestamp}.${extension}`,
+    mimeType,
+    elementCount: elements.length,
+    content: render()
+  };
+
+  /**
+   * The canonical element model every format is rendered from
+   */
+  function toElementModels(entries) {
+    const labelTextById = getLabelTextById(entries);
+    const usedNames = new Set();
+
+    return entries.map(entry => {
+      // analyzePage() results carry a ranked list, exports a { xpath, cssPath, text } object
+      const rankedLocators = Array.isArray(entry.locators) ? entry.locators : (entry.rankedLocators || []);
+      const legacyLocators = Array.isArray(entry.locators) ? {} : (entry.locators || {});
+
+      const xpath = entry.xpath || legacyLocators.xpath || '';
+      const best = rankedLocators.find(locator => locator.unique);
+      const playwright = rankedLocators.find(locator => locator.unique && locator.strategy.startsWith('getBy'));
+      const scopeLocators = entry.scope ? getScopeLocators(entry.scope) : null;
+      const box = entry.geometry ? entry.geometry.page : null;
+
+      return {
+        index: entry.index,
+        name: getElementName(entry, labelTextById, usedNames),
+        kind: getElementKind(entry),
+        tagName: entry.tagName,
+        label: getElementLabel(entry, labelTextById),
+        text: normalizeText(getEntryText(entry)),
+        locator: best ? best.locator : xpath,
+        strategy: best ? (best.kind ? `${best.strategy}:${best.kind}` : best.strategy) : 'xpath',
+        stability: best ? best.stability : null,
+        xpath,
+        css: legacyLocators.cssPath || getCssFromLocators(entry, rankedLocators),
+        // In shadow roots and frames only the scope's chains reach the element from the page
+        playwright: scopeLocators ? scopeLocators.playwright : (playwright ? playwright.locator : null),
+        piercingCss: scopeLocators ? scopeLocators.piercingCss : null,
+        stableId: entry.stableId || '',
+        visible: entry.isVisible !== false,
+        x: box ? box.x : null,
+        y: box ? box.y : null,
+        width: box ? box.width : null,
+        height: box ? box.height : null
+      };
+    });
+  }
+
+  /**
+   * analyzePage() results have no CSS path: elements in frames or shadow roots use their scope's,
+   * others the first unique id or attribute XPath that CSS can express
+   */
+  function getCssFromLocators(entry, rankedLocators) {
+    if (entry.scope && entry.scope.css) return entry.scope.css;
+
+    const attributeTest = /@([\w-]+)='([^']*)'/g;
+    for (const { strategy, locator, unique } of rankedLocators) {
+      const match = strategy === 'xpath' && unique && /^\/\/([a-z][\w-]*)\[(@[\w-]+='[^']*'(?: and @[\w-]+='[^']*')*)\]$/i.exec(locator);
+      if (!match) continue;
+      const attributes = [...match[2].matchAll(attributeTest)];
+      if (attributes.length === 1 && attributes[0][1] === 'id' && /^[A-Za-z][\w-]*$/.test(attributes[0][2])) {
+        return `#${attributes[0][2]}`;
+      }
+      return match[1] + attributes.map(([, name, value]) => `[${name}="${value.replace(/["\\]/g, '\\$&')}"]`).join('');
+    }
+    return '';
+  }
+
+  // Without the page. prefix like the ranked getBy* locators; piercing CSS is rebuilt from the steps
+  function getScopeLocators(scope) {
+    const playwright = scope.locators && scope.locators.playwright;
+    return {
+      playwright: playwright ? playwright.replace(/^page\./, '') : null,
+      piercingCss: [...(scope.chain || []).map(step => step.css), scope.css].join(' >>> ')
+    };
+  }
+
+  function toUpperSnakeCase(value) {
+    return String(value).replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  }
+
+  function formatCell(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  // Page text starting with =, +, - or @ would be evaluated as a formula by spreadsheets
+  function formatSpreadsheetCell(value) {
+    const cell = formatCell(value);
+    return /^[=+\-@]/.test(cell) && typeof value === 'string' ? `'${cell}` : cell;
+  }
+
+  /**
+   * RFC 4180 quoting; cells that spreadsheets would evaluate as formulas are prefixed with an apostrophe
+   */
+  function renderCsv() {
+    const quote = (value) => {
+      const cell = formatSpreadsheetCell(value);
+      return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    };
+    const rows = [COLUMNS, ...elements.map(element => COLUMNS.map(column => element[column]))];
+    return rows.map(row => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Tab-separated with a byte order mark, so Excel opens it as UTF-8 without an import dialog.
+   * Cells that Excel would evaluate as formulas are prefixed with an apostrophe.
+   */
+  function renderTsv() {
+    const clean = (value) => formatSpreadsheetCell(value).replace(/[\t\r\n]+/g, ' ');
+    const rows = [COLUMNS, ...elements.map(element => COLUMNS.map(column => element[column]))];
+    return '\uFEFF' + rows.map(row => row.map(clean).join('\t')).join('\r\n') + '\r\n';
+  }
+
+  function renderMarkdown() {
+    const columns = ['index', 'name', 'kind', 'label', 'locator', 'stability', 'xpath', 'css'];
+    const escape = (value) => formatCell(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    const code = (value) => (value ? `\`${escape(value).replace(/`/g, "'")}\`` : '');
+
+    const lines = [
+      `# ${escape(page.title) || 'Interactive elements'}`,
+      '',
+      page.url ? `${page.url} (${page.timestamp})` : page.timestamp,
+      '',
+      `| ${columns.join(' | ')} |`,
+      `| ${columns.map(column => (['index', 'stability'].includes(column) ? '---:' : '---')).join(' | ')} |`
+    ];
+    for (const element of elements) {
+      const cells = columns.map(column => (['locator', 'xpath', 'css'].includes(column) ? code(element[column]) : escape(element[column])));
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  function renderYaml() {
+    // JSON strings are valid YAML double-quoted scalars
+    const scalar = (value) => (value === null || value === undefined ? 'null' :
+      typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+    const lines = [
+      'page:',
+      `  title: ${scalar(page.title)}`,
+      `  url: ${scalar(page.url)}`,
+      `  timestamp: ${scalar(page.timestamp)}`,
+      elements.length > 0 ? 'elements:' : 'elements: []'
+    ];
+    for (const element of elements) {
+      Object.entries(element).forEach(([key, value], position) => {
+        lines.push(`${position === 0 ? '  - ' : '    '}${key}: ${scalar(value)}`);
+      });
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * One scenario per element with the steps it supports; the comment above carries its locator
+   */
+  function renderGherkin() {
+    const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const stepsByKind = {
+      link: (target) => [`When I click the ${target} link`],
+      button: (target) => [`When I click the ${target} button`],
+      input: (target) => [`When I fill the ${target} field with "<value>"`, `Then the ${target} field should contain "<value>"`],
+      textarea: (target) => [`When I fill the ${target} field with "<value>"`, `Then the ${target} field should contain "<value>"`],
+      select: (target) => [`When I select "<option>" from the ${target} list`],
+      checkbox: (target) => [`When I check the ${target} checkbox`, `When I uncheck the ${target} checkbox`],
+      radio: (target) => [`When I choose the ${target} option`],
+      element: (target) => [`When I click the ${target} element`]
+    };
+
+    const lines = [
+      `Feature: ${page.title || 'Interactive elements'} step catalogue`,
+      `  Steps for the interactive elements of ${page.url || 'the page'}, captured ${page.timestamp}`
+    ];
+    for (const element of elements) {
+      const target = quote(element.label || element.name);
+      lines.push(
+        '',
+        `  # [${element.index}] ${element.tagName}: ${element.locator}`,
+        `  Scenario: ${element.name}`,
+        `    Given the ${target} ${element.kind} is visible`,
+        ...stepsByKind[element.kind](target).map((step, position) => `    ${position > 0 ? step.replace(/^When/, 'And') : step}`)
+      );
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * java.util.Properties syntax; non-ASCII characters are written as \uXXXX escapes, so both
+   * Properties.load(InputStream) (ISO-8859-1) and load(Reader) read them back unchanged
+   */
+  function renderProperties() {
+    const escapeText = (value) => formatCell(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t')
+      .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    const escapeValue = (value) => escapeText(value).replace(/^ /, '\\ ');
+    const escapeKey = (value) => escapeText(value).replace(/([ =:#!])/g, '\\$1');
+
+    const lines = [
+      `# ${escapeText(page.title || 'Interactive elements')}`,
+      `# ${escapeText(page.url)}`,
+      `# Generated ${page.timestamp}`
+    ];
+    for (const element of elements) {
+      lines.push('', `# [${element.index}] ${escapeText(element.tagName)} ${escapeText(element.label)}`);
+      if (element.piercingCss) {
+        // Its XPath and CSS only hold inside its shadow root or frame
+        lines.push(
+          '# Inside a shadow root or frame: piercingCss descends through each host and frame with >>>',
+          `${escapeKey(element.name)}.piercingCss=${escapeValue(element.piercingCss)}`
+        );
+      } else {
+        lines.push(`${escapeKey(element.name)}.xpath=${escapeValue(element.xpath)}`);
+        if (element.css) lines.push(`${escapeKey(element.name)}.css=${escapeValue(element.css)}`);
+      }
+      if (element.playwright) lines.push(`${escapeKey(element.name)}.playwright=${escapeValue(element.playwright)}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Robot Framework variables with SeleniumLibrary xpath: locators; xpath: cannot reach into shadow roots
+   * or frames, so those elements are listed as comments with their piercing CSS
+   */
+  function renderRobot() {
+    const escapeValue = (value) => formatCell(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/([$@&%]){/g, '\\$1{')
+      .replace(/^#/, '\\#')
+      .replace(/[\r\n\t]/g, ' ')
+      // Two spaces separate cells, so runs of spaces are spelled out
+      .replace(/ {2,}/g, spaces => ` ${'${SPACE}'.repeat(spaces.length - 1)}`);
+
+    const lines = [
+      '*** Settings ***',
+      `Documentation    Locators for ${escapeValue(page.title || page.url || 'the page')}, captured ${page.timestamp}`,
+      '',
+      '*** Variables ***'
+    ];
+    for (const element of elements) {
+      const variable = `\${${toUpperSnakeCase(element.name)}}`;
+      lines.push(element.piercingCss
+        ? `# ${variable} is inside a shadow root or frame: ${formatCell(element.piercingCss).replace(/[\r\n]+/g, ' ')}`
+        : `${variable}    ${escapeValue(`xpath:${element.xpath}`)}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Make function available globally for direct console usage
+if (typeof window !== 'undefined') {
+  window.exportElements = exportElements;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { exportElements };
+}
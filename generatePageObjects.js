@@ -0,0 +1,325 @@
+/**
+ * Page Object Model Generator
+ * Turns an analyzePage() result (or a sidepanel JSON export) into a ready-to-use page object class
+ *
+ * Usage examples:
+ * - Chrome Console: const { code } = generatePageObjects(analyzePage(), { language: 'playwright-ts' })
+ * - Node: const { generatePageObjects } = require('./generatePageObjects'); generatePageObjects(JSON.parse(exported))
+ * - Chrome Extension: chrome.scripting.executeScript({ target: { tabId }, files: ['generatePageObjects.js'] })
+ *
+ * Supported languages: playwright-ts, playwright-js, selenium-java, selenium-python
+ */
+
+function generatePageObjects(analysisResult, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    language: 'playwright-ts',
+    className: null,
+    includeLabels: false
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { language, includeLabels } = settings;
+
+  // The sidepanel and the console load elementNaming.js as a script before this file
+  const { getElementKind, getLabelTextById, getElementName, splitWords, toPascalCase } =
+    typeof ElementNaming !== 'undefined' ? ElementNaming : require('./elementNaming');
+
+  const renderers = {
+    'playwright-ts': (className, members, pageUrl) => renderPlaywright(className, members, pageUrl, true),
+    'playwright-js': (className, members, pageUrl) => renderPlaywright(className, members, pageUrl, false),
+    'selenium-java': renderSeleniumJava,
+    'selenium-python': renderSeleniumPython
+  };
+
+  if (!renderers[language]) {
+    throw new Error(`Unsupported page object language: ${language}`);
+  }
+
+  const elements = (analysisResult && analysisResult.interactiveElements) || [];
+  const pageTitle = analysisResult?.title || analysisResult?.pageInfo?.title || '';
+  const pageUrl = analysisResult?.url || analysisResult?.pageInfo?.url || '';
+  const className = settings.className || toPascalCase(`${(pageTitle || 'Generated').replace(/\s*page\s*$/i, '')} Page`).replace(/^(\d)/, 'Page$1');
+
+  const labelTextById = getLabelTextById(elements);
+  const usedNames = new Set();
+  const members = [];
+
+  for (const element of elements) {
+    const attributes = element.attributes || {};
+
+    // Labels that point at a captured control only serve to name that control
+    if (!includeLabels && element.tagName === 'label' && attributes.for &&
+      elements.some(other => other.attributes?.id === attributes.for)) {
+      continue;
+    }
+
+    // Exports carry a { xpath, cssPath, text } object, analyzePage() results a ranked locator list
+    const rankedLocators = Array.isArray(element.locators) ? element.locators : [];
+    const bestXPath = rankedLocators.find(locator => locator.unique && locator.strategy === 'xpath');
+    const xpath = (bestXPath ? bestXPath.locator : null) ||
+      (Array.isArray(element.locators) ? null : element.locators?.xpath) || element.xpath;
+    if (!xpath) continue;
+
+    // Playwright classes use the most stable unique locator, which may be a getBy* call
+    const bestLocator = rankedLocators.find(locator => locator.unique);
+    const playwrightLocator = bestLocator && bestLocator.strategy.startsWith('getBy') ? bestLocator : null;
+
+    members.push({
+      name: getElementName(element, labelTextById, usedNames),
+      kind: getElementKind(element),
+      xpath,
+      playwrightLocator: playwrightLocator ? playwrightLocator.locator : null,
+      index: element.index,
+      description: element.description || ''
+    });
+  }
+
+  const extensions = {
+    'playwright-ts': 'ts',
+    'playwright-js': 'js',
+    'selenium-java': 'java',
+    'selenium-python': 'py'
+  };
+
+  const fileName = language === 'selenium-python'
+    ? `${toSnakeCase(className)}.${extensions[language]}`
+    : `${className}.${extensions[language]}`;
+
+  return {
+    language,
+    className,
+    fileName,
+    elementCount: members.length,
+    code: renderers[language](className, members, pageUrl)
+  };
+
+  function toSnakeCase(value) {
+    return splitWords(value).map(word => word.toLowerCase()).join('_');
+  }
+
+  function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+
+  function quoteString(value, quote = '"') {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(new RegExp(quote, 'g'), `\\${quote}`)
+      .replace(/\n/g, '\\n');
+    return `${quote}${escaped}${quote}`;
+  }
+
+  function renderPlaywright(className, members, pageUrl, typed) {
+    const lines = [];
+    const t = (annotation) => (typed ? annotation : '');
+
+    if (typed) {
+      lines.push(`import type { Locator, Page } from '@playwright/test';`);
+      lines.push('');
+    }
+    lines.push(`export class ${className} {`);
+    if (typed) {
+      lines.push(`  readonly page: Page;`);
+      for (const member of members) {
+        lines.push(`  readonly ${member.name}: Locator;`);
+      }
+      lines.push('');
+    }
+    lines.push(`  constructor(page${t(': Page')}) {`);
+    lines.push(`    this.page = page;`);
+    for (const member of members) {
+      const locator = member.playwrightLocator || `locator(${quoteString(`xpath=${member.xpath}`, "'")})`;
+      lines.push(`    this.${member.name} = page.${locator};`);
+    }
+    lines.push(`  }`);
+
+    if (pageUrl && /^https?:/.test(pageUrl)) {
+      lines.push('');
+      lines.push(`  async goto()${t(': Promise<void>')} {`);
+      lines.push(`    await this.page.goto(${quoteString(pageUrl, "'")});`);
+      lines.push(`  }`);
+    }
+
+    for (const member of members) {
+      const methodBase = capitalize(member.name);
+      lines.push('');
+      if (member.description) {
+        lines.push(`  /** ${member.description.replace(/\*\//g, '* /')} */`);
+      }
+      switch (member.kind) {
+        case 'input':
+        case 'textarea':
+          lines.push(`  async fill${methodBase}(value${t(': string')})${t(': Promise<void>')} {`);
+          lines.push(`    await this.${member.name}.fill(value);`);
+          lines.push(`  }`);
+          break;
+        case 'select':
+          lines.push(`  async select${methodBase}(value${t(': string')})${t(': Promise<void>')} {`);
+          lines.push(`    await this.${member.name}.selectOption(value);`);
+          lines.push(`  }`);
+          break;
+        case 'checkbox':
+        case 'radio':
+          lines.push(`  async set${methodBase}(checked${t(': boolean')} = true)${t(': Promise<void>')} {`);
+          lines.push(`    await this.${member.name}.setChecked(checked);`);
+          lines.push(`  }`);
+          break;
+        default:
+          lines.push(`  async click${methodBase}()${t(': Promise<void>')} {`);
+          lines.push(`    await this.${member.name}.click();`);
+          lines.push(`  }`);
+      }
+    }
+
+    lines.push(`}`);
+    return lines.join('\n') + '\n';
+  }
+
+  function renderSeleniumJava(className, members, pageUrl) {
+    const lines = [];
+
+    lines.push(`import org.openqa.selenium.By;`);
+    lines.push(`import org.openqa.selenium.WebDriver;`);
+    lines.push(`import org.openqa.selenium.WebElement;`);
+    if (members.some(member => member.kind === 'select')) {
+      lines.push(`import org.openqa.selenium.support.ui.Select;`);
+    }
+    lines.push('');
+    lines.push(`public class ${className} {`);
+    lines.push(`    private final WebDriver driver;`);
+    lines.push('');
+    for (const member of members) {
+      lines.push(`    private final By ${member.name} = By.xpath(${quoteString(member.xpath)});`);
+    }
+    lines.push('');
+    lines.push(`    public ${className}(WebDriver driver) {`);
+    lines.push(`        this.driver = driver;`);
+    lines.push(`    }`);
+
+    if (pageUrl && /^https?:/.test(pageUrl)) {
+      lines.push('');
+      lines.push(`    public void open() {`);
+      lines.push(`        driver.get(${quoteString(pageUrl)});`);
+      lines.push(`    }`);
+    }
+
+    for (const member of members) {
+      const methodBase = capitalize(member.name);
+      lines.push('');
+      if (member.description) {
+        lines.push(`    /** ${member.description.replace(/\*\//g, '* /')} */`);
+      }
+      lines.push(`    public WebElement get${methodBase}() {`);
+      lines.push(`        return driver.findElement(${member.name});`);
+      lines.push(`    }`);
+      lines.push('');
+      switch (member.kind) {
+        case 'input':
+        case 'textarea':
+          lines.push(`    public void enter${methodBase}(String value) {`);
+          lines.push(`        WebElement element = get${methodBase}();`);
+          lines.push(`        element.clear();`);
+          lines.push(`        element.sendKeys(value);`);
+          lines.push(`    }`);
+          break;
+        case 'select':
+          lines.push(`    public void select${methodBase}(String visibleText) {`);
+          lines.push(`        new Select(get${methodBase}()).selectByVisibleText(visibleText);`);
+          lines.push(`    }`);
+          break;
+        case 'checkbox':
+        case 'radio':
+          lines.push(`    public void set${methodBase}(boolean checked) {`);
+          lines.push(`        WebElement element = get${methodBase}();`);
+          lines.push(`        if (element.isSelected() != checked) {`);
+          lines.push(`            element.click();`);
+          lines.push(`        }`);
+          lines.push(`    }`);
+          break;
+        default:
+          lines.push(`    public void click${methodBase}() {`);
+          lines.push(`        get${methodBase}().click();`);
+          lines.push(`    }`);
+      }
+    }
+
+    lines.push(`}`);
+    return lines.join('\n') + '\n';
+  }
+
+  function renderSeleniumPython(className, members, pageUrl) {
+    const lines = [];
+    const constantName = (member) => toSnakeCase(member.name).toUpperCase();
+    const methodName = (member) => toSnakeCase(member.name);
+
+    lines.push(`from selenium.webdriver.common.by import By`);
+    lines.push(`from selenium.webdriver.remote.webdriver import WebDriver`);
+    lines.push(`from selenium.webdriver.remote.webelement import WebElement`);
+    if (members.some(member => member.kind === 'select')) {
+      lines.push(`from selenium.webdriver.support.ui import Select`);
+    }
+    lines.push('');
+    lines.push('');
+    lines.push(`class ${className}:`);
+    for (const member of members) {
+      lines.push(`    ${constantName(member)} = (By.XPATH, ${quoteString(member.xpath)})`);
+    }
+    if (members.length > 0) lines.push('');
+    lines.push(`    def __init__(self, driver: WebDriver) -> None:`);
+    lines.push(`        self.driver = driver`);
+
+    if (pageUrl && /^https?:/.test(pageUrl)) {
+      lines.push('');
+      lines.push(`    def open(self) -> None:`);
+      lines.push(`        self.driver.get(${quoteString(pageUrl)})`);
+    }
+
+    for (const member of members) {
+      const constant = constantName(member);
+      const method = methodName(member);
+      lines.push('');
+      lines.push(`    def ${method}(self) -> WebElement:`);
+      if (member.description) {
+        lines.push(`        """${member.description.replace(/\\/g, '\\\\').replace(/"/g, "'")}"""`);
+      }
+      lines.push(`        return self.driver.find_element(*self.${constant})`);
+      lines.push('');
+      switch (member.kind) {
+        case 'input':
+        case 'textarea':
+          lines.push(`    def enter_${method}(self, value: str) -> None:`);
+          lines.push(`        element = self.${method}()`);
+          lines.push(`        element.clear()`);
+          lines.push(`        element.send_keys(value)`);
+          break;
+        case 'select':
+          lines.push(`    def select_${method}(self, visible_text: str) -> None:`);
+          lines.push(`        Select(self.${method}()).select_by_visible_text(visible_text)`);
+          break;
+        case 'checkbox':
+        case 'radio':
+          lines.push(`    def set_${method}(self, checked: bool = True) -> None:`);
+          lines.push(`        element = self.${method}()`);
+          lines.push(`        if element.is_selected() != checked:`);
+          lines.push(`            element.click()`);
+          break;
+        default:
+          lines.push(`    def click_${method}(self) -> None:`);
+          lines.push(`        self.${method}().click()`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Make function available globally for direct console usage
+if (typeof window !== 'undefined') {
+  window.generatePageObjects = generatePageObjects;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { generatePageObjects };
+}
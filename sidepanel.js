@@ -1,15 +1,62 @@
 document.addEventListener('DOMContentLoaded', function() {
   const analyzeBtn = document.getElementById('analyzeBtn');
   const cleanupBtn = document.getElementById('cleanupBtn');
+  const pickBtn = document.getElementById('pickBtn');
   const exportBtn = document.getElementById('exportBtn');
+  const exportFormat = document.getElementById('exportFormat');
+  const pageObjectBtn = document.getElementById('pageObjectBtn');
+  const pageObjectLanguage = document.getElementById('pageObjectLanguage');
+  const loadBaselineBtn = document.getElementById('loadBaselineBtn');
+  const compareBtn = document.getElementById('compareBtn');
+  const baselineFile = document.getElementById('baselineFile');
+  const fillFormsBtn = document.getElementById('fillFormsBtn');
+  const fillStrategy = document.getElementById('fillStrategy');
+  const fillSeed = document.getElementById('fillSeed');
   const darkToggle = document.getElementById('darkToggle');
   const viewportExpansionToggle = document.getElementById('viewportExpansionToggle');
+  const watchToggle = document.getElementById('watchToggle');
+  const allFramesCheckbox = document.getElementById('allFrames');
+  const elementSearch = document.getElementById('elementSearch');
+  const tagFilter = document.getElementById('tagFilter');
+  const roleFilter = document.getElementById('roleFilter');
+  const viewportFilter = document.getElementById('viewportFilter');
+  const sortOrder = document.getElementById('sortOrder');
+  const filterCount = document.getElementById('filterCount');
+  const detailedResultsBody = document.getElementById('detailedResultsBody');
+  const playgroundInput = document.getElementById('playgroundInput');
+  const playgroundStrategy = document.getElementById('playgroundStrategy');
+  const playgroundResult = document.getElementById('playgroundResult');
+  const pluginProfile = document.getElementById('pluginProfile');
+  const profileEditor = document.getElementById('profileEditor');
+  const saveProfileBtn = document.getElementById('saveProfileBtn');
+  const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+  const resultTabs = document.getElementById('resultTabs');
+  const highlightViolationsBtn = document.getElementById('highlightViolationsBtn');
   const status = document.getElementById('status');
   const results = document.getElementById('results');
 
+  // Most recent analyzePage() result, used by the generators
+  let lastAnalysisResult = null;
+  // Saved export loaded as the snapshot diff baseline
+  let baselineSnapshot = null;
+  // Tab whose DOM mutations are streamed by watchPage()
+  let watchedTabId = null;
+  // Tab waiting for a click in pick mode
+  let pickingTabId = null;
+  // Rows of the detailed results table, their CSS paths and the row kept focused on the page
+  let tableElements = [];
+  let cssPathData = {};
+  let selectedIndex = null;
+  // Pending Locator Playground evaluation while typing
+  let playgroundTimer = null;
+  // Latest overlay focus to send to the page while an earlier one is still running
+  let pendingFocus = null;
+  let focusRunning = false;
+
   // Initialize dark mode
   initializeDarkMode();
   initializeViewportExpansion();
+  initializePluginProfiles();
 
   // Auto-update current tab info
   updateTabInfo();
@@ -24,6 +71,15 @@ document.addEventListener('DOMContentLoaded', function() {
     toggleViewportExpansion();
   });
 
+  // Live watch toggle handler
+  watchToggle.addEventListener('click', () => {
+    if (watchedTabId === null) {
+      startWatching();
+    } else {
+      stopWatching();
+    }
+  });
+
   function initializeDarkMode() {
     // Load saved dark mode preference, default to true (dark mode) if not set
     const isDarkMode = localStorage.getItem('darkMode') !== 'false'; // Default to true unless explicitly set to false
@@ -65,52 +121,255 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  const PLAYGROUND_WARNINGS = {
+    'no-match': 'Matches nothing on this page',
+    'not-unique': 'Matches more than one element',
+    'in-frame': 'Matches inside iframes: switch to the frame first (frameLocator in Playwright)',
+    'in-shadow-root': 'Matches inside shadow roots: Selenium needs the shadow root, Playwright CSS pierces open ones',
+    'shadow-dom': 'XPath misses matching elements inside shadow roots',
+    'cross-origin-frame': 'A matched frame is cross-origin and cannot be searched',
+    'hidden': 'Some matches are not visible'
+  };
+
+  // The locator is evaluated once typing pauses
+  playgroundInput.addEventListener('input', () => {
+    clearTimeout(playgroundTimer);
+    playgroundTimer = setTimeout(runPlayground, 250);
+  });
+  playgroundStrategy.addEventListener('change', runPlayground);
+
+  async function runPlayground() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const evaluate = () => chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (locator, strategy) => {
+          if (!window.evaluateLocator) return { loaded: false };
+          return { loaded: true, result: window.evaluateLocator(locator, { strategy }) };
+        },
+        args: [playgroundInput.value, playgroundStrategy.value]
+      });
+
+      let [response] = await evaluate();
+      // The analyzer is only loaded into the page once it is needed
+      if (!response.result.loaded) {
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          files: ['analyzePage.js']
+        });
+        [response] = await evaluate();
+      }
+
+      renderPlayground(response.result.result);
+    } catch (error) {
+      playgroundResult.textContent = `Error: ${error.message}`;
+    }
+  }
+
+  /**
+   * Shows an evaluateLocator() result: match count, warnings and the matched elements
+   */
+  function renderPlayground(result) {
+    playgroundResult.innerHTML = '';
+    if (!result) {
+      playgroundResult.textContent = 'Type a locator to see what it matches on the page';
+      return;
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'playground-summary';
+    summary.textContent = result.valid
+      ? `${result.unique ? '\u2714 ' : ''}${result.matchCount} match${result.matchCount === 1 ? '' : 'es'} (${result.strategy})`
+      : `\u2716 ${result.error}`;
+    playgroundResult.appendChild(summary);
+
+    result.warnings.forEach(warning => {
+      const item = document.createElement('div');
+      item.className = 'playground-warning';
+      item.textContent = `\u26A0 ${PLAYGROUND_WARNINGS[warning] || warning}`;
+      playgroundResult.appendChild(item);
+    });
+
+    result.matches.forEach((match, position) => {
+      const row = document.createElement('div');
+      row.className = 'diff-entry';
+      const where = [match.inFrame ? 'iframe' : '', match.inShadowRoot ? 'shadow root' : '', match.isVisible ? '' : 'hidden'].filter(Boolean);
+      row.textContent = `M${position + 1} ${match.tagName}${match.text ? ` "${match.text}"` : ''}${where.length ? ` (${where.join(', ')})` : ''}`;
+      const code = document.createElement('code');
+      code.textContent = ` ${match.cssPath}`;
+      row.appendChild(code);
+      playgroundResult.appendChild(row);
+    });
+
+    if (result.matchCount > result.matches.length) {
+      const more = document.createElement('div');
+      more.textContent = `... and ${result.matchCount - result.matches.length} more`;
+      playgroundResult.appendChild(more);
+    }
+  }
+
+  // Plugin profiles are the declarative part of the plugin API: functions cannot be passed to the page
+  const PROFILE_FIELDS = ['interactiveSelectors', 'ignoreSelectors', 'testIdAttributes', 'classDenylist'];
+  const PROFILE_TEMPLATE = {
+    name: 'my-profile',
+    interactiveSelectors: ['x-button', '[data-action]'],
+    ignoreSelectors: [],
+    testIdAttributes: ['data-qa', 'data-automation-id'],
+    classDenylist: ['css-*']
+  };
+
+  function loadProfiles() {
+    try {
+      return JSON.parse(localStorage.getItem('analyzerProfiles')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function initializePluginProfiles() {
+    const profiles = loadProfiles();
+    const selected = localStorage.getItem('analyzerProfile') || '';
+
+    pluginProfile.innerHTML = '<option value="">None</option>';
+    Object.keys(profiles).sort().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      pluginProfile.appendChild(option);
+    });
+
+    pluginProfile.value = profiles[selected] ? selected : '';
+    showProfile();
+  }
+
+  function showProfile() {
+    const profile = loadProfiles()[pluginProfile.value];
+    profileEditor.value = JSON.stringify(profile || PROFILE_TEMPLATE, null, 2);
+    deleteProfileBtn.disabled = !profile;
+  }
+
+  function getActiveProfile() {
+    return loadProfiles()[pluginProfile.value] || null;
+  }
+
+  /**
+   * Checks an edited profile and keeps only the fields the analyzer understands
+   */
+  function parseProfile(json) {
+    const profile = JSON.parse(json);
+    if (!profile || typeof profile.name !== 'string' || !/^[\w .-]+$/.test(profile.name.trim())) {
+      throw new Error('Profile needs a "name" of letters, digits, spaces, dots, dashes or underscores');
+    }
+
+    const parsed = { name: profile.name.trim() };
+    for (const field of PROFILE_FIELDS) {
+      const values = profile[field] || [];
+      if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        throw new Error(`"${field}" must be a list of strings`);
+      }
+      parsed[field] = values;
+    }
+    return parsed;
+  }
+
+  pluginProfile.addEventListener('change', () => {
+    localStorage.setItem('analyzerProfile', pluginProfile.value);
+    showProfile();
+  });
+
+  saveProfileBtn.addEventListener('click', () => {
+    try {
+      const profile = parseProfile(profileEditor.value);
+      const profiles = loadProfiles();
+      profiles[profile.name] = profile;
+      localStorage.setItem('analyzerProfiles', JSON.stringify(profiles));
+      localStorage.setItem('analyzerProfile', profile.name);
+
+      initializePluginProfiles();
+      status.innerHTML = `&#128190; Profile "${profile.name}" saved and active`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Profile Error: ${error.message}`;
+    }
+  });
+
+  deleteProfileBtn.addEventListener('click', () => {
+    const name = pluginProfile.value;
+    if (!name) return;
+
+    const profiles = loadProfiles();
+    delete profiles[name];
+    localStorage.setItem('analyzerProfiles', JSON.stringify(profiles));
+    localStorage.setItem('analyzerProfile', '');
+
+    initializePluginProfiles();
+    status.innerHTML = `&#128465; Profile "${name}" deleted`;
+  });
+
   // Auto-update current tab info
   updateTabInfo();
 
-  analyzeBtn.addEventListener('click', async () => {
+  analyzeBtn.addEventListener('click', runAnalysis);
+
+  function getAnalysisSettings() {
+    const profile = getActiveProfile();
+    return {
+      doHighlightElements: document.getElementById('doHighlight').checked,
+      focusHighlightIndex: -1,
+      viewportExpansion: viewportExpansionToggle.classList.contains('active') ? -1 : 0,
+      debugMode: false,
+      audit: document.getElementById('doAudit').checked,
+      plugins: profile ? [profile] : []
+    };
+  }
+
+  async function runAnalysis() {
     try {
       status.innerHTML = `&#9203; Analyzing page...`;
       analyzeBtn.disabled = true;
+      // A fresh analysis replaces the state the page watcher was patching
+      resetWatchState();
 
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-      const settings = {
-        doHighlightElements: document.getElementById('doHighlight').checked,
-        focusHighlightIndex: -1,
-        viewportExpansion: viewportExpansionToggle.classList.contains('active') ? -1 : 0,
-        debugMode: false
-      };
+      const settings = getAnalysisSettings();
+      const allFrames = allFramesCheckbox.checked;
 
       // Load the analyzePage script and execute it
       const loadResults = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId: tab.id, allFrames },
         files: ['analyzePage.js']
       });
 
       // Execute the analyzePage function with settings
       const scriptResults = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId: tab.id, allFrames },
         func: (settings) => {
           return window.analyzePage(settings);
         },
-        args: [settings]
+        // Same-origin frames are already walked by their parent and would be highlighted twice
+        args: [{ ...settings, skipCoveredFrames: allFrames }]
       });
 
-      if (scriptResults && scriptResults[0] && scriptResults[0].result) {
-        const { totalElements, highlightedElements, interactiveElements } = scriptResults[0].result;
-
-        // Update results section
-        document.getElementById('totalCount').textContent = totalElements;
-        document.getElementById('highlightedCount').textContent = highlightedElements;
-        document.getElementById('pageTitle').textContent = tab.title;
-        document.getElementById('pageUrl').textContent = new URL(tab.url).hostname;
-
-        // Populate the detailed results table
-        populateResultsTable(interactiveElements || []);
+      // Every frame answers separately; frames the top document could not reach are attached below their iframes
+      const topFrame = scriptResults && (scriptResults.find(frame => frame.frameId === 0) || scriptResults[0]);
+      const result = topFrame && topFrame.result && allFrames
+        ? stitchFrames(topFrame.result, scriptResults)
+        : topFrame && topFrame.result;
+
+      // Stitched frames were labelled from 0; their labels continue after the previous frame's instead
+      if (result && result.frames) {
+        await Promise.all(result.frames.filter(frame => frame.frameId !== 0 && frame.indexOffset > 0).map(frame =>
+          chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [frame.frameId] },
+            func: (offset) => (window._domAnalyzerSession ? window._domAnalyzerSession.setLabelOffset(offset) : 0),
+            args: [frame.indexOffset]
+          })
+        ));
+      }
 
-        results.classList.add('visible');
-        document.getElementById('detailedResults').classList.add('visible');
+      if (result) {
+        const { totalElements, highlightedElements } = result;
+        showAnalysisResult(tab, result);
         status.innerHTML = `&#9989; Analysis complete! Found ${totalElements} elements, ${highlightedElements} highlighted`;
       } else {
         status.innerHTML = `&#9888; Analysis completed but no data returned`;
@@ -121,15 +380,438 @@ document.addEventListener('DOMContentLoaded', function() {
     } finally {
       analyzeBtn.disabled = false;
     }
+  }
+
+  function showAnalysisResult(tab, result) {
+    lastAnalysisResult = result;
+    // A fresh analysis draws all overlays again
+    selectedIndex = null;
+    const { totalElements, highlightedElements, interactiveElements } = result;
+
+    // Update results section
+    document.getElementById('totalCount').textContent = totalElements;
+    document.getElementById('highlightedCount').textContent = highlightedElements;
+    renderCoverage(result.coverage);
+    document.getElementById('pageTitle').textContent = tab.title;
+    document.getElementById('pageUrl').textContent = new URL(tab.url).hostname;
+
+    // Populate the detailed results table
+    populateResultsTable(interactiveElements || []);
+
+    results.classList.add('visible');
+
+    // The audit tab only exists when the analysis ran with audit: true
+    resultTabs.classList.toggle('visible', Boolean(result.audit));
+    if (result.audit) {
+      renderAudit(result.audit);
+    }
+    showResultTab('detailedResults');
+
+    if (baselineSnapshot) {
+      renderSnapshotDiff(diffSnapshots(baselineSnapshot, lastAnalysisResult));
+    }
+  }
+
+  resultTabs.querySelectorAll('.result-tab').forEach(tab => {
+    tab.addEventListener('click', () => showResultTab(tab.dataset.tab));
+  });
+
+  // Function to summarize the iframes and shadow roots the analysis could not look into
+  function renderCoverage(coverage) {
+    const coverageInfo = document.getElementById('coverageInfo');
+    if (!coverage) {
+      coverageInfo.textContent = '-';
+      coverageInfo.title = '';
+      return;
+    }
+
+    const { frames, shadowRoots, unreachable } = coverage;
+    coverageInfo.textContent = coverage.complete
+      ? 'Complete'
+      : `${frames.unreachable} iframe${frames.unreachable === 1 ? '' : 's'}, ${shadowRoots.unreachable} shadow host${shadowRoots.unreachable === 1 ? '' : 's'} unreachable`;
+    coverageInfo.title = unreachable
+      .map(entry => `${entry.reason}: <${entry.tagName}> ${entry.locator || entry.xpath} (${entry.size.width}x${entry.size.height})${entry.src ? ` ${entry.src}` : ''}`)
+      .join('\n');
+  }
+
+  function showResultTab(sectionId) {
+    resultTabs.querySelectorAll('.result-tab').forEach(tab => {
+      const isActive = tab.dataset.tab === sectionId;
+      tab.classList.toggle('active', isActive);
+      document.getElementById(tab.dataset.tab).classList.toggle('visible', isActive);
+    });
+  }
+
+  // Function to render the violations of analyzePage({ audit: true })
+  function renderAudit(audit) {
+    const summary = document.getElementById('auditSummary');
+    const list = document.getElementById('auditList');
+    summary.innerHTML = '';
+    list.innerHTML = '';
+
+    resultTabs.querySelector('[data-tab="auditResults"]').textContent = `Accessibility Audit (${audit.summary.total})`;
+
+    const summaryRows = [
+      ['Violations', audit.summary.total],
+      ...Object.entries(audit.summary.byImpact).map(([impact, count]) => [impact.charAt(0).toUpperCase() + impact.slice(1), count])
+    ];
+    summaryRows.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'result-item';
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'result-label';
+      labelSpan.textContent = `${label}:`;
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'result-value';
+      valueSpan.textContent = value;
+      item.appendChild(labelSpan);
+      item.appendChild(valueSpan);
+      summary.appendChild(item);
+    });
+
+    if (audit.violations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'diff-baseline';
+      empty.textContent = 'No violations found';
+      list.appendChild(empty);
+      return;
+    }
+
+    audit.violations.forEach(violation => {
+      const row = document.createElement('div');
+      row.className = `audit-entry ${violation.impact}`;
+      row.title = audit.rules[violation.rule] ? audit.rules[violation.rule].description : violation.rule;
+      const index = violation.index !== null ? ` #${violation.index}` : '';
+      row.textContent = `[${violation.rule}] <${violation.tagName}>${index}: ${violation.message}`;
+
+      const code = document.createElement('code');
+      code.textContent = violation.xpath;
+      row.appendChild(code);
+
+      row.addEventListener('click', () => highlightViolationsOnPage([violation.id]));
+      list.appendChild(row);
+    });
+  }
+
+  highlightViolationsBtn.addEventListener('click', () => highlightViolationsOnPage(null));
+
+  async function highlightViolationsOnPage(ids) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const drawResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (ids) => (window.highlightViolations ? window.highlightViolations(ids) : 0),
+        args: [ids]
+      });
+
+      const drawn = drawResults && drawResults[0] ? drawResults[0].result : 0;
+      status.innerHTML = `&#128269; Highlighted ${drawn} violation${drawn === 1 ? '' : 's'}`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Audit Error: ${error.message}`;
+    }
+  }
+
+  async function startWatching() {
+    try {
+      status.innerHTML = `&#9203; Starting live watch...`;
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['analyzePage.js']
+      });
+
+      // Each batch of mutations is forwarded to the sidepanel
+      const scriptResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (settings) => {
+          const watcher = window.watchPage(settings, (event) => {
+            chrome.runtime.sendMessage({ action: 'domMutation', event });
+          });
+          return watcher.result;
+        },
+        args: [getAnalysisSettings()]
+      });
+
+      if (scriptResults && scriptResults[0] && scriptResults[0].result) {
+        watchedTabId = tab.id;
+        watchToggle.classList.add('active');
+        showAnalysisResult(tab, scriptResults[0].result);
+        status.innerHTML = `&#128065; Watching page for changes...`;
+      } else {
+        status.innerHTML = `&#9888; Live watch started but no data returned`;
+      }
+    } catch (error) {
+      console.error('Watch error:', error);
+      status.innerHTML = `&#10060; Watch Error: ${error.message}`;
+    }
+  }
+
+  async function stopWatching() {
+    const tabId = watchedTabId;
+    resetWatchState();
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => {
+          if (window._domAnalyzerWatcher) {
+            window._domAnalyzerWatcher.stop();
+          }
+          return true;
+        }
+      });
+      status.innerHTML = `&#9209; Live watch stopped`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Watch Error: ${error.message}`;
+    }
+  }
+
+  function resetWatchState() {
+    watchedTabId = null;
+    watchToggle.classList.remove('active');
+  }
+
+  // Apply a watchPage() event to the last result and re-render it
+  function applyMutationEvent(event) {
+    const replaced = new Set([...event.removed, ...event.changed].map(element => element.index));
+    const interactiveElements = lastAnalysisResult.interactiveElements
+      .filter(element => !replaced.has(element.index))
+      .concat(event.added, event.changed)
+      .sort((a, b) => a.index - b.index);
+
+    lastAnalysisResult = {
+      ...lastAnalysisResult,
+      totalElements: event.totalElements,
+      highlightedElements: event.highlightedElements,
+      interactiveElements,
+      timestamp: event.timestamp
+    };
+
+    document.getElementById('totalCount').textContent = event.totalElements;
+    document.getElementById('highlightedCount').textContent = event.highlightedElements;
+    populateResultsTable(interactiveElements);
+    status.innerHTML = `&#128260; Page changed: ${event.added.length} added, ${event.removed.length} removed, ${event.changed.length} changed`;
+
+    if (baselineSnapshot) {
+      renderSnapshotDiff(diffSnapshots(baselineSnapshot, lastAnalysisResult));
+    }
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action === 'domMutation' && sender.tab && sender.tab.id === watchedTabId && lastAnalysisResult) {
+      applyMutationEvent(message.event);
+    }
+    // Context menu picks arrive through session storage instead, see showPendingPick()
+    if (message.action === 'elementPicked' && message.source !== 'contextMenu' && sender.tab) {
+      setPicking(null);
+      showPick(message.picked);
+    }
   });
 
+  function showPick(picked) {
+    if (picked) {
+      renderPickedElement(picked);
+      status.innerHTML = `&#127919; Picked ${picked.tagName} with ${picked.locators.length} locator candidates`;
+    } else {
+      status.innerHTML = `&#9209; Pick cancelled`;
+    }
+  }
+
+  // background.js keeps context menu picks until the panel shows them, since it may still be loading
+  async function showPendingPick() {
+    const { pendingPick } = await chrome.storage.session.get('pendingPick');
+    if (!pendingPick) return;
+    await chrome.storage.session.remove('pendingPick');
+    showPick(pendingPick.picked);
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.pendingPick && changes.pendingPick.newValue) {
+      showPendingPick();
+    }
+  });
+  showPendingPick();
+
+  // Navigation discards the page watcher and the picker
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (tabId === watchedTabId && changeInfo.status === 'loading') {
+      resetWatchState();
+      status.innerHTML = `&#9888; Page navigated, live watch stopped`;
+    }
+    if (tabId === pickingTabId && changeInfo.status === 'loading') {
+      setPicking(null);
+    }
+  });
+
+  pickBtn.addEventListener('click', async () => {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+      // A second click cancels the running picker
+      if (pickingTabId !== null) {
+        await chrome.scripting.executeScript({
+          target: { tabId: pickingTabId },
+          func: () => {
+            if (window._domAnalyzerPicker) window._domAnalyzerPicker.stop();
+          }
+        });
+        setPicking(null);
+        status.innerHTML = `&#9209; Pick cancelled`;
+        return;
+      }
+
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['analyzePage.js']
+      });
+
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (settings) => {
+          window.pickElement(settings, (picked) => {
+            chrome.runtime.sendMessage({ action: 'elementPicked', picked });
+          });
+        },
+        args: [{ plugins: getAnalysisSettings().plugins }]
+      });
+
+      setPicking(tab.id);
+      status.innerHTML = `&#127919; Click an element on the page (Esc to cancel)`;
+    } catch (error) {
+      setPicking(null);
+      status.innerHTML = `&#10060; Pick Error: ${error.message}`;
+    }
+  });
+
+  function setPicking(tabId) {
+    pickingTabId = tabId;
+    pickBtn.innerHTML = tabId === null
+      ? `<span class="icon">&#127919;</span> Pick Element`
+      : `<span class="icon">&#10006;</span> Cancel Pick`;
+  }
+
+  // Frame-qualified locators of an element scope
+  function getScopedLocators(scope) {
+    const { playwright, piercingCss } = scope.locators;
+    return [['PW', playwright], ['CSS', piercingCss]];
+  }
+
+  /**
+   * Shows a pickElement() result: summary, ranked locators, attributes and the ancestor chain
+   */
+  function renderPickedElement(picked) {
+    const summary = document.getElementById('pickedSummary');
+    const details = document.getElementById('pickedDetails');
+    summary.innerHTML = '';
+    details.innerHTML = '';
+
+    const summaryRows = [
+      ['Element', picked.description],
+      ['Role', picked.a11y?.role || '-'],
+      ['Accessible name', picked.a11y?.name || '-'],
+      ['Interactive', picked.isInteractive ? 'yes' : 'no'],
+      ['Visible', picked.isVisible ? (picked.isInViewport ? 'yes' : 'outside the viewport') : 'no']
+    ];
+    summaryRows.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'result-item';
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'result-label';
+      labelSpan.textContent = `${label}:`;
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'result-value';
+      valueSpan.textContent = value;
+      item.appendChild(labelSpan);
+      item.appendChild(valueSpan);
+      summary.appendChild(item);
+    });
+
+    const addGroup = (title, count) => {
+      const group = document.createElement('div');
+      group.className = 'diff-group';
+      const heading = document.createElement('h4');
+      heading.textContent = `${title} (${count})`;
+      group.appendChild(heading);
+      details.appendChild(group);
+      return group;
+    };
+
+    const addLocator = (group, badgeText, badgeClass, locator, note) => {
+      const item = document.createElement('div');
+      item.className = 'locator-item diff-entry';
+      item.title = 'Click to copy';
+
+      const badge = document.createElement('span');
+      badge.className = `stability-badge ${badgeClass}`;
+      badge.textContent = badgeText;
+
+      const value = document.createElement('code');
+      value.textContent = locator;
+
+      item.appendChild(badge);
+      item.appendChild(value);
+      if (note) item.appendChild(document.createTextNode(` ${note}`));
+      item.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(locator);
+        status.innerHTML = `&#128203; Locator copied`;
+      });
+      group.appendChild(item);
+    };
+
+    // Frame and shadow DOM qualified locators first, like the results table
+    const scoped = picked.scope ? getScopedLocators(picked.scope) : [];
+    const locatorGroup = addGroup('Locators', picked.locators.length + scoped.length + 1);
+    scoped.forEach(([label, locator]) => addLocator(locatorGroup, label, 'medium', locator, ''));
+    addLocator(locatorGroup, 'CSS', 'medium', picked.cssPath, '(unique in its document or shadow root)');
+    picked.locators.forEach(locator => {
+      const badgeClass = locator.stability >= 70 ? 'high' : locator.stability >= 40 ? 'medium' : 'low';
+      const notes = [`${locator.matchCount} match${locator.matchCount === 1 ? '' : 'es'}`, ...(locator.warnings || [])];
+      const matches = `(${notes.join(', ')})`;
+      addLocator(locatorGroup, locator.stability, badgeClass, locator.locator, matches);
+    });
+
+    const attributes = Object.entries(picked.attributes);
+    if (attributes.length > 0) {
+      const attributeGroup = addGroup('Attributes', attributes.length);
+      attributes.forEach(([name, value]) => {
+        const row = document.createElement('div');
+        row.className = 'diff-entry';
+        row.textContent = name;
+        const code = document.createElement('code');
+        code.textContent = ` ${value}`;
+        row.appendChild(code);
+        attributeGroup.appendChild(row);
+      });
+    }
+
+    // Nearest ancestor first; boundaries mark shadow hosts and frames
+    const ancestorGroup = addGroup('Ancestors', picked.ancestors.length);
+    picked.ancestors.forEach(ancestor => {
+      const row = document.createElement('div');
+      row.className = 'diff-entry';
+      const role = ancestor.role ? ` [${ancestor.role}${ancestor.name ? ` "${ancestor.name}"` : ''}]` : '';
+      const boundary = ancestor.boundary === 'frame' ? ' (frame)' : ancestor.boundary === 'shadow-root' ? ' (shadow host)' : '';
+      row.textContent = `${ancestor.tagName}${ancestor.id ? `#${ancestor.id}` : ''}${role}${boundary}`;
+      const code = document.createElement('code');
+      code.textContent = ` ${ancestor.cssPath}`;
+      row.appendChild(code);
+      ancestorGroup.appendChild(row);
+    });
+
+    document.getElementById('pickedResults').classList.add('visible');
+  }
+
   cleanupBtn.addEventListener('click', async () => {
     try {
       status.innerHTML = `&#129529; Cleaning up...`;
+      // Cleaning up also stops the page watcher
+      resetWatchState();
+      selectedIndex = null;
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
       await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
+        target: { tabId: tab.id, allFrames: allFramesCheckbox.checked },
         func: () => {
           if (window.cleanupHighlights) {
             window.cleanupHighlights();
@@ -150,7 +832,9 @@ document.addEventListener('DOMContentLoaded', function() {
       });
 
       results.classList.remove('visible');
+      resultTabs.classList.remove('visible');
       document.getElementById('detailedResults').classList.remove('visible');
+      document.getElementById('auditResults').classList.remove('visible');
       status.innerHTML = `&#10024; Highlights cleaned up successfully`;
     } catch (error) {
       status.innerHTML = `&#10060; Cleanup Error: ${error.message}`;
@@ -162,174 +846,41 @@ document.addEventListener('DOMContentLoaded', function() {
       status.innerHTML = `$#9203; Exporting data...`;
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
-      const exportResults = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => {
-          // Get only interactive elements for LLM
-          const highlightedElements = Object.values(window.DOM_HASH_MAP || {}).filter(node =>
-            node.highlightIndex !== undefined
-          );
-
-          // Helper function to get text content
-          function getElementText(nodeData) {
-            if (nodeData.text) return nodeData.text;
-
-            let text = '';
-            for (const childId of nodeData.children || []) {
-              const child = window.DOM_HASH_MAP[childId];
-              if (child && child.tagName === '#text' && child.text) {
-                text += child.text + ' ';
-              } else if (child) {
-                text += getElementText(child) + ' ';
-              }
-            }
-            return text.trim().substring(0, 100);
-          }
-
-          // Helper function to generate description
-          function generateElementDescription(node) {
-            const { tagName, attributes } = node;
-            const text = getElementText(node);
-
-            let description = tagName;
-
-            if (attributes.type) description += ` (${attributes.type})`;
-            if (attributes.placeholder) description += ` placeholder="${attributes.placeholder}"`;
-            if (attributes.value) description += ` value="${attributes.value}"`;
-            if (attributes.href) description += ` href="${attributes.href}"`;
-            if (attributes.title) description += ` title="${attributes.title}"`;
-            if (attributes.alt) description += ` alt="${attributes.alt}"`;
+      if (exportFormat.value === 'llm-text') {
+        await exportLlmText(tab);
+        return;
+      }
 
-            if (text && text.length > 0) {
-              description += ` text="${text}"`;
-            }
+      if (exportFormat.value === 'screenshot') {
+        await exportScreenshot(tab);
+        return;
+      }
 
-            if (attributes.role) description += ` role="${attributes.role}"`;
-            if (attributes['aria-label']) description += ` aria-label="${attributes['aria-label']}"`;
+      const exportResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => (window.DomAnalyzer ? window.DomAnalyzer.export() : null)
+      });
 
-            return description;
-          }
+      if (!exportResults || !exportResults[0] || !exportResults[0].result) {
+        status.innerHTML = `&#9888; Analyze the page before exporting`;
+        return;
+      }
 
-          // Helper function to generate CSS selector
-          function generateCssSelector(node, nodeElement) {
-            if (!nodeElement) return '';
-
-            try {
-              // Try ID first
-              if (nodeElement.id) {
-                return `#${nodeElement.id}`;
-              }
-
-              // Try unique class combination
-              if (nodeElement.className && typeof nodeElement.className === 'string') {
-                const classes = nodeElement.className.trim().split(/\s+/).filter(cls => cls.length > 0);
-                if (classes.length > 0) {
-                  const classSelector = '.' + classes.join('.');
-                  const elements = document.querySelectorAll(classSelector);
-                  if (elements.length === 1 && elements[0] === nodeElement) {
-                    return classSelector;
-                  }
-                }
-              }
-
-              // Build path from parent to child
-              const path = [];
-              let current = nodeElement;
-
-              while (current && current !== document.body) {
-                let selector = current.tagName.toLowerCase();
-
-                // Add ID if available
-                if (current.id) {
-                  selector += `#${current.id}`;
-                  path.unshift(selector);
-                  break;
-                }
-
-                // Add class if available and distinctive
-                if (current.className && typeof current.className === 'string') {
-                  const classes = current.className.trim().split(/\s+/).filter(cls => cls.length > 0);
-                  if (classes.length > 0) {
-                    const distinctiveClass = classes.find(cls =>
-                      /^(btn|button|input|form|modal|dialog|menu|nav|header|footer|main|content|container|wrapper|card|item|entry)/.test(cls)
-                    );
-                    if (distinctiveClass) {
-                      selector += `.${distinctiveClass}`;
-                    } else if (classes.length === 1) {
-                      selector += `.${classes[0]}`;
-                    }
-                  }
-                }
-
-                // Add nth-child if needed for uniqueness
-                if (current.parentElement) {
-                  const siblings = Array.from(current.parentElement.children)
-                    .filter(sibling => sibling.tagName === current.tagName);
-                  if (siblings.length > 1) {
-                    const index = siblings.indexOf(current) + 1;
-                    selector += `:nth-child(${index})`;
-                  }
-                }
-
-                path.unshift(selector);
-                current = current.parentElement;
-              }
-
-              return path.join(' > ');
-            } catch (error) {
-              console.warn('CSS selector generation failed:', error);
-              return '';
-            }
-          }
+      if (exportFormat.value !== 'json') {
+        // Every other format is rendered from the same export data
+        const exported = exportElements(exportResults[0].result, { format: exportFormat.value });
 
-          // Helper function to find DOM element by xpath
-          function findElementByXPath(xpath) {
-            try {
-              const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.FIRST_ORDERED_NODE_TYPE,
-                null
-              );
-              return result.singleNodeValue;
-            } catch (error) {
-              console.warn('XPath evaluation failed:', error);
-              return null;
-            }
-          }
+        const blob = new Blob([exported.content], { type: exported.mimeType });
+        const url = URL.createObjectURL(blob);
 
-          // Return only interactive elements data for LLM
-          return {
-            interactiveElements: highlightedElements.map(node => {
-              const nodeElement = findElementByXPath(node.xpath);
-              const elementText = getElementText(node);
-
-              return {
-                index: node.highlightIndex,
-                tagName: node.tagName,
-                attributes: node.attributes,
-                description: generateElementDescription(node),
-                isVisible: node.isVisible,
-                isInViewport: node.isInViewport,
-                locators: {
-                  text: elementText || (node.attributes.value || node.attributes.placeholder || node.attributes['aria-label'] || node.attributes.title || '').substring(0, 50),
-                  cssPath: generateCssSelector(node, nodeElement),
-                  xpath: node.xpath
-                }
-              };
-            }).sort((a, b) => a.index - b.index),
-            pageInfo: {
-              title: document.title,
-              url: window.location.href,
-              timestamp: new Date().toISOString()
-            },
-            totalInteractiveElements: highlightedElements.length
-          };
-        }
-      });
+        await chrome.downloads.download({
+          url: url,
+          filename: exported.fileName
+        });
 
-      if (exportResults && exportResults[0] && exportResults[0].result) {
+        URL.revokeObjectURL(url);
+        status.innerHTML = `&#128190; ${exported.elementCount} elements exported as ${exported.fileName}`;
+      } else {
         const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
         const filename = `interactive-elements-${timestamp}.json`;
 
@@ -350,6 +901,383 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   });
 
+  // Export the compact outline produced by serializePage()
+  async function exportLlmText(tab) {
+    const textResults = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => {
+        if (!window.DOM_HASH_MAP || !window.serializePage) return null;
+        return window.serializePage({ map: window.DOM_HASH_MAP });
+      }
+    });
+
+    const outline = textResults && textResults[0] && textResults[0].result;
+    if (!outline) {
+      status.innerHTML = `&#9888; Analyze the page before exporting the LLM text`;
+      return;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const filename = `page-outline-${timestamp}.txt`;
+
+    const blob = new Blob([outline], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    await chrome.downloads.download({
+      url: url,
+      filename: filename
+    });
+
+    URL.revokeObjectURL(url);
+    status.innerHTML = `&#128190; LLM text (~${Math.ceil(outline.length / 4)} tokens) exported as ${filename}`;
+  }
+
+  // Export a stitched full-page screenshot with the index labels burned in, plus a sidecar JSON
+  async function exportScreenshot(tab) {
+    const layoutResults = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => window.getCaptureLayout && window.DOM_INTERACTIVE_ELEMENTS ? window.getCaptureLayout() : null
+    });
+
+    const layout = layoutResults && layoutResults[0] && layoutResults[0].result;
+    if (!layout) {
+      status.innerHTML = `&#9888; Analyze the page before exporting a screenshot`;
+      return;
+    }
+
+    // Chrome rejects canvases above 32767 device pixels per side; longer pages are cut off
+    const MAX_CAPTURE_HEIGHT = Math.floor(32000 / layout.devicePixelRatio);
+    // captureVisibleTab is rate limited to two calls per second
+    const CAPTURE_INTERVAL = 550;
+
+    const captureHeight = Math.min(layout.height, MAX_CAPTURE_HEIGHT);
+    const truncated = layout.height > captureHeight;
+
+    const setPageState = (scroll, overlaysVisible) => chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (x, y, visible) => {
+        const container = document.getElementById('dom-tree-analyzer-container');
+        if (container) container.style.visibility = visible ? '' : 'hidden';
+        window.scrollTo(x, y);
+        return { x: window.scrollX, y: window.scrollY };
+      },
+      args: [scroll.x, scroll.y, overlaysVisible]
+    }).then(results => results[0].result);
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    let scale = null;
+
+    try {
+      for (let top = 0; top < captureHeight; top += layout.viewport.height) {
+        for (let left = 0; left < layout.width; left += layout.viewport.width) {
+          status.innerHTML = `&#128247; Capturing screenshot (${Math.round(top / captureHeight * 100)}%)...`;
+
+          // The page clamps the scroll position, so the last tiles overlap the previous ones
+          const scrolled = await setPageState({ x: left, y: top }, false);
+          await new Promise(resolve => setTimeout(resolve, CAPTURE_INTERVAL));
+
+          const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+          const image = await loadImage(dataUrl);
+
+          if (scale === null) {
+            scale = image.width / layout.viewport.width;
+            canvas.width = Math.round(layout.width * scale);
+            canvas.height = Math.round(captureHeight * scale);
+          }
+
+          // Leave out the scrollbars at the right and bottom edge of the capture
+          context.drawImage(
+            image,
+            0, 0, layout.viewport.width * scale, layout.viewport.height * scale,
+            scrolled.x * scale, scrolled.y * scale, layout.viewport.width * scale, layout.viewport.height * scale
+          );
+        }
+      }
+    } finally {
+      await setPageState(layout.scroll, true);
+    }
+
+    const elements = layout.elements.filter(element => element.box.y < captureHeight);
+    drawAnnotations(context, elements, scale);
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const imageFilename = `page-screenshot-${timestamp}.png`;
+    const sidecarFilename = `page-screenshot-${timestamp}.json`;
+
+    const imageBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    const sidecar = {
+      image: imageFilename,
+      url: layout.url,
+      title: layout.title,
+      width: layout.width,
+      height: captureHeight,
+      scale,
+      truncated,
+      elements,
+      timestamp: layout.timestamp
+    };
+    const sidecarBlob = new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' });
+
+    for (const [blob, filename] of [[imageBlob, imageFilename], [sidecarBlob, sidecarFilename]]) {
+      const url = URL.createObjectURL(blob);
+      await chrome.downloads.download({
+        url: url,
+        filename: filename
+      });
+      URL.revokeObjectURL(url);
+    }
+
+    status.innerHTML = truncated
+      ? `&#9888; Screenshot cut off at ${MAX_CAPTURE_HEIGHT}px, exported as ${imageFilename} with ${elements.length} elements`
+      : `&#128247; Screenshot with ${elements.length} elements exported as ${imageFilename}`;
+  }
+
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Could not load the captured tab image'));
+      image.src = src;
+    });
+  }
+
+  // Boxes and index labels in the same colors and positions as the page overlays
+  function drawAnnotations(context, elements, scale) {
+    context.save();
+    context.scale(scale, scale);
+    context.lineWidth = 2;
+    context.font = 'bold 12px Arial, sans-serif';
+    context.textBaseline = 'top';
+
+    for (const { index, color, box } of elements) {
+      context.strokeStyle = color;
+      context.fillStyle = `${color}1A`;
+      context.fillRect(box.x, box.y, box.width, box.height);
+      context.strokeRect(box.x, box.y, box.width, box.height);
+
+      const label = String(index);
+      const labelWidth = context.measureText(label).width + 8;
+      const labelHeight = 16;
+      const labelX = Math.max(box.x, box.x + box.width - labelWidth - 2);
+      const labelY = box.y + 2;
+
+      context.fillStyle = color;
+      context.fillRect(labelX, labelY, labelWidth, labelHeight);
+      context.fillStyle = 'white';
+      context.fillText(label, labelX + 4, labelY + 2);
+    }
+
+    context.restore();
+  }
+
+  pageObjectBtn.addEventListener('click', async () => {
+    try {
+      if (!lastAnalysisResult) {
+        status.innerHTML = `&#9888; Analyze the page before generating a page object`;
+        return;
+      }
+
+      const pageObject = generatePageObjects(lastAnalysisResult, { language: pageObjectLanguage.value });
+
+      const blob = new Blob([pageObject.code], { type: 'text/plain' });
+      const url = URL.createObjectURL(blob);
+
+      await chrome.downloads.download({
+        url: url,
+        filename: pageObject.fileName
+      });
+
+      URL.revokeObjectURL(url);
+      status.innerHTML = `&#128221; Page object with ${pageObject.elementCount} elements saved as ${pageObject.fileName}`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Page Object Error: ${error.message}`;
+    }
+  });
+
+  fillFormsBtn.addEventListener('click', async () => {
+    try {
+      status.innerHTML = `&#9203; Filling forms...`;
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['analyzePage.js']
+      });
+
+      // Uses the forms of the last analysis, or analyzes the page without highlights first
+      const fillResults = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (options) => window.fillForms(options),
+        args: [{ strategy: fillStrategy.value, seed: Number(fillSeed.value) || 0 }]
+      });
+
+      const report = fillResults && fillResults[0] && fillResults[0].result;
+      if (!report) {
+        throw new Error('No fill report returned');
+      }
+      if (!report.success) {
+        throw new Error(report.error.message);
+      }
+
+      renderFillReport(report);
+      const { filled, skipped, failed } = report.summary;
+      status.innerHTML = `&#9997; Filled ${filled} field${filled === 1 ? '' : 's'} with ${report.strategy} data (${skipped} skipped, ${failed} failed)`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Fill Error: ${error.message}`;
+    }
+  });
+
+  // Function to render a fillForms() report: one line per field with the value and its locator
+  function renderFillReport(report) {
+    const container = document.getElementById('fillReport');
+    container.innerHTML = '';
+
+    if (report.forms.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'diff-baseline';
+      empty.textContent = 'No forms found';
+      container.appendChild(empty);
+      return;
+    }
+
+    report.forms.forEach(form => {
+      const group = document.createElement('div');
+      group.className = 'diff-group';
+      const heading = document.createElement('h4');
+      heading.textContent = form.name || form.id;
+      group.appendChild(heading);
+
+      form.fields.forEach(field => {
+        const row = document.createElement('div');
+        row.className = 'diff-entry';
+        const label = field.label || field.name || field.type;
+        const outcome = field.status === 'filled'
+          ? `${JSON.stringify(field.value)}${field.rule ? ` (${field.rule})` : ''}${field.valid === false ? ` - ${field.validationMessage || 'invalid'}` : ''}`
+          : `${field.status}: ${field.reason}`;
+        row.textContent = `${label}: ${outcome} `;
+
+        const code = document.createElement('code');
+        code.textContent = field.locator || '';
+        row.appendChild(code);
+        group.appendChild(row);
+      });
+
+      container.appendChild(group);
+    });
+  }
+
+  loadBaselineBtn.addEventListener('click', () => baselineFile.click());
+
+  baselineFile.addEventListener('change', async () => {
+    const file = baselineFile.files[0];
+    if (!file) return;
+
+    try {
+      const snapshot = JSON.parse(await file.text());
+      if (!Array.isArray(snapshot.interactiveElements)) {
+        throw new Error('File has no interactiveElements');
+      }
+
+      baselineSnapshot = snapshot;
+      const info = snapshot.pageInfo || snapshot;
+      document.getElementById('diffBaselineInfo').textContent =
+        `${file.name} (${snapshot.interactiveElements.length} elements${info.url ? `, ${info.url}` : ''})`;
+      status.innerHTML = `&#128194; Baseline loaded, compare it with the live page`;
+    } catch (error) {
+      status.innerHTML = `&#10060; Baseline Error: ${error.message}`;
+    } finally {
+      baselineFile.value = '';
+    }
+  });
+
+  compareBtn.addEventListener('click', async () => {
+    if (!baselineSnapshot) {
+      status.innerHTML = `&#9888; Load a baseline export before comparing`;
+      return;
+    }
+    // A fresh analysis renders the diff once it completes
+    await runAnalysis();
+  });
+
+  // Function to render a diffSnapshots() result
+  function renderSnapshotDiff(diff) {
+    const summary = document.getElementById('diffSummary');
+    const details = document.getElementById('diffDetails');
+    summary.innerHTML = '';
+    details.innerHTML = '';
+
+    const summaryRows = [
+      ['Unchanged', diff.summary.unchanged],
+      ['Added', diff.summary.added],
+      ['Removed', diff.summary.removed],
+      ['Moved', diff.summary.moved],
+      ['Changed', diff.summary.changed],
+      ['Locator changed', diff.summary.locatorChanged],
+      ['Locator broken', diff.summary.locatorBroken]
+    ];
+    summaryRows.forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'result-item';
+      const labelSpan = document.createElement('span');
+      labelSpan.className = 'result-label';
+      labelSpan.textContent = `${label}:`;
+      const valueSpan = document.createElement('span');
+      valueSpan.className = 'result-value';
+      valueSpan.textContent = value;
+      item.appendChild(labelSpan);
+      item.appendChild(valueSpan);
+      summary.appendChild(item);
+    });
+
+    const describe = (entry) => `#${entry.index} ${entry.description || entry.tagName}`;
+    const groups = [
+      ['Added', diff.added, entry => ({ className: 'added', text: describe(entry), code: entry.bestLocator })],
+      ['Removed', diff.removed, entry => ({ className: 'removed', text: describe(entry), code: entry.bestLocator })],
+      ['Moved', diff.moved, change => ({ className: '', text: describe(change.current), code: `${change.from} → ${change.to}` })],
+      ['Locator changed', diff.locatorChanged, change => ({
+        className: change.broken ? 'broken' : '',
+        text: `${describe(change.current)}${change.broken ? ' (old locator broken)' : ''}`,
+        code: `${change.from} → ${change.to}`
+      })],
+      ['Changed', diff.changed, change => ({
+        className: '',
+        text: describe(change.current),
+        code: [
+          ...change.attributes.map(attr => `${attr.name}: ${attr.from ?? '∅'} → ${attr.to ?? '∅'}`),
+          ...(change.text ? [`text: ${change.text.from} → ${change.text.to}`] : [])
+        ].join('; ')
+      })]
+    ];
+
+    groups.forEach(([title, entries, render]) => {
+      if (entries.length === 0) return;
+
+      const group = document.createElement('div');
+      group.className = 'diff-group';
+      const heading = document.createElement('h4');
+      heading.textContent = `${title} (${entries.length})`;
+      group.appendChild(heading);
+
+      entries.forEach(entry => {
+        const { className, text, code } = render(entry);
+        const row = document.createElement('div');
+        row.className = `diff-entry ${className}`.trim();
+        row.textContent = text;
+        if (code) {
+          const codeElement = document.createElement('code');
+          codeElement.textContent = ` ${code}`;
+          row.appendChild(codeElement);
+        }
+        group.appendChild(row);
+      });
+
+      details.appendChild(group);
+    });
+
+    document.getElementById('diffResults').classList.add('visible');
+  }
+
   // Update tab info periodically
   async function updateTabInfo() {
     try {
@@ -368,206 +1296,315 @@ document.addEventListener('DOMContentLoaded', function() {
   chrome.tabs.onUpdated.addListener(updateTabInfo);
 
   // Function to populate the detailed results table
+  elementSearch.addEventListener('input', renderResultsTable);
+  [tagFilter, roleFilter, viewportFilter, sortOrder].forEach(select => {
+    select.addEventListener('change', renderResultsTable);
+  });
+
+  // Leaving the table brings back the selected element's overlay, or all overlays
+  detailedResultsBody.addEventListener('mouseleave', () => focusOnPage(selectedIndex ?? -1));
+
+  function selectResultRow(index) {
+    selectedIndex = selectedIndex === index ? null : index;
+    detailedResultsBody.querySelectorAll('tr').forEach(row => {
+      row.classList.toggle('selected', row.firstChild?.textContent === String(selectedIndex));
+    });
+    focusOnPage(selectedIndex ?? -1, selectedIndex !== null);
+  }
+
+  /**
+   * Shows only one element's overlay on the page (focusHighlightIndex), -1 for all of them.
+   * Elements of stitched frames are focused by their frame index in their own frame.
+   * Hovering quickly over many rows only sends the latest request.
+   */
+  async function focusOnPage(index, scroll = false) {
+    pendingFocus = { index, scroll };
+    if (focusRunning) return;
+
+    focusRunning = true;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      while (pendingFocus) {
+        const request = pendingFocus;
+        pendingFocus = null;
+
+        const frames = lastAnalysisResult && lastAnalysisResult.frames ? lastAnalysisResult.frames : [{ frameId: 0 }];
+        const element = tableElements.find(candidate => candidate.index === request.index);
+        const ownerFrameId = element && element.frameId !== undefined ? element.frameId : 0;
+        const frameIndex = element && element.frameIndex !== undefined ? element.frameIndex : request.index;
+        // The other frames hide their overlays (null) while an element is focused
+        const indexInFrame = (frame) => {
+          if (request.index === -1) return -1;
+          return frame.frameId === ownerFrameId ? frameIndex : null;
+        };
+        await Promise.all(frames.map(frame => chrome.scripting.executeScript({
+          target: { tabId: tab.id, frameIds: [frame.frameId] },
+          func: (index, scroll) => {
+            if (window.DomAnalyzer) window.DomAnalyzer.focus(index, { scroll });
+          },
+          args: [indexInFrame(frame), request.scroll]
+        })));
+      }
+    } catch (error) {
+      console.error('Failed to focus the element overlay:', error);
+    } finally {
+      focusRunning = false;
+    }
+  }
+
   function populateResultsTable(interactiveElements) {
-    const tableBody = document.getElementById('detailedResultsBody');
-    tableBody.innerHTML = ''; // Clear existing rows
+    tableElements = interactiveElements || [];
+    if (selectedIndex !== null && !tableElements.some(element => element.index === selectedIndex)) {
+      selectedIndex = null;
+    }
+    updateFilterOptions();
 
-    if (!interactiveElements || interactiveElements.length === 0) {
-      const emptyRow = document.createElement('tr');
-      emptyRow.innerHTML = '<td colspan="5" style="text-align: center; padding: 20px; color: #718096;">No interactive elements found</td>';
-      tableBody.appendChild(emptyRow);
+    if (tableElements.length === 0) {
+      cssPathData = {};
+      renderResultsTable();
       return;
     }
 
-    // First, we need to fetch the CSS paths for each element since they might not be in the analysis result
+    // CSS paths are computed on demand from the live elements of the last analysis
     chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
       const tab = tabs[0];
 
-      // Get CSS paths by executing the export script function which generates them
       const cssPathResults = await chrome.scripting.executeScript({
         target: { tabId: tab.id },
         func: () => {
-          const highlightedElements = Object.values(window.DOM_HASH_MAP || {}).filter(node =>
-            node.highlightIndex !== undefined
-          );
+          if (!window.DomAnalyzer) return {};
+          return Object.fromEntries(window.DomAnalyzer.locators().map(locators => [locators.index, locators.cssPath]));
+        }
+      });
 
-          // Helper function to generate CSS selector
-          function generateCssSelector(node, nodeElement) {
-            if (!nodeElement) return '';
-
-            try {
-              // Try ID first
-              if (nodeElement.id) {
-                return `#${nodeElement.id}`;
-              }
-
-              // Try unique class combination
-              if (nodeElement.className && typeof nodeElement.className === 'string') {
-                const classes = nodeElement.className.trim().split(/\s+/).filter(cls => cls.length > 0);
-                if (classes.length > 0) {
-                  const classSelector = '.' + classes.join('.');
-                  const elements = document.querySelectorAll(classSelector);
-                  if (elements.length === 1 && elements[0] === nodeElement) {
-                    return classSelector;
-                  }
-                }
-              }
-
-              // Build path from parent to child
-              const path = [];
-              let current = nodeElement;
-
-              while (current && current !== document.body) {
-                let selector = current.tagName.toLowerCase();
-
-                // Add ID if available
-                if (current.id) {
-                  selector += `#${current.id}`;
-                  path.unshift(selector);
-                  break;
-                }
-
-                // Add class if available and distinctive
-                if (current.className && typeof current.className === 'string') {
-                  const classes = current.className.trim().split(/\s+/).filter(cls => cls.length > 0);
-                  if (classes.length > 0) {
-                    const distinctiveClass = classes.find(cls =>
-                      /^(btn|button|input|form|modal|dialog|menu|nav|header|footer|main|content|container|wrapper|card|item|entry)/.test(cls)
-                    );
-                    if (distinctiveClass) {
-                      selector += `.${distinctiveClass}`;
-                    } else if (classes.length === 1) {
-                      selector += `.${classes[0]}`;
-                    }
-                  }
-                }
-
-                // Add nth-child if needed for uniqueness
-                if (current.parentElement) {
-                  const siblings = Array.from(current.parentElement.children)
-                    .filter(sibling => sibling.tagName === current.tagName);
-                  if (siblings.length > 1) {
-                    const index = siblings.indexOf(current) + 1;
-                    selector += `:nth-child(${index})`;
-                  }
-                }
-
-                path.unshift(selector);
-                current = current.parentElement;
-              }
-
-              return path.join(' > ');
-            } catch (error) {
-              console.warn('CSS selector generation failed:', error);
-              return '';
-            }
-          }
+      cssPathData = cssPathResults?.[0]?.result || {};
+      renderResultsTable();
+    });
+  }
 
-          // Helper function to find DOM element by xpath
-          function findElementByXPath(xpath) {
-            try {
-              const result = document.evaluate(
-                xpath,
-                document,
-                null,
-                XPathResult.FIRST_ORDERED_NODE_TYPE,
-                null
-              );
-              return result.singleNodeValue;
-            } catch (error) {
-              console.warn('XPath evaluation failed:', error);
-              return null;
-            }
-          }
+  /**
+   * Fills the tag and role filters with the values found in the results, keeping the current choice
+   */
+  function updateFilterOptions() {
+    const options = [
+      [tagFilter, 'All tags', tableElements.map(element => element.tagName)],
+      [roleFilter, 'All roles', tableElements.map(getElementRole)]
+    ];
+
+    options.forEach(([select, allLabel, values]) => {
+      const current = select.value;
+      const distinct = [...new Set(values.filter(Boolean))].sort();
+
+      select.innerHTML = '';
+      [['', allLabel], ...distinct.map(value => [value, value])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = distinct.includes(current) ? current : '';
+    });
+  }
 
-          // Generate CSS paths for all elements
-          const elementsCssData = {};
-          highlightedElements.forEach(node => {
-            const nodeElement = findElementByXPath(node.xpath);
-            elementsCssData[node.highlightIndex] = generateCssSelector(node, nodeElement);
-          });
+  function getElementRole(element) {
+    return element.a11y?.role || element.attributes?.role || '';
+  }
 
-          return elementsCssData;
-        }
-      });
+  // Everything the free-text search looks at: text, attributes and locators
+  function getSearchText(element) {
+    const rankedLocators = Array.isArray(element.locators) ? element.locators : [];
+    return [
+      element.tagName,
+      element.text,
+      element.description,
+      element.a11y?.name,
+      element.xpath,
+      cssPathData[element.index],
+      ...Object.entries(element.attributes || {}).map(([name, value]) => `${name}=${value}`),
+      ...rankedLocators.map(locator => locator.locator)
+    ].filter(Boolean).join('\n').toLowerCase();
+  }
 
-      const cssPathData = cssPathResults?.[0]?.result || {};
+  const RESULT_SORTERS = {
+    index: (a, b) => a.index - b.index,
+    tag: (a, b) => (a.tagName || '').localeCompare(b.tagName || '') || a.index - b.index,
+    text: (a, b) => (a.text || '').localeCompare(b.text || '') || a.index - b.index,
+    stability: (a, b) => getBestStability(b) - getBestStability(a) || a.index - b.index,
+    importance: (a, b) => (b.importance || 0) - (a.importance || 0) || a.index - b.index,
+    position: (a, b) => getPagePosition(a).y - getPagePosition(b).y || getPagePosition(a).x - getPagePosition(b).x || a.index - b.index
+  };
+
+  function getBestStability(element) {
+    const rankedLocators = Array.isArray(element.locators) ? element.locators : [];
+    return rankedLocators.length > 0 ? rankedLocators[0].stability : -1;
+  }
 
-      // Now populate the table with the CSS path data
-      interactiveElements.forEach(element => {
-        const row = document.createElement('tr');
+  function getPagePosition(element) {
+    return element.geometry?.page || { x: Infinity, y: Infinity };
+  }
 
-        // Helper function to safely escape HTML and truncate text
-        const safeText = (text, maxLength = 100) => {
-          if (!text) return '';
-          const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-          return escaped.length > maxLength ? escaped.substring(0, maxLength) + '...' : escaped;
-        };
+  function getFilteredElements() {
+    const terms = elementSearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+    const tag = tagFilter.value;
+    const role = roleFilter.value;
+    const viewport = viewportFilter.value;
+
+    return tableElements
+      .filter(element => !tag || element.tagName === tag)
+      .filter(element => !role || getElementRole(element) === role)
+      .filter(element => !viewport || Boolean(element.isInViewport) === (viewport === 'in'))
+      .filter(element => {
+        if (terms.length === 0) return true;
+        const searchText = getSearchText(element);
+        return terms.every(term => searchText.includes(term));
+      })
+      .sort(RESULT_SORTERS[sortOrder.value] || RESULT_SORTERS.index);
+  }
 
-        // Helper function to copy text to clipboard
-        const copyToClipboard = async (text, cellElement) => {
-          try {
-            await navigator.clipboard.writeText(text);
-            // Visual feedback
-            const originalBg = cellElement.style.backgroundColor;
-            cellElement.style.backgroundColor = '#48bb78';
-            cellElement.style.color = 'white';
-            setTimeout(() => {
-              cellElement.style.backgroundColor = originalBg;
-              cellElement.style.color = '';
-            }, 200);
-          } catch (err) {
-            console.error('Failed to copy to clipboard:', err);
-          }
-        };
+  function renderResultsTable() {
+    const tableBody = document.getElementById('detailedResultsBody');
+    tableBody.innerHTML = ''; // Clear existing rows
+
+    const visibleElements = getFilteredElements();
+    filterCount.textContent = tableElements.length > 0 ? `${visibleElements.length} of ${tableElements.length}` : '';
+
+    if (visibleElements.length === 0) {
+      const emptyRow = document.createElement('tr');
+      const message = tableElements.length === 0 ? 'No interactive elements found' : 'No elements match the filters';
+      emptyRow.innerHTML = `<td colspan="6" style="text-align: center; padding: 20px; color: #718096;">${message}</td>`;
+      tableBody.appendChild(emptyRow);
+      return;
+    }
+
+    visibleElements.forEach(element => {
+      const row = document.createElement('tr');
+
+      // Helper function to safely escape HTML and truncate text
+      const safeText = (text, maxLength = 100) => {
+        if (!text) return '';
+        const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return escaped.length > maxLength ? escaped.substring(0, maxLength) + '...' : escaped;
+      };
 
-        // Get data with CSS path from our generated data
-        const xpath = element.locators?.xpath || element.xpath || '';
-        const cssPath = cssPathData[element.index] || element.locators?.cssPath || '';
-        const textContent = element.locators?.text || element.text || '';
-        const tagName = element.tagName || '';
-
-        // Create cells in the new order: Index, Tag Name, XPath, CSS Path, Text
-        const indexCell = document.createElement('td');
-        indexCell.className = 'index-col';
-        indexCell.textContent = element.index;
-
-        const tagCell = document.createElement('td');
-        tagCell.className = 'tagname-col';
-        tagCell.textContent = tagName;
-        tagCell.style.cursor = 'pointer';
-        tagCell.addEventListener('click', () => copyToClipboard(tagName, tagCell));
-
-        const xpathCell = document.createElement('td');
-        xpathCell.className = 'xpath-col';
-        xpathCell.textContent = safeText(xpath, 50);
-        xpathCell.title = xpath;
-        xpathCell.style.cursor = 'pointer';
-        xpathCell.addEventListener('click', () => copyToClipboard(xpath, xpathCell));
-
-        const cssCell = document.createElement('td');
-        cssCell.className = 'css-col';
-        cssCell.textContent = safeText(cssPath, 50);
-        cssCell.title = cssPath;
-        cssCell.style.cursor = 'pointer';
-        cssCell.addEventListener('click', () => copyToClipboard(cssPath, cssCell));
-
-        const textCell = document.createElement('td');
-        textCell.className = 'text-col';
-        textCell.textContent = safeText(textContent, 30);
-        textCell.title = textContent;
-        textCell.style.cursor = 'pointer';
-        textCell.addEventListener('click', () => copyToClipboard(textContent, textCell));
-
-        // Append cells to row in the new order
-        row.appendChild(indexCell);
-        row.appendChild(tagCell);
-        row.appendChild(xpathCell);
-        row.appendChild(cssCell);
-        row.appendChild(textCell);
-
-        tableBody.appendChild(row);
+      // Helper function to copy text to clipboard
+      const copyToClipboard = async (text, cellElement) => {
+        try {
+          await navigator.clipboard.writeText(text);
+          // Visual feedback
+          const originalBg = cellElement.style.backgroundColor;
+          cellElement.style.backgroundColor = '#48bb78';
+          cellElement.style.color = 'white';
+          setTimeout(() => {
+            cellElement.style.backgroundColor = originalBg;
+            cellElement.style.color = '';
+          }, 200);
+        } catch (err) {
+          console.error('Failed to copy to clipboard:', err);
+        }
+      };
+
+      // Get data with CSS path from our generated data
+      const xpath = element.locators?.xpath || element.xpath || '';
+      const cssPath = cssPathData[element.index] || element.locators?.cssPath || '';
+      const textContent = element.locators?.text || element.text || '';
+      const tagName = element.tagName || '';
+      const rankedLocators = Array.isArray(element.locators) ? element.locators : [];
+
+      // Create cells in the new order: Index, Tag Name, XPath, CSS Path, Ranked Locators, Text
+      const indexCell = document.createElement('td');
+      indexCell.className = 'index-col';
+      indexCell.textContent = element.index;
+      indexCell.title = 'Click to keep this element focused on the page';
+      indexCell.style.cursor = 'pointer';
+      indexCell.addEventListener('click', () => selectResultRow(element.index));
+
+      const tagCell = document.createElement('td');
+      tagCell.className = 'tagname-col';
+      tagCell.textContent = tagName;
+      tagCell.style.cursor = 'pointer';
+      tagCell.addEventListener('click', () => copyToClipboard(tagName, tagCell));
+
+      const xpathCell = document.createElement('td');
+      xpathCell.className = 'xpath-col';
+      xpathCell.textContent = safeText(xpath, 50);
+      xpathCell.title = xpath;
+      xpathCell.style.cursor = 'pointer';
+      xpathCell.addEventListener('click', () => copyToClipboard(xpath, xpathCell));
+
+      const cssCell = document.createElement('td');
+      cssCell.className = 'css-col';
+      cssCell.textContent = safeText(cssPath, 50);
+      cssCell.title = cssPath;
+      cssCell.style.cursor = 'pointer';
+      cssCell.addEventListener('click', () => copyToClipboard(cssPath, cssCell));
+
+      // One line per candidate, most stable unique locator first
+      const locatorsCell = document.createElement('td');
+      locatorsCell.className = 'locators-col';
+
+      // Elements inside iframes or shadow roots lead with their frame-qualified locators
+      if (element.scope) {
+        const { framePath, shadowHosts } = element.scope;
+        getScopedLocators(element.scope).forEach(([label, locator]) => {
+          const item = document.createElement('div');
+          item.className = 'locator-item';
+          item.title = `${framePath.length} frame${framePath.length === 1 ? '' : 's'}, ${shadowHosts.length} shadow host${shadowHosts.length === 1 ? '' : 's'}`;
+
+          const badge = document.createElement('span');
+          badge.className = 'stability-badge medium';
+          badge.textContent = label;
+
+          const value = document.createElement('span');
+          value.textContent = safeText(locator, 60);
+
+          item.appendChild(badge);
+          item.appendChild(value);
+          item.addEventListener('click', () => copyToClipboard(locator, item));
+          locatorsCell.appendChild(item);
+        });
+      }
+      rankedLocators.slice(0, 5).forEach(locator => {
+        const item = document.createElement('div');
+        item.className = 'locator-item';
+        item.title = [
+          `${locator.strategy}${locator.kind ? ` (${locator.kind})` : ''}`,
+          `${locator.matchCount} match${locator.matchCount === 1 ? '' : 'es'}`,
+          ...(locator.warnings || [])
+        ].join(' | ');
+
+        const badge = document.createElement('span');
+        badge.className = `stability-badge ${locator.stability >= 70 ? 'high' : locator.stability >= 40 ? 'medium' : 'low'}`;
+        badge.textContent = locator.stability;
+
+        const value = document.createElement('span');
+        value.textContent = safeText(locator.locator, 60);
+
+        item.appendChild(badge);
+        item.appendChild(value);
+        item.addEventListener('click', () => copyToClipboard(locator.locator, item));
+        locatorsCell.appendChild(item);
       });
+
+      const textCell = document.createElement('td');
+      textCell.className = 'text-col';
+      textCell.textContent = safeText(textContent, 30);
+      textCell.title = textContent;
+      textCell.style.cursor = 'pointer';
+      textCell.addEventListener('click', () => copyToClipboard(textContent, textCell));
+
+      // Append cells to row in the new order
+      row.appendChild(indexCell);
+      row.appendChild(tagCell);
+      row.appendChild(xpathCell);
+      row.appendChild(cssCell);
+      row.appendChild(locatorsCell);
+      row.appendChild(textCell);
+
+      // Hovering a row shows only its overlay on the page
+      row.classList.toggle('selected', element.index === selectedIndex);
+      row.addEventListener('mouseenter', () => focusOnPage(element.index));
+
+      tableBody.appendChild(row);
     });
   }
 });
@@ -0,0 +1,149 @@
+/**
+ * Frame Stitching
+ * Merges the analyzePage() results of separately analyzed frames into one tree: each frame's
+ * nodes are attached below the iframe that its parent frame listed as unreachable in coverage
+ *
+ * Usage examples:
+ * - Chrome Extension: the sidepanel injects analyzePage.js with allFrames and stitches the results
+ * - Playwright: stitchFrames(topResult, childResults) with one { result } per page.frames() entry, matched by URL
+ * - Node: const { stitchFrames } = require('./stitchFrames'); stitchFrames(topResult, frameResults)
+ */
+
+function stitchFrames(topResult, frameResults = [], options = {}) {
+  // Default settings
+  const defaultOptions = {
+    topFrameId: 0
+  };
+
+  const settings = { ...defaultOptions, ...options };
+  const { topFrameId } = settings;
+
+  // chrome.scripting InjectionResults have the same { frameId, result } shape
+  const pending = frameResults.filter(frame => frame && frame.result && frame.frameId !== topFrameId);
+
+  const map = {};
+  const interactiveElements = [];
+  const frames = [];
+  const unreachable = [];
+  const shadowRoots = { open: 0, closed: 0, unreachable: 0 };
+  let nextId = 0;
+  let nextIndex = 0;
+
+  const topIds = addFrame(topResult, topFrameId, null);
+
+  // Children are resolved breadth first, so nested cross-origin frames are stitched too
+  const queue = [{ result: topResult, ids: topIds, frameId: topFrameId }];
+  while (queue.length > 0) {
+    const { result, ids, frameId } = queue.shift();
+    for (const entry of (result.coverage && result.coverage.unreachable) || []) {
+      const child = entry.kind === 'iframe' ? takeFrameResult(entry) : null;
+      const iframeId = entry.nodeId !== null && entry.nodeId !== undefined ? ids.get(entry.nodeId) : undefined;
+
+      if (!child || iframeId === undefined) {
+        unreachable.push({ ...entry, nodeId: iframeId ?? null, ownerFrameId: frameId });
+        continue;
+      }
+
+      const childIds = addFrame(child.result, child.frameId, frameId);
+      map[iframeId].children.push(childIds.get(child.result.rootId));
+      queue.push({ result: child.result, ids: childIds, frameId: child.frameId });
+    }
+  }
+
+  const stitchedFrames = frames.length - 1;
+  const unreachableFrames = unreachable.filter(entry => entry.kind === 'iframe').length;
+
+  return {
+    ...topResult,
+    rootId: topIds.get(topResult.rootId),
+    map,
+    totalElements: Object.keys(map).length,
+    highlightedElements: interactiveElements.length,
+    interactiveElements,
+    coverage: {
+      complete: unreachable.length === 0,
+      frames: {
+        total: stitchedFrames + unreachableFrames,
+        analyzed: stitchedFrames,
+        unreachable: unreachableFrames
+      },
+      shadowRoots,
+      unreachable
+    },
+    frames
+  };
+
+  /**
+   * Copies a frame's nodes into the stitched map under new ids; highlight indexes continue after
+   * the previous frame's, the frame's own index stays in frameIndex
+   */
+  function addFrame(result, frameId, parentFrameId) {
+    const ids = new Map();
+    for (const id of Object.keys(result.map || {})) {
+      ids.set(id, `${nextId++}`);
+    }
+
+    const indexOffset = nextIndex;
+    const indexes = Object.values(result.map || {})
+      .map(node => node.highlightIndex)
+      .filter(index => index !== undefined);
+    nextIndex += indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+
+    for (const [id, node] of Object.entries(result.map || {})) {
+      const copy = { ...node, children: node.children.map(childId => ids.get(childId)).filter(Boolean) };
+      if (frameId !== topFrameId) {
+        copy.frameId = frameId;
+        if (node.highlightIndex !== undefined) {
+          copy.highlightIndex = node.highlightIndex + indexOffset;
+          copy.frameIndex = node.highlightIndex;
+        }
+      }
+      map[ids.get(id)] = copy;
+    }
+
+    for (const element of result.interactiveElements || []) {
+      interactiveElements.push(frameId === topFrameId
+        ? element
+        : { ...element, index: element.index + indexOffset, frameIndex: element.index, frameId, frameUrl: result.url });
+    }
+
+    frames.push({
+      frameId,
+      parentFrameId,
+      url: result.url || '',
+      title: result.title || '',
+      rootId: ids.get(result.rootId),
+      indexOffset,
+      totalElements: result.totalElements,
+      highlightedElements: result.highlightedElements
+    });
+
+    const frameShadowRoots = (result.coverage && result.coverage.shadowRoots) || {};
+    for (const key of Object.keys(shadowRoots)) {
+      shadowRoots[key] += frameShadowRoots[key] || 0;
+    }
+
+    return ids;
+  }
+
+  // By frame id when the analysis could resolve it, otherwise by URL
+  function takeFrameResult(entry) {
+    let position = entry.frameId !== undefined
+      ? pending.findIndex(frame => frame.frameId === entry.frameId)
+      : -1;
+    if (position === -1 && entry.frameId === undefined && entry.src) {
+      position = pending.findIndex(frame => frame.result.url === entry.src);
+    }
+    return position === -1 ? null : pending.splice(position, 1)[0];
+  }
+}
+
+// Make function available globally for direct console usage
+if (typeof window !== 'undefined') {
+  window.stitchFrames = stitchFrames;
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { stitchFrames };
+}
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+// One violation per rule; the cookie banner covers the Buy button
+const BROKEN = `<body>
+  <img src="/chart.png">
+  <button id="icon"></button>
+  <label for="nowhere">Name</label>
+  <input id="phone" aria-label="Phone" aria-describedby="missing-hint">
+  <a href="/first" tabindex="3">First</a>
+  <p style="color: #999999; background-color: #ffffff">Faint text</p>
+  <button id="buy">Buy</button><div id="banner">Cookie banner</div>
+</body>`;
+
+// The same controls, done right
+const FIXED = `<body>
+  <img src="/chart.png" alt="Sales chart"><img src="/spacer.png" alt="">
+  <button id="icon" aria-label="Close"></button>
+  <label for="name">Name</label><input id="name">
+  <input id="phone" aria-label="Phone" aria-describedby="phone-hint"><span id="phone-hint">With country code</span>
+  <a href="/first" tabindex="0">First</a>
+  <p style="color: #333333; background-color: #ffffff">Readable text</p>
+  <button id="buy">Buy</button>
+  <div aria-hidden="true"><button></button></div>
+</body>`;
+
+function audit(html, { coveredId, coverId } = {}) {
+  const window = loadPage(html);
+  const { document } = window;
+  if (coveredId) {
+    // jsdom has no layout, so the cover wins the hit test at the covered element's center
+    const elementFromPoint = document.elementFromPoint;
+    document.elementFromPoint = function (x, y) {
+      const hit = elementFromPoint.call(this, x, y);
+      return hit === document.getElementById(coveredId) ? document.getElementById(coverId) : hit;
+    };
+  }
+  return window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1, audit: true }).audit;
+}
+
+test('every rule reports its violation', () => {
+  const { violations, summary } = audit(BROKEN, { coveredId: 'buy', coverId: 'banner' });
+  const found = Array.from(violations, violation => [violation.rule, violation.tagName, violation.message]);
+
+  assert.deepEqual(found, [
+    ['missing-alt', 'img', '<img> has no alt text'],
+    ['missing-name', 'button', 'Interactive button has no accessible name'],
+    ['broken-label', 'label', 'Label points at missing id "nowhere"'],
+    ['broken-label', 'input', 'aria-describedby points at missing id "missing-hint"'],
+    ['positive-tabindex', 'a', 'tabindex="3" changes the natural focus order'],
+    ['low-contrast', 'p', 'Text contrast 2.85:1 is below 4.5:1'],
+    ['obscured-focusable', 'button', 'Focusable element is covered by <div>']
+  ]);
+  assert.deepEqual({ ...summary.byRule }, {
+    'missing-alt': 1,
+    'missing-name': 1,
+    'broken-label': 2,
+    'positive-tabindex': 1,
+    'low-contrast': 1,
+    'obscured-focusable': 1
+  });
+  assert.deepEqual({ ...summary.byImpact }, { critical: 1, serious: 4, moderate: 2 });
+});
+
+test('violations point back at the analyzed element', () => {
+  const { violations } = audit(BROKEN);
+  const describedBy = violations.find(violation => violation.details.attribute === 'aria-describedby');
+
+  assert.deepEqual(Array.from(describedBy.details.ids), ['missing-hint']);
+  assert.equal(describedBy.xpath, "//input[@id='phone']");
+  assert.equal(Number.isInteger(describedBy.index), true);
+  assert.equal(violations.find(violation => violation.rule === 'low-contrast').details.required, 4.5);
+});
+
+test('a page that follows the rules has no findings', () => {
+  const { violations, summary } = audit(FIXED);
+
+  assert.deepEqual(Array.from(violations), []);
+  assert.equal(summary.total, 0);
+});
+
+test('audits only run when asked for', () => {
+  const window = loadPage(BROKEN);
+  assert.equal(window.DomAnalyzer.analyze({ doHighlightElements: false }).audit, null);
+});
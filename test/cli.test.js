@@ -0,0 +1,131 @@
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { runCli, parseCommandLine, getOutputName } = require('../cli');
+
+const LOGIN_FIXTURE = path.join(__dirname, 'fixtures', 'login.html');
+
+// Collects what runCli() writes
+function createOutput() {
+  const output = { text: '', write: (chunk) => { output.text += chunk; } };
+  return output;
+}
+
+// Just enough of Playwright's browser type to run the CLI on jsdom pages
+function createJsdomChromium() {
+  const launches = [];
+  const chromium = {
+    launches,
+    launch: async (launchOptions) => ({
+      close: async () => {},
+      newContext: async (contextOptions) => {
+        launches.push({ launchOptions, contextOptions });
+        return {
+          route: async () => {},
+          newPage: async () => {
+            let window;
+            return {
+              goto: async (url) => {
+                window = loadPage(fs.readFileSync(new URL(url), 'utf8'), { url, scripts: [] });
+              },
+              addScriptTag: async ({ path: scriptPath }) => window.eval(fs.readFileSync(scriptPath, 'utf8')),
+              // Results cross the page boundary as JSON
+              evaluate: async (fn, arg) => JSON.parse(JSON.stringify(window.eval(`(${fn})`)(arg) ?? null)),
+              screenshot: async ({ path: imagePath }) => fs.writeFileSync(imagePath, ''),
+              close: async () => {}
+            };
+          }
+        };
+      }
+    })
+  };
+  return chromium;
+}
+
+test('command lines become run options', () => {
+  const options = parseCommandLine(['analyze', 'a.html', 'https://example.com', '--format', 'json, md', '--viewport-expansion', '-1', '--viewport', '800x600', '--offline']);
+
+  assert.deepEqual(options.targets, ['a.html', 'https://example.com']);
+  assert.deepEqual(options.formats, ['json', 'md']);
+  assert.deepEqual(options.analyzeArgs, { doHighlightElements: false, viewportExpansion: -1 });
+  assert.deepEqual(options.viewport, { width: 800, height: 600 });
+  assert.equal(options.outDir, 'dom-analyzer-output');
+  assert.equal(options.screenshot, true);
+  assert.equal(options.offline, true);
+  assert.equal(parseCommandLine(['analyze', 'a.html', '--no-screenshot']).screenshot, false);
+  assert.deepEqual(parseCommandLine(['-h']), { command: 'help' });
+});
+
+test('invalid command lines are rejected', () => {
+  assert.throws(() => parseCommandLine([]), /Missing command/);
+  assert.throws(() => parseCommandLine(['crawl', 'a.html']), /Unknown command: crawl/);
+  assert.throws(() => parseCommandLine(['analyze']), /Missing <url\|file.html>/);
+  assert.throws(() => parseCommandLine(['analyze', 'a.html', '--format', 'pdf']), /Unsupported format: pdf/);
+  assert.throws(() => parseCommandLine(['analyze', 'a.html', '--viewport', 'wide']), /Invalid viewport/);
+  assert.throws(() => parseCommandLine(['analyze', 'a.html', '--max-elements', '1.5']), /whole number/);
+  assert.throws(() => parseCommandLine(['analyze', 'a.html', '--depth', '2']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+});
+
+test('output names follow the target and stay unique', () => {
+  const usedNames = new Set();
+
+  assert.equal(getOutputName('https://staging.example.com/account/login?next=/', usedNames), 'staging.example.com-account-login');
+  assert.equal(getOutputName('fixtures/login.html', usedNames), 'login');
+  assert.equal(getOutputName('file:///srv/pages/login.htm', usedNames), 'login-2');
+  assert.equal(getOutputName('data:text/html,<p>', usedNames), 'data');
+  assert.equal(getOutputName('https://example.com/', usedNames), 'example.com');
+});
+
+test('invalid arguments print the usage and exit with 2', async () => {
+  const stderr = createOutput();
+
+  assert.equal(await runCli(['analyze', '--format', 'pdf', 'a.html'], { stderr }), 2);
+  assert.match(stderr.text, /^Unsupported format: pdf\n\nUsage: dom-analyzer analyze/);
+});
+
+test('a browser that cannot launch exits with 1', async () => {
+  const stderr = createOutput();
+  const outDir = path.join(os.tmpdir(), 'dom-analyzer-cli-unlaunched');
+  const chromium = { launch: async () => { throw new Error("browserType.launch: Executable doesn't exist\n╔══╗"); } };
+
+  assert.equal(await runCli(['analyze', LOGIN_FIXTURE, '--out', outDir], { stderr, chromium }), 1);
+  assert.match(stderr.text, /^Could not launch Chromium: browserType.launch: Executable doesn't exist\n/);
+  assert.match(stderr.text, /npx playwright install chromium/);
+  assert.equal(fs.existsSync(outDir), false);
+});
+
+test('fixtures are analyzed into the requested exports', async (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dom-analyzer-cli-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const stdout = createOutput();
+  const stderr = createOutput();
+  const chromium = createJsdomChromium();
+
+  assert.equal(await runCli(['analyze', LOGIN_FIXTURE, '--format', 'json,md,text', '--viewport-expansion', '-1', '--out', outDir], { stdout, stderr, chromium }), 0);
+  assert.equal(stderr.text, '');
+  assert.equal(chromium.launches[0].contextOptions.bypassCSP, true);
+  assert.deepEqual(fs.readdirSync(outDir).sort(), ['login.json', 'login.md', 'login.png', 'login.screenshot.json', 'login.txt']);
+
+  const result = JSON.parse(fs.readFileSync(path.join(outDir, 'login.json'), 'utf8'));
+  assert.equal(result.title, 'Login');
+  assert.match(stdout.text, new RegExp(`login.html: ${result.highlightedElements} interactive elements -> `));
+  assert.match(fs.readFileSync(path.join(outDir, 'login.md'), 'utf8'), /\| 3 \| emailInput \| input \| Email \|/);
+  assert.match(fs.readFileSync(path.join(outDir, 'login.txt'), 'utf8'), /^\[0\]<a id="home" href="\/">Home<\/a>/);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(outDir, 'login.screenshot.json'), 'utf8')).elements.length, result.highlightedElements);
+});
+
+test('a failing target does not stop the others', async (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dom-analyzer-cli-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const stderr = createOutput();
+
+  const code = await runCli(['analyze', 'missing.html', LOGIN_FIXTURE, '--no-screenshot', '--out', outDir], { stdout: createOutput(), stderr, chromium: createJsdomChromium() });
+
+  assert.equal(code, 1);
+  assert.equal(stderr.text, 'missing.html: No such file: missing.html\n');
+  assert.deepEqual(fs.readdirSync(outDir), ['login.json']);
+});
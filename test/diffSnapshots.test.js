@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { diffSnapshots } = require('../diffSnapshots');
+
+test('a redesigned login form is reported as added, removed and changed elements', () => {
+  const window = loadPage('login.html');
+  const { document } = window;
+  const analyze = () => window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+
+  const before = analyze();
+  document.querySelector('a[href="/help"]').remove();
+  document.querySelector('button[type="submit"]').textContent = 'Sign in';
+  document.getElementById('email').setAttribute('placeholder', 'name@example.com');
+  const forgot = document.createElement('button');
+  forgot.type = 'button';
+  forgot.textContent = 'Forgot password?';
+  document.getElementById('login').append(forgot);
+
+  const diff = diffSnapshots(before, analyze());
+  assert.deepEqual(diff.added.map(entry => entry.text), ['Forgot password?']);
+  assert.deepEqual(diff.removed.map(entry => entry.text), ['Help']);
+
+  const submit = diff.changed.find(change => change.baseline.tagName === 'button');
+  assert.equal(submit.matchedBy, 'attribute:data-testid');
+  assert.deepEqual(submit.text, { from: 'Log In', to: 'Sign in' });
+
+  const email = diff.changed.find(change => change.baseline.tagName === 'input');
+  assert.equal(email.matchedBy, 'attribute:id');
+  assert.deepEqual(email.attributes, [{ name: 'placeholder', from: 'you@example.com', to: 'name@example.com' }]);
+  assert.equal(diff.summary.locatorBroken, 0);
+});
+
+test('legacy exports are paired by similarity and broken XPaths are flagged', () => {
+  const baseline = {
+    pageInfo: { title: 'Cart', url: 'https://shop.example/cart' },
+    interactiveElements: [
+      { index: 0, tagName: 'button', attributes: { type: 'button', 'aria-label': 'Checkout', class: 'btn checkout' }, locators: { xpath: "//button[@class='btn checkout']", text: 'Checkout' } }
+    ]
+  };
+  const current = {
+    pageInfo: { title: 'Cart', url: 'https://shop.example/cart' },
+    interactiveElements: [
+      { index: 0, tagName: 'button', attributes: { type: 'button', 'aria-label': 'Checkout', class: 'btn checkout primary' }, locators: { xpath: "//button[@class='btn checkout primary']", text: 'Checkout' } }
+    ]
+  };
+
+  const diff = diffSnapshots(baseline, current);
+  assert.equal(diff.summary.added + diff.summary.removed, 0);
+  assert.equal(diff.changed[0].matchedBy, 'similarity');
+  assert.deepEqual(diff.locatorChanged.map(change => [change.from, change.broken]), [["//button[@class='btn checkout']", true]]);
+  assert.equal(diff.baselineInfo.title, 'Cart');
+
+  assert.equal(diffSnapshots(baseline, current, { minSimilarity: 1 }).summary.removed, 1);
+});
@@ -0,0 +1,377 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { exportElements } = require('../exportElements');
+const { diffSnapshots } = require('../diffSnapshots');
+
+function analyzeFixture(name) {
+  const window = loadPage(name);
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  return { window, result };
+}
+
+test('analyze finds the rendered interactive elements of the login form', () => {
+  const { result } = analyzeFixture('login.html');
+  const descriptions = result.interactiveElements.map(element => element.description);
+
+  assert.ok(descriptions.includes('input (email) placeholder="you@example.com"'));
+  assert.ok(descriptions.includes('button (submit) text="Log In"'));
+  assert.ok(!descriptions.some(description => description.includes('Hidden action')));
+  assert.ok(!descriptions.some(description => description.includes('/secret')));
+  assert.deepEqual(Array.from(result.interactiveElements, element => element.index), [...Array(result.highlightedElements).keys()]);
+});
+
+test('export is null before the first analysis', () => {
+  const window = loadPage('login.html');
+  assert.equal(window.DomAnalyzer.export(), null);
+  assert.equal(window.DomAnalyzer.locators().length, 0);
+  assert.equal(window.DomAnalyzer.describe(0), null);
+});
+
+test('export carries the analyzer descriptions and locators', () => {
+  const { window, result } = analyzeFixture('login.html');
+  const exported = window.DomAnalyzer.export();
+
+  assert.equal(exported.totalInteractiveElements, result.interactiveElements.length);
+  assert.equal(exported.pageInfo.title, 'Login');
+  assert.equal(exported.forms.length, 1);
+
+  for (const [position, element] of exported.interactiveElements.entries()) {
+    const analyzed = result.interactiveElements[position];
+    assert.equal(element.index, analyzed.index);
+    assert.equal(element.description, analyzed.description);
+    assert.equal(element.locators.xpath, analyzed.xpath);
+    assert.deepEqual(element.rankedLocators, analyzed.locators);
+  }
+});
+
+test('locators resolve to the analyzed element', () => {
+  const { window, result } = analyzeFixture('login.html');
+  const { document } = window;
+
+  for (const { index } of result.interactiveElements) {
+    const locators = window.DomAnalyzer.locators(index);
+    const matches = document.querySelectorAll(locators.cssPath);
+    const byXPath = document.evaluate(locators.xpath, document, null, window.XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+
+    assert.equal(matches.length, 1, `${locators.cssPath} is not unique`);
+    assert.equal(matches[0], byXPath, `${locators.cssPath} and ${locators.xpath} differ`);
+  }
+
+  const email = result.interactiveElements.find(element => element.attributes.id === 'email');
+  assert.equal(window.DomAnalyzer.locators(email.index).cssPath, '#email');
+  assert.equal(window.DomAnalyzer.locators(999), null);
+});
+
+test('CSS paths inside shadow roots are relative to the shadow root', () => {
+  const window = loadPage('<body><app-shell id="shell"></app-shell></body>');
+  const shadowRoot = window.document.getElementById('shell').attachShadow({ mode: 'open' });
+  shadowRoot.innerHTML = '<nav><button>Menu</button><button>Search</button></nav>';
+
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const search = result.interactiveElements.find(element => element.text === 'Search');
+  const { cssPath, scope } = window.DomAnalyzer.locators(search.index);
+
+  assert.equal(shadowRoot.querySelector(cssPath).textContent, 'Search');
+  assert.equal(scope.shadowHosts.length, 1);
+});
+
+test('scoped Playwright locators chain a locator per shadow host', () => {
+  const window = loadPage('<body><app-shell id="shell"></app-shell></body>');
+  const shadowRoot = window.document.getElementById('shell').attachShadow({ mode: 'open' });
+  shadowRoot.innerHTML = '<nav><button>Menu</button><search-box></search-box></nav>';
+  shadowRoot.querySelector('search-box').attachShadow({ mode: 'open' }).innerHTML = '<input aria-label="Query">';
+
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const query = result.interactiveElements.find(element => element.attributes['aria-label'] === 'Query');
+  const { scope } = window.DomAnalyzer.locators(query.index);
+
+  assert.deepEqual(Array.from(scope.chain, step => step.css), ['#shell', 'search-box']);
+  assert.equal(scope.locators.playwright, `page.locator('#shell').locator('search-box').locator('input[aria-label="Query"]')`);
+});
+
+test('piercing CSS selectors descend through each shadow host and find the element', () => {
+  const window = loadPage('<body><input aria-label="Query"><app-shell id="shell"></app-shell></body>');
+  const shadowRoot = window.document.getElementById('shell').attachShadow({ mode: 'open' });
+  shadowRoot.innerHTML = '<search-box></search-box>';
+  shadowRoot.querySelector('search-box').attachShadow({ mode: 'open' }).innerHTML = '<input aria-label="Query">';
+
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const query = result.interactiveElements.find(element => element.scope);
+  const { piercingCss } = window.DomAnalyzer.locators(query.index).scope.locators;
+  assert.equal(piercingCss, '#shell >>> search-box >>> input[aria-label="Query"]');
+
+  const evaluated = window.DomAnalyzer.evaluate(piercingCss, { doHighlightElements: false });
+  assert.equal(evaluated.unique, true);
+  assert.equal(evaluated.matches[0].inShadowRoot, true);
+  assert.equal(evaluated.matches[0].cssPath, 'input[aria-label="Query"]');
+});
+
+test('describe returns the analyzer description', () => {
+  const { window, result } = analyzeFixture('login.html');
+  const submit = result.interactiveElements.find(element => element.tagName === 'button');
+
+  assert.equal(window.DomAnalyzer.describe(submit.index), 'button (submit) text="Log In"');
+});
+
+test('exports feed the export formats and the snapshot diff', () => {
+  const { window } = analyzeFixture('login.html');
+  const exported = window.DomAnalyzer.export();
+
+  const csv = exportElements(exported, { format: 'csv' });
+  assert.equal(csv.content.trim().split('\r\n').length, exported.interactiveElements.length + 1);
+  assert.match(csv.content, /#email/);
+
+  const diff = diffSnapshots(exported, JSON.parse(JSON.stringify(exported)));
+  assert.equal(diff.summary.unchanged, exported.interactiveElements.length);
+  assert.equal(diff.summary.added + diff.summary.removed + diff.summary.changed, 0);
+});
+
+test('exports of analyzePage results take the CSS column from the locators', () => {
+  const { result } = analyzeFixture('login.html');
+  const markdown = exportElements(result, { format: 'markdown' }).content.split('\n');
+
+  assert.match(markdown[4], /\| css \|$/);
+  assert.ok(markdown.some(line => line.startsWith('| 3 | emailInput |') && line.endsWith('| `#email` |')));
+  assert.ok(markdown.some(line => line.includes('| `button[data-testid="login-submit"]` |')));
+});
+
+test('locator files reach shadow-root elements through their piercing CSS instead of their XPath', () => {
+  const window = loadPage('<body><button>Top</button><x-card></x-card></body>');
+  window.document.querySelector('x-card').attachShadow({ mode: 'open' }).innerHTML = '<button data-testid="buy">Buy now</button>';
+  const exported = JSON.parse(JSON.stringify(window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 })));
+
+  const properties = exportElements(exported, { format: 'properties' }).content;
+  assert.match(properties, /^topButton\.xpath=/m);
+  assert.match(properties, /^buyNowButton\.piercingCss=x-card >>> button\[data-testid="buy"\]$/m);
+  assert.doesNotMatch(properties, /^buyNowButton\.(xpath|css)=/m);
+
+  const robot = exportElements(exported, { format: 'robot' }).content;
+  assert.match(robot, /^\$\{TOP_BUTTON\} {4}xpath:/m);
+  assert.match(robot, /^# \$\{BUY_NOW_BUTTON\} is inside a shadow root or frame: x-card >>> button\[data-testid="buy"\]$/m);
+});
+
+test('CSV cells that spreadsheets would evaluate as formulas are prefixed with an apostrophe', () => {
+  const window = loadPage('<body><button>=HYPERLINK("https://evil.example","Open")</button><a href="/run">+cmd</a><button>-1</button></body>');
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const rows = exportElements(result, { format: 'csv' }).content.split('\r\n');
+
+  assert.ok(rows.some(row => row.includes(`,"'=HYPERLINK(""https://evil.example"",""Open"")",`)));
+  assert.ok(rows.some(row => row.includes(",'+cmd,")));
+  assert.ok(rows.some(row => row.includes(",'-1,")));
+  assert.ok(!rows.some(row => /(^|,)[=+@]/.test(row)));
+});
+
+test('focus shows only one overlay and -1 brings all of them back', () => {
+  const window = loadPage('login.html');
+  const result = window.DomAnalyzer.analyze({ viewportExpansion: -1 });
+  const labels = () => Array.from(window.document.querySelectorAll('.playwright-highlight-label'), label => label.textContent);
+  const submit = result.interactiveElements.find(element => element.tagName === 'button');
+
+  assert.equal(labels().length, result.highlightedElements);
+  assert.equal(window.DomAnalyzer.focus(submit.index), 1);
+  assert.deepEqual(labels(), [String(submit.index)]);
+
+  assert.equal(window.DomAnalyzer.focus(-1), result.highlightedElements);
+  assert.equal(labels().length, result.highlightedElements);
+  assert.equal(window._highlightCleanupFunctions.length, result.highlightedElements);
+});
+
+test('pickElement outlines the hovered element and inspects the clicked one', () => {
+  const window = loadPage('login.html');
+  const { document } = window;
+  const submit = document.querySelector('button[type="submit"]');
+  let submitted = false;
+  submit.addEventListener('click', () => { submitted = true; });
+
+  let picked;
+  const picker = window.pickElement({}, (result) => { picked = result; });
+  submit.dispatchEvent(new window.MouseEvent('mousemove', { bubbles: true, composed: true }));
+  assert.equal(document.getElementById('dom-tree-analyzer-picker').textContent, 'button');
+
+  submit.dispatchEvent(new window.MouseEvent('click', { bubbles: true, composed: true, cancelable: true }));
+  assert.equal(submitted, false);
+  assert.equal(picker.active, false);
+  assert.equal(document.getElementById('dom-tree-analyzer-picker'), null);
+
+  assert.equal(picked.description, 'button (submit) text="Log In"');
+  assert.equal(picked.a11y.name, 'Log In');
+  assert.equal(picked.cssPath, 'button[data-testid="login-submit"]');
+  assert.ok(picked.locators.length > 0);
+  assert.ok(picked.locators.every(locator => typeof locator.matchCount === 'number'));
+  assert.deepEqual(Array.from(picked.ancestors, ancestor => ancestor.tagName), ['form', 'main', 'body', 'html']);
+});
+
+test('Escape cancels the picker with null', () => {
+  const window = loadPage('login.html');
+  let picked;
+  window.pickElement({}, (result) => { picked = result; });
+  window.document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+  assert.equal(picked, null);
+  assert.equal(window._domAnalyzerPicker, undefined);
+});
+
+test('evaluate counts and outlines XPath, CSS and Playwright-style matches', () => {
+  const window = loadPage('login.html');
+  const labels = () => window.document.querySelectorAll('.playwright-highlight-label').length;
+
+  const xpath = window.DomAnalyzer.evaluate('//input');
+  assert.equal(xpath.strategy, 'xpath');
+  assert.equal(xpath.matchCount, window.document.querySelectorAll('input').length);
+  assert.equal(labels(), xpath.matches.filter(match => match.isVisible).length);
+
+  const role = window.DomAnalyzer.evaluate("page.getByRole('button', { name: 'Log In' })");
+  assert.equal(role.strategy, 'playwright');
+  assert.equal(role.unique, true);
+  assert.equal(role.matches[0].cssPath, 'button[data-testid="login-submit"]');
+  assert.equal(labels(), 1);
+
+  assert.equal(window.DomAnalyzer.evaluate('button[type=').error, 'Invalid CSS selector');
+  assert.equal(window.DomAnalyzer.evaluate('//button[').error, 'Invalid XPath');
+  assert.equal(window.DomAnalyzer.evaluate(''), null);
+  assert.equal(labels(), 0);
+});
+
+test('evaluate warns about matches inside shadow roots', () => {
+  const window = loadPage('<body><app-shell id="shell"></app-shell><button>Top</button></body>');
+  window.document.getElementById('shell').attachShadow({ mode: 'open' }).innerHTML = '<button>Menu</button>';
+
+  const css = window.DomAnalyzer.evaluate('button', { doHighlightElements: false });
+  assert.equal(css.matchCount, 2);
+  assert.deepEqual(Array.from(css.warnings), ['not-unique', 'in-shadow-root']);
+
+  const xpath = window.DomAnalyzer.evaluate('//button', { doHighlightElements: false });
+  assert.equal(xpath.matchCount, 1);
+  assert.ok(xpath.warnings.includes('shadow-dom'));
+  // Only XPaths that shadow DOM elements would have matched are flagged
+  assert.ok(!window.DomAnalyzer.evaluate('//app-shell', { doHighlightElements: false }).warnings.includes('shadow-dom'));
+});
+
+test('evaluate follows Playwright locator chains into shadow roots and frames', () => {
+  const window = loadPage('<body><app-shell id="shell"></app-shell><button>Top</button><iframe id="pay"></iframe></body>');
+  const shadowRoot = window.document.getElementById('shell').attachShadow({ mode: 'open' });
+  shadowRoot.innerHTML = '<nav><button data-testid="menu">Menu</button><search-box></search-box></nav>';
+  shadowRoot.querySelector('search-box').attachShadow({ mode: 'open' }).innerHTML = '<input aria-label="Query"><button>Go</button>';
+  window.document.getElementById('pay').contentDocument.body.innerHTML = '<button>Pay</button>';
+  const matches = (locator) => {
+    const result = window.DomAnalyzer.evaluate(locator, { doHighlightElements: false });
+    assert.equal(result.valid, true, result.error);
+    return Array.from(result.matches, match => match.text);
+  };
+
+  assert.deepEqual(matches("page.locator('#shell').locator('search-box').locator('button')"), ['Go']);
+  assert.deepEqual(matches("page.locator('xpath=//app-shell').getByRole('button')"), ['Menu', 'Go']);
+  assert.deepEqual(matches("locator('css=#shell').getByTestId('menu')"), ['Menu']);
+  assert.deepEqual(matches("page.getByRole('button', { name: 'Go' })"), ['Go']);
+  assert.deepEqual(matches("page.getByLabel('Query')"), ['']);
+  assert.deepEqual(matches('app-shell >>> search-box >>> button'), ['Go']);
+  assert.deepEqual(matches('xpath=//button'), ['Top', 'Pay']);
+
+  const framed = window.DomAnalyzer.evaluate("page.frameLocator('#pay').locator('button')", { doHighlightElements: false });
+  assert.equal(framed.matches[0].text, 'Pay');
+  assert.equal(framed.matches[0].inFrame, true);
+  assert.ok(!framed.warnings.includes('in-frame'));
+  assert.ok(window.DomAnalyzer.evaluate('#pay >>> button', { doHighlightElements: false }).unique);
+
+  const shadowed = window.DomAnalyzer.evaluate("page.getByRole('button', { name: 'Menu' })", { doHighlightElements: false });
+  assert.equal(shadowed.matches[0].inShadowRoot, true);
+  assert.ok(shadowed.warnings.includes('in-shadow-root'));
+
+  assert.match(window.DomAnalyzer.evaluate("page.frameLocator('#pay')").error, /followed by a locator/);
+  assert.match(window.DomAnalyzer.evaluate("page.locator('button').click()").error, /^Expected locator, frameLocator/);
+});
+
+test('elements nested in a parent the cap leaves out keep their own index', () => {
+  const window = loadPage(`<body>
+    <button data-testid="save">Save</button>
+    <div onclick="open()"><span style="cursor: pointer" data-qa="details">Details</span></div>
+    <a href="/help">Help</a>
+  </body>`);
+  const tags = (result) => Array.from(result.interactiveElements, element => element.tagName);
+
+  const all = window.DomAnalyzer.analyze({ doHighlightElements: true, viewportExpansion: -1 });
+  assert.deepEqual(tags(all), ['button', 'div', 'a']);
+
+  const capped = window.DomAnalyzer.analyze({ doHighlightElements: true, viewportExpansion: -1, maxElements: 2, prioritizeByImportance: true });
+  assert.deepEqual(tags(capped), ['button', 'span']);
+  assert.equal(capped.omittedElements, 2);
+});
+
+test('Playwright locators count matches inside open shadow roots', () => {
+  const window = loadPage('<body><pay-form id="pay"></pay-form><button>Cancel</button><div><span>Cancel</span></div></body>');
+  window.document.getElementById('pay').attachShadow({ mode: 'open' }).innerHTML = '<label>Card number <input></label><button>Pay now</button>';
+
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const locator = (tagName, strategy) => result.interactiveElements
+    .find(element => element.tagName === tagName)
+    .locators.find(candidate => candidate.strategy === strategy);
+
+  const cardNumber = locator('input', 'getByRole');
+  assert.equal(cardNumber.locator, "getByRole('textbox', { name: 'Card number' })");
+  assert.equal(cardNumber.matchCount, 1);
+  assert.ok(!cardNumber.warnings.includes('no-match'));
+  assert.equal(locator('button', 'getByText').locator, "getByText('Pay now')");
+  assert.equal(locator('button', 'getByText').matchCount, 1);
+
+  const cancel = result.interactiveElements.find(element => element.text === 'Cancel');
+  assert.equal(cancel.locators.find(candidate => candidate.strategy === 'getByText').matchCount, 2);
+});
+
+test('accessible names follow the name source order', () => {
+  const window = loadPage(`<body>
+    <span id="first">Billing</span><span id="second">address</span>
+    <input id="labelled-by" aria-labelledby="first second" aria-label="Ignored">
+    <input id="aria-label" aria-label="Search term" title="Ignored">
+    <label for="label-for">Email</label><input id="label-for" title="Ignored" placeholder="Ignored">
+    <label>Remember me <input id="wrapped" type="checkbox"></label>
+    <button id="content" title="Ignored">Save</button>
+    <input id="submit" type="submit">
+    <a id="link" href="/help"><img alt="Help icon" src="/help.png"></a>
+    <div id="titled" role="button" title="Settings"></div>
+    <input id="title" title="Zip code" placeholder="Ignored">
+    <input id="placeholder" placeholder="Coupon">
+    <select id="country" aria-label="Country"><option>NL</option></select>
+  </body>`);
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const a11y = (id) => {
+    const { role, name } = result.interactiveElements.find(element => element.attributes.id === id).a11y;
+    return [role, name];
+  };
+
+  assert.deepEqual(a11y('labelled-by'), ['textbox', 'Billing address']);
+  assert.deepEqual(a11y('aria-label'), ['textbox', 'Search term']);
+  assert.deepEqual(a11y('label-for'), ['textbox', 'Email']);
+  assert.deepEqual(a11y('wrapped'), ['checkbox', 'Remember me']);
+  assert.deepEqual(a11y('content'), ['button', 'Save']);
+  assert.deepEqual(a11y('submit'), ['button', 'Submit']);
+  assert.deepEqual(a11y('link'), ['link', 'Help icon']);
+  assert.deepEqual(a11y('titled'), ['button', 'Settings']);
+  assert.deepEqual(a11y('title'), ['textbox', 'Zip code']);
+  assert.deepEqual(a11y('placeholder'), ['textbox', 'Coupon']);
+  assert.deepEqual(a11y('country'), ['combobox', 'Country']);
+});
+
+test('hidden content is left out of names and the accessibility tree unless aria-labelledby points at it', () => {
+  const window = loadPage(`<body>
+    <nav aria-label="Main"><a href="/">Home</a></nav>
+    <img alt="Logo" src="/logo.png"><img alt="" src="/spacer.png">
+    <button id="save">Save <span hidden>draft</span><span aria-hidden="true">✓</span></button>
+    <span id="close-label" hidden>Close dialog</span><button id="close" aria-labelledby="close-label">X</button>
+    <div aria-hidden="true"><button>Ghost</button></div>
+  </body>`);
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const name = (id) => result.interactiveElements.find(element => element.attributes.id === id).a11y.name;
+
+  assert.equal(name('save'), 'Save');
+  assert.equal(name('close'), 'Close dialog');
+
+  const roles = [];
+  const walk = (node) => {
+    roles.push(`${node.role}:${node.name}`);
+    node.children.forEach(walk);
+  };
+  result.a11yTree.children.forEach(walk);
+  assert.deepEqual(roles, ['navigation:Main', 'link:Home', 'img:Logo', 'button:Save', 'button:Close dialog']);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+const SIGNUP = `<body>
+  <form id="signup" aria-label="Sign up">
+    <label for="user">Username</label><input id="user" name="username" minlength="6" required>
+    <label for="bio">Bio</label><textarea id="bio" name="bio" maxlength="20"></textarea>
+    <label for="age">Age</label><input id="age" name="age" type="number" min="18" max="99">
+    <label for="mail">Email</label><input id="mail" name="email" type="email" required>
+    <select id="plan" name="plan" required><option value="">Choose</option><option value="free">Free</option><option value="pro">Pro</option></select>
+    <label><input type="checkbox" name="terms" required> I agree</label>
+    <button type="submit">Sign up</button>
+  </form>
+</body>`;
+
+function fillSignup(options) {
+  const window = loadPage(SIGNUP);
+  window.analyzePage({ doHighlightElements: false, viewportExpansion: -1 });
+  const report = window.fillForms(options);
+  const fields = Object.fromEntries(report.forms.flatMap(form => form.fields).map(field => [field.name, field]));
+  return { window, report, fields };
+}
+
+test('valid data passes constraint validation and is reproducible', () => {
+  const { window, report, fields } = fillSignup({ strategy: 'valid', seed: 7 });
+
+  assert.equal(report.success, true);
+  assert.deepEqual({ ...report.summary }, { filled: 6, skipped: 0, failed: 0 });
+  assert.ok(Object.values(fields).every(field => field.valid === true));
+  assert.ok(fields.username.value.length >= 6);
+  assert.equal(window.document.getElementById('user').value, fields.username.value);
+
+  assert.equal(fillSignup({ strategy: 'valid', seed: 7 }).fields.email.value, fields.email.value);
+});
+
+test('boundary data sits on the declared limits', () => {
+  const { fields } = fillSignup({ strategy: 'boundary', seed: 7 });
+
+  assert.equal(fields.username.value.length, 6);
+  assert.equal(fields.username.rule, 'min-length');
+  assert.equal(fields.bio.value.length, 20);
+  assert.ok(['18', '99'].includes(fields.age.value));
+});
+
+test('invalid data breaks one constraint per field, including its length', () => {
+  const { fields } = fillSignup({ strategy: 'invalid', seed: 7 });
+
+  assert.deepEqual(
+    Object.values(fields).map(field => [field.name, field.rule, field.valid]),
+    [
+      ['username', 'too-short', false],
+      ['bio', 'too-long', false],
+      ['age', 'range-overflow', false],
+      ['email', 'type-mismatch', false],
+      ['plan', 'value-missing', false],
+      ['terms', 'value-missing', false]
+    ]
+  );
+  assert.match(fields.username.validationMessage, /at least|lengthen/);
+});
+
+test('unknown strategies are reported instead of thrown', () => {
+  const { report } = fillSignup({ strategy: 'random' });
+
+  assert.equal(report.success, false);
+  assert.equal(report.error.code, 'unsupported-strategy');
+  assert.equal(report.forms.length, 0);
+  assert.deepEqual({ ...report.summary }, { filled: 0, skipped: 0, failed: 0 });
+});
+
+const CHECKOUT = `<body>
+  <form id="checkout" action="/orders" method="POST" aria-label="Checkout">
+    <label for="name">Full name</label><input id="name" name="name" autocomplete="name" required>
+    <input id="zip" name="zip" placeholder="Postal code" pattern="[0-9]{5}">
+    <label for="coupon">Coupon</label><input id="coupon" name="coupon" disabled>
+    <label for="ref">Reference</label><input id="ref" name="ref" value="ORD-1" readonly>
+    <input type="hidden" name="token" value="abc">
+    <input name="secret" style="display: none">
+    <fieldset><legend>Delivery</legend>
+      <label><input type="radio" name="delivery" value="standard" checked> Standard</label>
+      <label><input type="radio" name="delivery" value="express"> Express</label>
+    </fieldset>
+    <label for="qty">Quantity</label><input id="qty" name="qty" type="number" min="1" max="5">
+    <label for="note">Note</label><textarea id="note" name="note" maxlength="30"></textarea>
+    <button type="button">Cancel</button>
+    <button type="submit">Place order</button>
+  </form>
+  <div role="search"><input aria-label="Search" name="q"><button>Go</button></div>
+</body>`;
+
+function analyzeCheckout() {
+  const window = loadPage(CHECKOUT);
+  const result = window.analyzePage({ doHighlightElements: false, viewportExpansion: -1 });
+  return { window, forms: result.forms };
+}
+
+test('form models group the visible controls with their labels, constraints and submit button', () => {
+  const { forms } = analyzeCheckout();
+  const [checkout, search] = forms;
+
+  assert.deepEqual([checkout.kind, checkout.name, checkout.action, checkout.method], ['form', 'Checkout', '/orders', 'post']);
+  // The hidden token and the display: none input are not fields
+  assert.deepEqual(
+    Array.from(checkout.fields, field => [field.name, field.type, field.purpose, field.label, field.labelSource]),
+    [
+      ['name', 'text', 'full-name', 'Full name', 'for'],
+      ['zip', 'text', 'postal-code', 'Postal code', 'placeholder'],
+      ['coupon', 'text', 'text', 'Coupon', 'for'],
+      ['ref', 'text', 'text', 'Reference', 'for'],
+      ['delivery', 'radio', 'radio', 'Delivery', 'group'],
+      ['qty', 'number', 'number', 'Quantity', 'for'],
+      ['note', 'textarea', 'text', 'Note', 'for']
+    ]
+  );
+
+  const field = (name) => checkout.fields.find(candidate => candidate.name === name);
+  assert.equal(field('name').required, true);
+  assert.deepEqual({ ...field('name').constraints }, { autocomplete: 'name' });
+  assert.deepEqual({ ...field('qty').constraints }, { min: '1', max: '5' });
+  assert.deepEqual({ ...field('note').constraints }, { maxLength: 30 });
+  assert.deepEqual([field('coupon').disabled, field('ref').readonly, field('ref').value], [true, true, 'ORD-1']);
+  assert.equal(field('delivery').value, 'standard');
+  assert.deepEqual(Array.from(field('delivery').options, option => [option.label, option.checked]), [['Standard', true], ['Express', false]]);
+
+  assert.equal(checkout.submit.text, 'Place order');
+  assert.deepEqual(Array.from(checkout.buttons, button => button.text), ['Cancel', 'Place order']);
+
+  // Controls outside a <form> are grouped by their landmark
+  assert.deepEqual([search.kind, search.xpath, search.fields[0].purpose, search.submit.text], ['implicit', "//div[@role='search']", 'search', 'Go']);
+});
+
+test('a fixed seed fills the same values, skips disabled and readonly fields and leaves hidden ones alone', () => {
+  const { window } = analyzeCheckout();
+  const report = window.fillForms({ strategy: 'valid', seed: 42 });
+  const fields = Array.from(report.forms[0].fields, field => [field.name, field.status, field.reason, field.value, field.valid]);
+
+  assert.deepEqual(fields, [
+    ['name', 'filled', null, 'Bruno Costa', true],
+    ['zip', 'filled', null, '48440', true],
+    ['coupon', 'skipped', 'disabled', null, null],
+    ['ref', 'skipped', 'readonly', null, null],
+    ['delivery', 'filled', null, 'express', true],
+    ['qty', 'filled', null, '4', true],
+    ['note', 'filled', null, 'Foxtrot foxtrot echo juliet br', true]
+  ]);
+  // The postal code was generated for its pattern
+  assert.equal(report.forms[0].fields[1].rule, 'pattern');
+  assert.deepEqual({ ...report.summary }, { filled: 6, skipped: 2, failed: 0 });
+
+  const { document } = window;
+  assert.equal(document.getElementById('name').value, 'Bruno Costa');
+  assert.equal(document.querySelector('input[value="express"]').checked, true);
+  assert.equal(document.getElementById('coupon').value, '');
+  assert.equal(document.getElementById('ref').value, 'ORD-1');
+  assert.equal(document.querySelector('input[name="token"]').value, 'abc');
+
+  const again = analyzeCheckout().window.fillForms({ strategy: 'valid', seed: 42 });
+  assert.deepEqual(Array.from(again.forms[0].fields, field => field.value), fields.map(([, , , value]) => value));
+});
+
+test('fields that disappear or are hidden after the analysis fail with the reason', () => {
+  const { window } = analyzeCheckout();
+  window.document.getElementById('note').remove();
+  window.document.getElementById('qty').hidden = true;
+
+  const report = window.fillForms({ strategy: 'valid', seed: 42, formIds: ['form-0'] });
+  const field = (name) => report.forms[0].fields.find(candidate => candidate.name === name);
+
+  assert.equal(report.forms.length, 1);
+  assert.deepEqual([field('note').status, field('note').reason, field('note').valid], ['failed', 'stale', null]);
+  assert.deepEqual([field('qty').status, field('qty').reason], ['failed', 'not-visible']);
+  assert.deepEqual({ ...report.summary }, { filled: 3, skipped: 2, failed: 2 });
+});
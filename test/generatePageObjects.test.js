@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { generatePageObjects } = require('../generatePageObjects');
+
+test('page objects for an analyzed page prefer unique getBy* locators', () => {
+  const window = loadPage('login.html');
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const pageObject = generatePageObjects(result);
+
+  assert.equal(pageObject.className, 'LoginPage');
+  assert.equal(pageObject.fileName, 'LoginPage.ts');
+  assert.match(pageObject.code, /readonly emailInput: Locator;/);
+  assert.match(pageObject.code, /this\.logInButton = page\.getByTestId\('login-submit'\);/);
+  assert.match(pageObject.code, /this\.emailInput = page\.locator\('xpath=\/\/input\[@id=\\'email\\'\]'\);/);
+  assert.match(pageObject.code, /async fillEmailInput\(value: string\): Promise<void>/);
+  assert.match(pageObject.code, /async setRememberCheckbox\(checked: boolean = true\)/);
+
+  // Labels pointing at a captured control only name that control
+  assert.doesNotMatch(pageObject.code, /emailElement/);
+});
+
+test('exported entries are named after labels and kept unique', () => {
+  const exported = {
+    pageInfo: { title: 'Checkout', url: 'https://shop.example/checkout' },
+    interactiveElements: [
+      { index: 0, tagName: 'label', attributes: { for: 'card' }, locators: { xpath: '//label[1]', text: 'Card number' } },
+      { index: 1, tagName: 'input', attributes: { id: 'card', type: 'text' }, locators: { xpath: "//input[@id='card']" } },
+      { index: 2, tagName: 'button', attributes: {}, locators: { xpath: '//button[1]', text: 'Pay' } },
+      { index: 3, tagName: 'button', attributes: {}, locators: { xpath: '//button[2]', text: 'Pay' } },
+      { index: 4, tagName: 'select', attributes: { name: 'country' }, locators: { xpath: "//select[@name='country']" } }
+    ]
+  };
+
+  const python = generatePageObjects(exported, { language: 'selenium-python' });
+  assert.equal(python.fileName, 'checkout_page.py');
+  assert.equal(python.elementCount, 4);
+  assert.match(python.code, /CARD_NUMBER_INPUT = \(By\.XPATH, "\/\/input\[@id='card'\]"\)/);
+  assert.match(python.code, /def click_pay_button2\(self\) -> None:/);
+  assert.match(python.code, /from selenium\.webdriver\.support\.ui import Select/);
+  assert.match(python.code, /self\.driver\.get\("https:\/\/shop\.example\/checkout"\)/);
+
+  const java = generatePageObjects(exported, { language: 'selenium-java', className: 'PaymentPage', includeLabels: true });
+  assert.equal(java.fileName, 'PaymentPage.java');
+  assert.equal(java.elementCount, 5);
+  assert.match(java.code, /public void selectCountrySelect\(String visibleText\)/);
+});
+
+test('unsupported languages are rejected', () => {
+  assert.throws(() => generatePageObjects({ interactiveElements: [] }, { language: 'cypress' }), /Unsupported page object language: cypress/);
+  assert.equal(generatePageObjects(null, { language: 'playwright-js' }).elementCount, 0);
+});
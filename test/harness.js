@@ -0,0 +1,113 @@
+/**
+ * Test harness
+ * Loads HTML (a string or a file from test/fixtures) into jsdom, fakes the layout jsdom does not
+ * compute and evaluates the analyzer scripts in the page
+ *
+ * Usage examples:
+ * - const window = loadPage('login.html'); window.DomAnalyzer.analyze({ doHighlightElements: false })
+ * - const window = loadPage('<button>Go</button>', { scripts: ['analyzePage.js', 'elementNaming.js', 'exportElements.js'] })
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function loadPage(source, options = {}) {
+  // Default settings
+  const defaultOptions = {
+    scripts: ['analyzePage.js'],
+    url: 'https://example.test/page',
+    viewport: { width: 1280, height: 800 },
+    rowHeight: 24
+  };
+
+  const settings = { ...defaultOptions, ...options };
+
+  const html = /^\s*</.test(source) ? source : fs.readFileSync(path.join(FIXTURES_DIR, source), 'utf8');
+  const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true, url: settings.url });
+  const { window } = dom;
+
+  emulateLayout(window, settings);
+
+  for (const script of settings.scripts) {
+    window.eval(fs.readFileSync(path.join(ROOT_DIR, script), 'utf8'));
+  }
+  return window;
+}
+
+/**
+ * Gives every rendered element its own row, in document order and in the order it is first
+ * measured; elements hidden by [hidden] or display: none have no size
+ */
+function emulateLayout(window, { viewport, rowHeight }) {
+  const rects = new WeakMap();
+  const emptyRect = { x: 0, y: 0, left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  let rows = 0;
+
+  const isRendered = (element) => {
+    for (let current = element; current; current = current.parentElement || current.getRootNode().host) {
+      if (current.hasAttribute('hidden') || current.style.display === 'none') return false;
+    }
+    return true;
+  };
+
+  const getRect = (element) => {
+    if (!isRendered(element)) return emptyRect;
+    if (!rects.has(element)) {
+      const top = rows++ * rowHeight;
+      rects.set(element, { x: 8, y: top, left: 8, top, right: 208, bottom: top + rowHeight - 4, width: 200, height: rowHeight - 4 });
+    }
+    return rects.get(element);
+  };
+
+  window.innerWidth = viewport.width;
+  window.innerHeight = viewport.height;
+
+  window.Element.prototype.getBoundingClientRect = function () { return getRect(this); };
+  window.Element.prototype.getClientRects = function () {
+    const rect = getRect(this);
+    return rect.width > 0 ? [rect] : [];
+  };
+  window.Element.prototype.checkVisibility = function () { return isRendered(this); };
+  window.Element.prototype.scrollIntoView = function () {};
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetWidth', { get() { return getRect(this).width; } });
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', { get() { return getRect(this).height; } });
+
+  // Text nodes are measured through ranges
+  const textRect = { x: 8, y: 0, left: 8, top: 0, right: 58, bottom: 16, width: 50, height: 16 };
+  window.Range.prototype.getBoundingClientRect = function () { return textRect; };
+  window.Range.prototype.getClientRects = function () { return [textRect]; };
+
+  // The last (innermost) rendered element whose row contains the point
+  window.document.elementFromPoint = function (x, y) {
+    let hit = null;
+    for (const element of window.document.body.querySelectorAll('*')) {
+      const rect = getRect(element);
+      if (rect.width > 0 && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) hit = element;
+    }
+    return hit;
+  };
+
+  // CSS.escape() is missing from jsdom; this follows the CSSOM "serialize an identifier" steps
+  if (!window.CSS) {
+    window.CSS = {
+      escape: (value) => String(value).replace(/[\0-\x1f\x7f]|^-?\d|^-$|[^\w\u0080-\uffff-]/g, (char, offset, string) => {
+        if (char === '\0') return '\ufffd';
+        if (/[\x01-\x1f\x7f]/.test(char) || /\d/.test(char[char.length - 1]) && (offset === 0 || string[0] === '-')) {
+          const digit = char[char.length - 1];
+          return `${char.length > 1 ? '-' : ''}\\${digit.charCodeAt(0).toString(16)} `;
+        }
+        return `\\${char}`;
+      })
+    };
+  }
+
+  // Pseudo-element styles are not computed by jsdom
+  const getComputedStyle = window.getComputedStyle.bind(window);
+  window.getComputedStyle = (element, pseudoElement) => (pseudoElement ? { content: 'none' } : getComputedStyle(element));
+}
+
+module.exports = { loadPage };
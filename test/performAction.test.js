@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+const SETTINGS = `<body>
+  <input id="nickname" name="nickname">
+  <select id="plan"><option value="free">Free</option><option value="pro">Pro plan</option></select>
+  <label><input id="newsletter" type="checkbox"> Newsletter</label>
+  <div id="dark" role="switch" aria-checked="false" tabindex="0" onclick="toggle(this)">Dark mode</div>
+  <button id="save" aria-disabled="true">Save</button>
+  <a href="/help" id="help">Help</a>
+</body>`;
+
+function analyzeSettings() {
+  const window = loadPage(SETTINGS);
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const indexOf = (id) => result.interactiveElements.find(element => element.attributes.id === id).index;
+  return { window, indexOf };
+}
+
+test('typing dispatches key and input events for every character', () => {
+  const { window, indexOf } = analyzeSettings();
+  const nickname = window.document.getElementById('nickname');
+  const events = [];
+  for (const eventType of ['keydown', 'input', 'change', 'click']) {
+    nickname.addEventListener(eventType, () => events.push(eventType));
+  }
+  nickname.value = 'old';
+
+  const result = window.performAction({ index: indexOf('nickname'), action: 'type', value: 'ab' });
+  assert.equal(result.success, true);
+  assert.equal(result.tagName, 'input');
+  assert.deepEqual({ ...result.state }, { value: 'ab' });
+  assert.deepEqual(events, ['click', 'input', 'keydown', 'input', 'keydown', 'input', 'change']);
+  assert.equal(window.document.activeElement, nickname);
+});
+
+test('options are selected by value or label and checkboxes set to a state', () => {
+  const { window, indexOf } = analyzeSettings();
+
+  const byLabel = window.performAction({ index: indexOf('plan'), action: 'select', value: 'Pro plan' });
+  assert.equal(byLabel.state.value, 'pro');
+
+  const checked = window.performAction({ index: indexOf('newsletter'), action: 'check' });
+  assert.equal(checked.state.checked, true);
+  // Already checked elements are left alone
+  assert.equal(window.performAction({ index: indexOf('newsletter'), action: 'check', value: true }).state.checked, true);
+  assert.equal(window.performAction({ index: indexOf('newsletter'), action: 'check', value: 'false' }).state.checked, false);
+
+  // ARIA switches only change through the page's own handler
+  const dark = window.document.getElementById('dark');
+  assert.equal(window.performAction({ index: indexOf('dark'), action: 'check' }).error.code, 'action-failed');
+  dark.addEventListener('click', () => dark.setAttribute('aria-checked', String(dark.getAttribute('aria-checked') !== 'true')));
+  assert.equal(window.performAction({ index: indexOf('dark'), action: 'check' }).success, true);
+  assert.equal(dark.getAttribute('aria-checked'), 'true');
+});
+
+test('failures come back as error codes', () => {
+  const { window, indexOf } = analyzeSettings();
+  const code = (request) => window.performAction(request).error.code;
+
+  assert.equal(code({ index: indexOf('save'), action: 'click' }), 'disabled');
+  assert.equal(code({ index: indexOf('help'), action: 'type', value: 'x' }), 'unsupported-element');
+  assert.equal(code({ index: indexOf('plan'), action: 'select', value: 'enterprise' }), 'invalid-value');
+  assert.equal(code({ index: indexOf('help'), action: 'drag' }), 'unsupported-action');
+  assert.equal(code({ index: 99, action: 'click' }), 'not-found');
+
+  window.document.getElementById('help').remove();
+  const stale = window.performAction({ index: indexOf('help'), action: 'click' });
+  assert.equal(stale.success, false);
+  assert.equal(stale.error.code, 'stale');
+  assert.equal(stale.tagName, 'a');
+});
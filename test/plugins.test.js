@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+const TOOLBAR = `<body>
+  <div class="toolbar">
+    <x-button>Save</x-button>
+    <span data-action="archive">Archive</span>
+    <div class="css-1x2y3z" data-qa="publish" onclick="publish()">Publish</div>
+    <button class="css-9a8b7c" data-qa="discard">Discard</button>
+    <button class="ads-banner">Ad</button>
+  </div>
+</body>`;
+
+function analyze(window, settings = {}) {
+  return window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1, ...settings });
+}
+
+function findByText(result, text) {
+  return result.interactiveElements.find(element => element.text === text);
+}
+
+test('interactive and ignore selectors decide interactivity', () => {
+  const window = loadPage(TOOLBAR);
+  const before = analyze(window);
+  assert.equal(findByText(before, 'Save'), undefined);
+  assert.equal(findByText(before, 'Archive'), undefined);
+
+  const result = analyze(window, {
+    plugins: [{ name: 'design-system', interactiveSelectors: ['x-button', '[data-action]'], ignoreSelectors: ['.ads-banner'] }]
+  });
+  assert.equal(findByText(result, 'Save').tagName, 'x-button');
+  assert.equal(findByText(result, 'Archive').tagName, 'span');
+  assert.equal(findByText(result, 'Ad'), undefined);
+});
+
+test('isInteractive predicates and registered plugins apply to later runs', () => {
+  const window = loadPage(TOOLBAR);
+  window.DomAnalyzer.registerPlugin({
+    name: 'archive',
+    isInteractive: (element) => (element.dataset.action === 'archive' ? true : undefined)
+  });
+
+  assert.ok(findByText(analyze(window), 'Archive'));
+  assert.equal(window.DomAnalyzer.unregisterPlugin('archive'), true);
+  assert.equal(findByText(analyze(window), 'Archive'), undefined);
+  assert.equal(window.DomAnalyzer.unregisterPlugin('archive'), false);
+});
+
+test('house test id attributes come first and denied classes are left out', () => {
+  const window = loadPage(TOOLBAR);
+  const result = analyze(window, {
+    plugins: [{ name: 'qa', testIdAttributes: ['data-qa'], classDenylist: ['css-*'] }]
+  });
+
+  const publish = findByText(result, 'Publish');
+  const discard = findByText(result, 'Discard');
+  assert.equal(publish.xpath, "//div[@data-qa='publish']");
+  assert.equal(window.DomAnalyzer.locators(discard.index).cssPath, 'button[data-qa="discard"]');
+
+  for (const element of [publish, discard]) {
+    assert.ok(!element.locators.some(locator => locator.locator.includes('css-')), `${element.text} uses a denied class`);
+  }
+});
+
+test('locator generators add ranked locators', () => {
+  const window = loadPage(TOOLBAR);
+  const result = analyze(window, {
+    plugins: [{
+      name: 'qa-css',
+      locatorGenerators: [(element) => (element.dataset.qa ? { strategy: 'css', locator: `[data-qa="${element.dataset.qa}"]`, stability: 100 } : null)]
+    }]
+  });
+
+  const locator = findByText(result, 'Discard').locators.find(candidate => candidate.plugin === 'qa-css');
+  assert.equal(locator.strategy, 'css');
+  assert.equal(locator.locator, '[data-qa="discard"]');
+  assert.equal(locator.matchCount, 1);
+  assert.equal(locator.unique, true);
+});
+
+test('invalid plugin selectors are reported', () => {
+  const window = loadPage(TOOLBAR);
+  assert.throws(
+    () => analyze(window, { plugins: [{ name: 'broken', interactiveSelectors: ['x-button['] }] }),
+    /Invalid selector in plugin "broken": x-button\[/
+  );
+});
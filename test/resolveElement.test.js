@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+function saveSubmitButton(window) {
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  // Saved entries usually come back from a JSON file
+  return JSON.parse(JSON.stringify(result.interactiveElements.find(element => element.tagName === 'button')));
+}
+
+test('a renamed test id is repaired from the remaining signals', () => {
+  const window = loadPage('login.html');
+  const saved = saveSubmitButton(window);
+  const submit = window.document.querySelector('button[type="submit"]');
+  submit.setAttribute('data-testid', 'signin-submit');
+
+  const resolved = window.resolveElement(saved);
+  assert.equal(resolved.success, true);
+  assert.equal(resolved.found, true);
+  assert.equal(resolved.element, submit);
+  assert.equal(resolved.repaired, true);
+  assert.equal(resolved.xpath, "//button[@data-testid='signin-submit']");
+  assert.equal(resolved.error, null);
+});
+
+test('a saved locator that still matches is not reported as repaired', () => {
+  const window = loadPage('login.html');
+  const saved = saveSubmitButton(window);
+  const submit = window.document.querySelector('button[type="submit"]');
+  const wrapper = window.document.createElement('div');
+  submit.replaceWith(wrapper);
+  wrapper.append(submit);
+
+  const resolved = window.resolveElement(saved);
+  assert.equal(resolved.element, submit);
+  assert.equal(resolved.repaired, false);
+  assert.ok(resolved.scores.context < 1);
+});
+
+test('entries without a close enough match come back with alternatives', () => {
+  const window = loadPage('login.html');
+  const resolved = window.resolveElement({ tagName: 'video', attributes: { src: '/intro.mp4' } });
+
+  assert.equal(resolved.success, true);
+  assert.equal(resolved.found, false);
+  assert.equal(resolved.element, null);
+  assert.ok(resolved.confidence < 0.5);
+  assert.ok(resolved.alternatives.length > 0);
+});
+
+test('missing entries are reported instead of thrown', () => {
+  const window = loadPage('login.html');
+
+  for (const entry of [null, undefined, 'button', []]) {
+    const resolved = window.resolveElement(entry);
+    assert.equal(resolved.success, false);
+    assert.equal(resolved.found, false);
+    assert.equal(resolved.error.code, 'invalid-entry');
+  }
+});
+
+test('shadow-root entries resolve inside their shadow root, not to a light-DOM element with the same tag', () => {
+  const window = loadPage('<body><button>Top</button><x-card></x-card></body>');
+  const shadowRoot = window.document.querySelector('x-card').attachShadow({ mode: 'open' });
+  shadowRoot.innerHTML = '<button data-testid="buy">Buy now</button>';
+  const result = window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 });
+  const saved = JSON.parse(JSON.stringify(result.interactiveElements.find(element => element.text === 'Buy now')));
+
+  const resolved = window.resolveElement(saved);
+  assert.equal(resolved.found, true);
+  assert.equal(resolved.element, shadowRoot.querySelector('button'));
+  assert.equal(resolved.repaired, false);
+  assert.equal(resolved.confidence, 1);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { serializePage } = require('../analyzePage');
+
+// serializePage() also runs in Node on a saved result
+function savedLoginResult() {
+  const window = loadPage('login.html');
+  return JSON.parse(JSON.stringify(window.DomAnalyzer.analyze({ doHighlightElements: false, viewportExpansion: -1 })));
+}
+
+test('interactive elements become indexed lines between context text', () => {
+  const lines = serializePage(savedLoginResult()).split('\n');
+
+  assert.equal(lines[0], '[0]<a id="home" href="/">Home</a>');
+  assert.equal(lines[2], 'Welcome back');
+  assert.ok(lines.includes('[3]<input id="email" name="email" type="email" placeholder="you@example.com"></input>'));
+  // The checkbox is nested in its label
+  assert.ok(lines.includes('  [7]<input name="remember" type="checkbox"></input>'));
+  assert.equal(lines.at(-1), '[8]<button type="submit" data-testid="login-submit">Log In</button>');
+});
+
+test('attribute list and context lines are configurable', () => {
+  const text = serializePage(savedLoginResult(), { includeContext: false, attributes: ['id'] });
+
+  assert.ok(!text.includes('Welcome back'));
+  assert.ok(text.includes('[3]<input id="email"></input>'));
+  assert.ok(text.includes('[8]<button>Log In</button>'));
+});
+
+test('outlines over the token budget report what they left out', () => {
+  const result = savedLoginResult();
+
+  const tail = serializePage(result, { maxTokens: 60, truncation: 'tail' }).split('\n');
+  assert.equal(tail[0], '[0]<a id="home" href="/">Home</a>');
+  assert.match(tail.at(-1), /^\.\.\. 6 interactive elements and 0 text lines omitted to fit 60 tokens$/);
+
+  const priority = serializePage(result, { maxTokens: 40 }).split('\n');
+  assert.equal(priority.length, 2);
+  assert.match(priority[0], /data-testid="login-submit"/);
+});
+
+test('the text format returns the outline from analyzePage', () => {
+  const window = loadPage('login.html');
+  const text = window.analyzePage({ doHighlightElements: false, viewportExpansion: -1, format: 'text' });
+
+  assert.equal(typeof text, 'string');
+  assert.equal(text, serializePage(savedLoginResult()));
+  assert.equal(serializePage({ map: {} }), '');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+const { stitchFrames } = require('../stitchFrames');
+
+const CHECKOUT = `<body>
+  <button>Back</button>
+  <iframe id="payment" src="https://widgets.example/pay"></iframe>
+  <button>Help</button>
+</body>`;
+const PAYMENT = '<body><input aria-label="Card number"><button>Pay</button></body>';
+
+// Each frame is analyzed on its own, like the sidepanel's allFrames injection
+function analyzeFrames() {
+  const settings = { viewportExpansion: -1 };
+  const top = loadPage(CHECKOUT);
+  const frame = loadPage(PAYMENT, { url: 'https://widgets.example/pay' });
+  return {
+    top,
+    frame,
+    topResult: top.DomAnalyzer.analyze(settings),
+    frameResult: frame.DomAnalyzer.analyze(settings)
+  };
+}
+
+test('cross-origin frames are attached below their iframe with continued indexes', () => {
+  const { topResult, frameResult } = analyzeFrames();
+  const stitched = stitchFrames(topResult, [{ frameId: 0, result: topResult }, { frameId: 7, result: frameResult }]);
+
+  assert.equal(stitched.coverage.complete, true);
+  assert.deepEqual(stitched.coverage.frames, { total: 1, analyzed: 1, unreachable: 0 });
+  assert.deepEqual(stitched.frames.map(frame => [frame.frameId, frame.parentFrameId, frame.indexOffset]), [[0, null, 0], [7, 0, 2]]);
+
+  assert.deepEqual(stitched.interactiveElements.map(element => element.index), [0, 1, 2, 3]);
+  const pay = stitched.interactiveElements.find(element => element.text === 'Pay');
+  assert.equal(pay.frameId, 7);
+  assert.equal(pay.frameIndex, 1);
+  assert.equal(pay.frameUrl, 'https://widgets.example/pay');
+
+  const iframe = Object.values(stitched.map).find(node => node.tagName === 'iframe');
+  const frameBody = stitched.map[iframe.children[0]];
+  assert.equal(frameBody.tagName, 'body');
+  assert.equal(frameBody.frameId, 7);
+});
+
+test('frames without a result stay unreachable', () => {
+  const { topResult } = analyzeFrames();
+  const stitched = stitchFrames(topResult, []);
+
+  assert.equal(stitched.coverage.complete, false);
+  assert.equal(stitched.coverage.unreachable[0].ownerFrameId, 0);
+  assert.equal(stitched.interactiveElements.length, topResult.interactiveElements.length);
+});
+
+test('stitched frames label their overlays with the stitched indexes', () => {
+  const { topResult, frame, frameResult } = analyzeFrames();
+  const stitched = stitchFrames(topResult, [{ frameId: 7, result: frameResult }]);
+  const labels = () => Array.from(frame.document.querySelectorAll('.playwright-highlight-label'), label => label.textContent);
+
+  assert.deepEqual(labels(), ['0', '1']);
+  frame._domAnalyzerSession.setLabelOffset(stitched.frames[1].indexOffset);
+  assert.deepEqual(labels(), ['2', '3']);
+
+  // Focus still works with the frame's own index
+  assert.equal(frame.DomAnalyzer.focus(1), 1);
+  assert.deepEqual(labels(), ['3']);
+  assert.equal(frame.DomAnalyzer.focus(null), 0);
+  assert.deepEqual(labels(), []);
+});
+
+test('same-origin frames leave their analysis to the parent', () => {
+  const top = loadPage('<body><iframe id="inner" srcdoc="<button>Inside</button>"></iframe></body>');
+  const inner = top.document.getElementById('inner').contentWindow;
+  inner.eval(fs.readFileSync(path.join(__dirname, '..', 'analyzePage.js'), 'utf8'));
+
+  assert.equal(inner.analyzePage({ skipCoveredFrames: true }), null);
+  assert.equal(inner.document.getElementById('dom-tree-analyzer-container'), null);
+  assert.equal(top.analyzePage({ skipCoveredFrames: true, doHighlightElements: false }).coverage.frames.analyzed, 1);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./harness');
+
+// MutationObserver records are delivered after the current task
+const nextTask = () => new Promise(resolve => setImmediate(resolve));
+
+test('mutations are reported as added, removed and changed elements', async () => {
+  const window = loadPage('login.html');
+  const { document } = window;
+  const events = [];
+  // A long debounce leaves flushing to the test
+  const watcher = window.watchPage({ viewportExpansion: -1, debounceMs: 60000 }, event => events.push(event));
+  const email = watcher.result.interactiveElements.find(element => element.attributes.id === 'email');
+
+  document.querySelector('a[href="/help"]').remove();
+  const forgot = document.createElement('button');
+  forgot.textContent = 'Forgot password?';
+  document.getElementById('login').append(forgot);
+  document.getElementById('email').setAttribute('placeholder', 'name@example.com');
+  await nextTask();
+
+  const event = watcher.flush();
+  assert.equal(events.length, 1);
+  assert.equal(event.type, 'mutation');
+  assert.deepEqual(Array.from(event.added, element => [element.index, element.text]), [[watcher.result.interactiveElements.length, 'Forgot password?']]);
+  assert.deepEqual(Array.from(event.removed, element => element.text), ['Help']);
+  assert.deepEqual(Array.from(event.changed, element => element.index), [email.index]);
+  assert.equal(event.changed[0].attributes.placeholder, 'name@example.com');
+
+  // The globals and overlays follow the page
+  assert.equal(event.highlightedElements, window.DOM_INTERACTIVE_ELEMENTS.length);
+  assert.equal(document.querySelectorAll('.playwright-highlight-label').length, event.highlightedElements);
+  watcher.stop();
+});
+
+test('overlay changes and a stopped watcher emit nothing', async () => {
+  const window = loadPage('login.html');
+  const events = [];
+  const watcher = window.watchPage({ viewportExpansion: -1, debounceMs: 60000 }, event => events.push(event));
+
+  window.DomAnalyzer.focus(0);
+  await nextTask();
+  assert.equal(watcher.flush(), null);
+
+  const replacement = window.watchPage({ viewportExpansion: -1, debounceMs: 60000 }, event => events.push(event));
+  assert.equal(watcher.active, false);
+  assert.equal(window._domAnalyzerWatcher, replacement);
+
+  replacement.stop();
+  window.document.getElementById('home').textContent = 'Start';
+  await nextTask();
+  assert.equal(replacement.flush(), null);
+  assert.equal(events.length, 0);
+  assert.equal(window._domAnalyzerWatcher, undefined);
+});